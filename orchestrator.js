@@ -3,18 +3,123 @@
  * Swarm Coding Orchestrator (Enhanced)
  *
  * Fully autonomous multi-agent code generator with specialized roles.
- * Uses qwen-coder exclusively via OpenRouter.
+ * Uses qwen-coder via OpenRouter by default; any OpenAI-compatible endpoint or the
+ * in-process mock can be configured instead (see createProvider).
  */
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { spawn, execFileSync } = require('child_process');
+const { StringDecoder } = require('string_decoder');
 
-const WORKSPACE_ROOT = path.resolve(__dirname, '..'); // workspace root
+// Options that can be set by CLI flag, environment/.env (`env`), swarm.config.json or runSwarm (`key`).
+// Precedence: runSwarm option > flag > process.env > .env > swarm.config.json > default.
+const OPTIONS = [
+  { flag: '--output-dir', env: 'SWARM_PROJECTS_DIR', key: 'outputDir' },
+  { flag: '--model', env: 'SWARM_MODEL', key: 'model' },
+  { flag: '--temperature', env: 'SWARM_TEMPERATURE', key: 'temperature' },
+  { flag: '--concurrency', env: 'SWARM_CONCURRENCY', key: 'concurrency' },
+  { flag: '--roles', env: 'SWARM_ROLES', key: 'roles' },
+  { flag: '--exclude-roles', env: 'SWARM_EXCLUDE_ROLES', key: 'excludeRoles' },
+  { flag: '--provider', env: 'SWARM_PROVIDER', key: 'provider' },
+  { flag: '--manifest', env: 'SWARM_MANIFEST', key: 'manifest' },
+  { flag: '--budget', env: 'SWARM_BUDGET_USD', key: 'budgetUsd' },
+  { flag: '--budget-tokens', env: 'SWARM_BUDGET_TOKENS', key: 'budgetTokens' },
+  { flag: '--deadline', env: 'SWARM_DEADLINE', key: 'deadline' },
+  { flag: '--request-timeout', env: 'SWARM_REQUEST_TIMEOUT_MS', key: 'requestTimeoutMs' },
+  { flag: '--pricing', env: 'SWARM_PRICING', key: 'pricing' },
+  { flag: '--roles-dir', env: 'SWARM_ROLES_DIR', key: 'rolesDir' },
+  { flag: '--record', env: 'SWARM_RECORD_DIR', key: 'recordDir' },
+  { flag: '--replay', env: 'SWARM_REPLAY_DIR', key: 'replayDir' },
+  { flag: '--faults', env: 'SWARM_FAULTS', key: 'faults' },
+  { flag: '--serve', env: 'SWARM_SERVE', key: 'serve', boolean: true },
+  { flag: '--port', env: 'SWARM_SERVE_PORT', key: 'servePort' },
+  { flag: '--verify', env: 'SWARM_VERIFY', key: 'verify', boolean: true },
+  { flag: '--fix-findings', env: 'SWARM_VALIDATE_FIX', key: 'validateFix', boolean: true },
+  { flag: '--validators', env: 'SWARM_VALIDATORS_DIR', key: 'validatorsDir' },
+  { flag: '--secrets', env: 'SWARM_SECRETS', key: 'secrets' },
+  { flag: '--resolve-conflicts', env: 'SWARM_RESOLVE_CONFLICTS', key: 'resolveConflicts', boolean: true },
+  { flag: '--adr', env: 'SWARM_ADR', key: 'adr', boolean: true },
+  { flag: '--export', env: 'SWARM_EXPORT', key: 'export', boolean: true },
+  { flag: '--export-dir', env: 'SWARM_EXPORT_DIR', key: 'exportDir' },
+  { flag: '--archives', env: 'SWARM_EXPORT_ARCHIVES', key: 'archives' }
+];
+
+// Flags that take no value
+const BOOLEAN_FLAGS = OPTIONS.filter(o => o.boolean).map(o => o.flag).concat(['--dry-run', '--help', '--all']);
+
+// Where settings come from. configure() fills these in: the CLI from its arguments, runSwarm from its
+// options. Until then only the defaults apply, so requiring this file reads nothing, and a bad value
+// in the environment is reported by the run that reads it rather than by require().
+let configured = false;
+let cliArgs = [];                               // arguments after `orchestrator.js`
+let overrides = {};                             // runSwarm options, by option key or env name
+let fileConfig = { path: null, values: {} };    // swarm.config.json
+let WORKSPACE_ROOT = path.resolve(__dirname, '..');
+let env = {};                                   // .env in the workspace root
+
+// Per-call state of runSwarm (the CLI keeps the defaults): event hooks, AbortSignal, log sink, provider object,
+// extra validators
+const CLI_CONTEXT = { hooks: {}, onEvent: null, signal: null, logger: line => console.log(line), provider: null, validators: [] };
+let runContext = CLI_CONTEXT;
+
+function hasFlag(name) {
+  return cliArgs.includes(name);
+}
+
+// Read the value of a `--name value` / `--name=value` CLI flag
+function getFlag(name) {
+  const args = cliArgs;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1];
+    if (args[i].startsWith(`${name}=`)) return args[i].substring(name.length + 1);
+  }
+  return undefined;
+}
+
+// CLI arguments with flags (and their values) removed
+function getPositionals() {
+  const args = cliArgs;
+  const positionals = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      if (!args[i].includes('=') && !BOOLEAN_FLAGS.includes(args[i])) i++; // skip the flag's value
+      continue;
+    }
+    positionals.push(args[i]);
+  }
+  return positionals;
+}
+
+// swarm.config.json: `config` option, --config, SWARM_CONFIG, ./swarm.config.json, then the default workspace root
+function loadConfigFile() {
+  const candidates = [overrides.config, getFlag('--config'), process.env.SWARM_CONFIG, path.resolve('swarm.config.json'), path.resolve(__dirname, '..', 'swarm.config.json')];
+  const configPath = candidates.find(c => c && fs.existsSync(c));
+  if (!configPath) return { path: null, values: {} };
+  try {
+    return { path: configPath, values: JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+  } catch (e) {
+    throw new Error(`Invalid ${configPath}: ${e.message}`);
+  }
+}
+
+// Workspace root (holds .env and swarm-projects/): `workspace` option > --workspace > SWARM_WORKSPACE >
+// config "workspace" > parent of this skill
+function resolveWorkspaceRoot() {
+  return path.resolve(
+    overrides.workspace || getFlag('--workspace') || process.env.SWARM_WORKSPACE ||
+    (fileConfig.values.workspace ? path.resolve(path.dirname(fileConfig.path), fileConfig.values.workspace) : path.resolve(__dirname, '..'))
+  );
+}
 
 function loadEnv() {
   const envPath = path.join(WORKSPACE_ROOT, '.env');
-  if (!fs.existsSync(envPath)) throw new Error('.env not found in workspace root. Add OPENROUTER_API_KEY.');
+  // Settings may come from the shell alone; createProvider reports what is missing
+  if (!fs.existsSync(envPath)) return {};
   const content = fs.readFileSync(envPath, 'utf8');
   const env = {};
   content.split('\n').forEach(line => {
@@ -25,47 +130,272 @@ function loadEnv() {
   });
   return env;
 }
-const env = loadEnv();
-const OPENROUTER_KEY = env.OPENROUTER_API_KEY;
-if (!OPENROUTER_KEY) throw new Error('OPENROUTER_API_KEY missing in .env');
-
-// Model selection: precedence: process.env.OPENROUTER_MODEL > .env > default
-// Default is qwen/qwen3-coder per skill spec. If your key lacks access, add it in OpenRouter dashboard.
-const MODEL = process.env.OPENROUTER_MODEL || env.OPENROUTER_MODEL || 'qwen/qwen3-coder';
-// Mock mode: set MOCK=1 in shell or .env to use canned responses (no API calls)
-const MOCK = process.env.MOCK === '1' || env.MOCK === '1';
-
-function queryOpenRouter(messages, temperature = 0.3) {
-  if (MOCK) {
-    if (messages[0].role === 'system' && messages[0].content.includes('senior software architect')) {
-      return Promise.resolve(`{
-  "project_name": "Privy Dashboard",
-  "tech_stack": {
-    "backend": "Express",
-    "frontend": "React",
-    "language": "JavaScript",
-    "database": "None",
-    "css_framework": "Plain CSS",
-    "blockchain_network": "ethereum",
-    "wallet_provider": "Privy"
-  },
-  "roles": [
-    { "id": "backend-dev", "name": "BackendDev", "outputs": ["server.js","package.json"], "depends_on": [] },
-    { "id": "frontend-dev", "name": "FrontendDev", "outputs": ["public/index.html","styles.css","app.js"], "depends_on": ["backend-dev"] },
-    { "id": "blockchain-dev", "name": "BlockchainDev", "outputs": ["privy-config.js"], "depends_on": ["backend-dev"] },
-    { "id": "qa", "name": "QAEngineer", "outputs": ["test/api.test.js"], "depends_on": ["backend-dev","frontend-dev"] },
-    { "id": "devops", "name": "DevOps", "outputs": ["Dockerfile","docker-compose.yml"], "depends_on": ["qa"] }
-  ],
-  "shared_files": ["README.md"],
-  "constraints": []
-}`);
+
+// Config file and runSwarm option values as setting strings
+function settingValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Array.isArray(value)) return value.join(',');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Setting lookup: runSwarm option > flag > process.env > .env > swarm.config.json (options and config
+// by option key or env name) > fallback
+function setting(name, fallback) {
+  if (!configured) return fallback;
+  const option = OPTIONS.find(o => o.env === name);
+  const override = option && overrides[option.key] !== undefined ? overrides[option.key] : overrides[name];
+  if (override !== undefined && override !== null) return settingValue(override);
+  if (option) {
+    if (option.boolean && hasFlag(option.flag)) return '1';
+    const flagValue = !option.boolean && getFlag(option.flag);
+    if (flagValue) return flagValue;
+  }
+  if (process.env[name]) return process.env[name];
+  if (env[name]) return env[name];
+  const configValue = option && fileConfig.values[option.key] !== undefined ? fileConfig.values[option.key] : fileConfig.values[name];
+  if (configValue !== undefined && configValue !== null) return settingValue(configValue);
+  return fallback;
+}
+
+// Load the setting sources for a CLI invocation (`args`) or a runSwarm call (`options`), then
+// recompute every setting. Providers and roles are rebuilt on next use.
+function configure({ args = [], options = {} } = {}) {
+  configured = true;
+  cliArgs = args;
+  overrides = options;
+  fileConfig = loadConfigFile();
+  WORKSPACE_ROOT = resolveWorkspaceRoot();
+  env = loadEnv();
+  applySettings();
+  provider = null;
+  roleRegistry = null;
+}
+
+// Settings derived from the sources above by applySettings(). Module-wide, so one run at a time per process.
+let PROJECTS_DIR, MOCK, PROVIDER_NAME, RECORD_DIR, REPLAY_DIR, REPLAY_STRICT, MODEL, MAX_TOKENS, MAX_CONTINUATIONS,
+  MAX_FILE_BYTES, UNDECLARED_POLICY, CONCURRENCY, TEMPERATURE, MAX_RETRIES, RETRY_BASE_DELAY_MS, CONTEXT_BUDGET,
+  PLANNER_REPAIRS, PRICING, BUDGET_USD, BUDGET_TOKENS, REQUEST_TIMEOUT_MS, DEADLINE_MS, RESOLVE_CONFLICTS, ADR, VALIDATE, VALIDATE_FIX, SECRETS_POLICY, SECRET_VALUES, VERIFY,
+  VERIFY_ITERATIONS, VERIFY_TIMEOUT_MS, EXPORT, EXPORT_DIR, EXPORT_ARCHIVES, LEARNINGS_FILE, LEARNINGS_MIN_RUNS, LEARNINGS_LIMIT, SERVE, SERVE_PORT, SERVE_HOST;
+
+function applySettings() {
+  // Where runs are stored
+  PROJECTS_DIR = path.resolve(WORKSPACE_ROOT, setting('SWARM_PROJECTS_DIR', 'swarm-projects'));
+
+  // Mock mode: set MOCK=1 in shell or .env to use canned responses (no API calls)
+  MOCK = setting('MOCK') === '1';
+  // Provider: SWARM_PROVIDER=openrouter|openai|mock|replay. Defaults to replay when SWARM_REPLAY_DIR is
+  // set, mock under MOCK=1, then whichever is configured.
+  PROVIDER_NAME = setting('SWARM_PROVIDER') ||
+    (setting('SWARM_REPLAY_DIR') ? 'replay' : MOCK ? 'mock' : setting('OPENROUTER_API_KEY') ? 'openrouter' : setting('OPENAI_BASE_URL') ? 'openai' : null);
+  // Fixtures: every successful call is saved under SWARM_RECORD_DIR; the replay provider answers from
+  // SWARM_REPLAY_DIR (SWARM_REPLAY_STRICT=1: only exact prompt matches). SWARM_FAULTS scripts failures.
+  RECORD_DIR = setting('SWARM_RECORD_DIR') ? path.resolve(setting('SWARM_RECORD_DIR')) : null;
+  REPLAY_DIR = setting('SWARM_REPLAY_DIR') ? path.resolve(setting('SWARM_REPLAY_DIR')) : null;
+  REPLAY_STRICT = setting('SWARM_REPLAY_STRICT') === '1';
+  // Model selection: precedence: SWARM_MODEL > provider-specific model setting > default
+  // Default is qwen/qwen3-coder per skill spec. If your key lacks access, add it in OpenRouter dashboard.
+  MODEL = setting('SWARM_MODEL') ||
+    (PROVIDER_NAME === 'openai' ? setting('OPENAI_MODEL') : setting('OPENROUTER_MODEL')) ||
+    'qwen/qwen3-coder';
+  // Completion cap per model call
+  MAX_TOKENS = parseInt(setting('SWARM_MAX_TOKENS', '4096'), 10);
+  // Continuation requests allowed when a reply is cut off at MAX_TOKENS
+  MAX_CONTINUATIONS = parseInt(setting('SWARM_MAX_CONTINUATIONS', '3'), 10);
+  // Largest file a worker may write
+  MAX_FILE_BYTES = parseInt(setting('SWARM_MAX_FILE_BYTES', String(512 * 1024)), 10);
+  // What happens to files a role writes outside its declared outputs: allow | quarantine | reject
+  UNDECLARED_POLICY = setting('SWARM_UNDECLARED_FILES', 'quarantine');
+  if (!['allow', 'quarantine', 'reject'].includes(UNDECLARED_POLICY)) {
+    throw new Error(`Invalid SWARM_UNDECLARED_FILES "${UNDECLARED_POLICY}"; expected allow, quarantine or reject`);
+  }
+  // Max roles running at once
+  CONCURRENCY = parseConcurrency(setting('SWARM_CONCURRENCY', '3'));
+  // Sampling temperature for the Planner and first worker attempts (degraded retries go lower)
+  TEMPERATURE = setting('SWARM_TEMPERATURE') !== undefined ? parseFloat(setting('SWARM_TEMPERATURE')) : null;
+  // Retries per model call after the first attempt
+  MAX_RETRIES = parseInt(setting('SWARM_MAX_RETRIES', '2'), 10);
+  // Base delay for exponential backoff on transient errors and timeouts
+  RETRY_BASE_DELAY_MS = parseInt(setting('SWARM_RETRY_DELAY_MS', '2000'), 10);
+  // Characters of upstream files/decisions included in a dependent role's prompt
+  CONTEXT_BUDGET = parseInt(setting('SWARM_CONTEXT_BUDGET', '24000'), 10);
+  // How often the Planner is asked to fix a manifest that fails validation
+  PLANNER_REPAIRS = parseInt(setting('SWARM_PLANNER_REPAIRS', '2'), 10);
+
+  // Model prices (see loadPricing)
+  PRICING = loadPricing();
+  // Hard caps per run, counting earlier attempts of a resumed run. Unset means unlimited.
+  BUDGET_USD = setting('SWARM_BUDGET_USD') ? parseFloat(setting('SWARM_BUDGET_USD')) : null;
+  BUDGET_TOKENS = setting('SWARM_BUDGET_TOKENS') ? parseInt(setting('SWARM_BUDGET_TOKENS'), 10) : null;
+
+  // Time limits: per model request (a hung connection becomes a timeout, which is retried) and per
+  // command (--deadline 30m cancels the run like Ctrl-C once it passes). No deadline unless set.
+  REQUEST_TIMEOUT_MS = parseInt(setting('SWARM_REQUEST_TIMEOUT_MS', '300000'), 10);
+  DEADLINE_MS = setting('SWARM_DEADLINE') ? parseDuration(setting('SWARM_DEADLINE'), 'SWARM_DEADLINE') : null;
+
+  // Decisions that contradict the manifest or another role: --resolve-conflicts sends them back to
+  // the role; --adr also writes each decision to docs/adr/ in the project
+  RESOLVE_CONFLICTS = setting('SWARM_RESOLVE_CONFLICTS') === '1';
+  ADR = setting('SWARM_ADR') === '1';
+
+  // Static checks of the generated files before assembly (SWARM_VALIDATE=0 turns them off); with
+  // --fix-findings / SWARM_VALIDATE_FIX=1 the owning roles get one call to fix what was found
+  VALIDATE = setting('SWARM_VALIDATE', '1') !== '0';
+  VALIDATE_FIX = setting('SWARM_VALIDATE_FIX') === '1';
+
+  // Hardcoded credentials in generated files: warn | redact | block (see scanGeneratedSecrets).
+  // Values of secret settings such as OPENROUTER_API_KEY are never written or logged (see redactSecrets).
+  SECRETS_POLICY = setting('SWARM_SECRETS', 'warn');
+  if (!['warn', 'redact', 'block'].includes(SECRETS_POLICY)) {
+    throw new Error(`Invalid SWARM_SECRETS "${SECRETS_POLICY}"; expected warn, redact or block`);
+  }
+  SECRET_VALUES = knownSecrets();
+
+  // Post-assembly verification (install + tests, then repair rounds): --verify flag or SWARM_VERIFY=1
+  VERIFY = setting('SWARM_VERIFY') === '1';
+  VERIFY_ITERATIONS = parseInt(setting('SWARM_VERIFY_ITERATIONS', '2'), 10);
+  VERIFY_TIMEOUT_MS = parseInt(setting('SWARM_VERIFY_TIMEOUT_MS', '180000'), 10);
+
+  // Export of the finished project with git history and archives (see exportProject); the
+  // directory is relative to the run
+  EXPORT = setting('SWARM_EXPORT') === '1';
+  EXPORT_DIR = setting('SWARM_EXPORT_DIR', 'export');
+  const archives = setting('SWARM_EXPORT_ARCHIVES', 'zip,tar.gz');
+  EXPORT_ARCHIVES = archives === 'none' ? [] : archives.split(',').map(v => v.trim()).filter(Boolean);
+  const unknownArchives = EXPORT_ARCHIVES.filter(f => !['zip', 'tar.gz'].includes(f));
+  if (unknownArchives.length) {
+    throw new Error(`Invalid SWARM_EXPORT_ARCHIVES "${archives}"; expected zip, tar.gz (comma-separated) or none`);
+  }
+
+  // Cross-run learnings store (see rememberLearning)
+  LEARNINGS_FILE = path.resolve(WORKSPACE_ROOT, setting('SWARM_LEARNINGS_FILE', path.join('.learnings', 'learnings.jsonl')));
+  LEARNINGS_MIN_RUNS = parseInt(setting('SWARM_LEARNINGS_MIN_RUNS', '2'), 10);
+  LEARNINGS_LIMIT = parseInt(setting('SWARM_LEARNINGS_LIMIT', '5'), 10);
+
+  // Live progress server (see startEventServer)
+  SERVE = setting('SWARM_SERVE') === '1';
+  SERVE_PORT = parseInt(setting('SWARM_SERVE_PORT', '4700'), 10);
+  SERVE_HOST = setting('SWARM_SERVE_HOST', '127.0.0.1');
+}
+
+// Per-model prices in USD per million tokens. SWARM_PRICING holds JSON or the path of a JSON file:
+// { "qwen/qwen3-coder": { "prompt": 0.2, "completion": 0.8 }, "*": { ... } }
+function loadPricing() {
+  const value = setting('SWARM_PRICING');
+  const pricing = { mock: { prompt: 0, completion: 0 } };
+  if (!value) return pricing;
+  try {
+    const text = value.trim().startsWith('{') ? value : fs.readFileSync(path.resolve(WORKSPACE_ROOT, value), 'utf8');
+    return { ...pricing, ...JSON.parse(text) };
+  } catch (e) {
+    throw new Error(`Invalid SWARM_PRICING: ${e.message}`);
+  }
+}
+
+function parseConcurrency(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid concurrency "${value}"; expected a positive integer`);
+  return n;
+}
+
+// "90s", "30m", "1.5h" or plain milliseconds
+function parseDuration(value, name) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match || !(parseFloat(match[1]) > 0)) throw new Error(`Invalid ${name} "${value}"; expected a duration like 90s, 30m or 2h`);
+  return Math.round(parseFloat(match[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2] || 'ms']);
+}
+
+applySettings();
+
+// LLM providers. Each exposes complete({ messages, model, temperature, maxTokens, agent }) and resolves
+// to { content, finishReason, usage, model }; the rest of the orchestrator only talks to queryModel.
+
+// Any server speaking the OpenAI chat completions API: OpenRouter, llama.cpp, Ollama, vLLM, ...
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, headers = {} }) {
+  const url = new URL(baseUrl.replace(/\/+$/, '') + '/chat/completions');
+  const transport = url.protocol === 'http:' ? http : https;
+  return {
+    name,
+    complete({ messages, model, temperature, maxTokens, signal }) {
+      // The signal's reason says whether the request timed out or the run was cancelled
+      const stopped = () => signal.reason instanceof Error ? signal.reason : abortError();
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(stopped());
+        const data = JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens
+        });
+        const req = transport.request({
+          hostname: url.hostname,
+          port: url.port || (url.protocol === 'http:' ? 80 : 443),
+          path: url.pathname + url.search,
+          method: 'POST',
+          headers: {
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            ...headers,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data)
+          }
+        }, (res) => {
+          // Decode as a stream, so a character split across chunks arrives whole
+          res.setEncoding('utf8');
+          let chunks = '';
+          res.on('data', c => chunks += c);
+          res.on('end', () => {
+            let json;
+            try {
+              json = JSON.parse(chunks);
+            } catch (e) {
+              // Gateways answer 5xx with HTML pages; keep the status so the retry policy can classify it
+              const err = new Error(`Invalid response from ${name} (HTTP ${res.statusCode})`);
+              err.statusCode = res.statusCode;
+              return reject(err);
+            }
+            if (json.error) {
+              const err = new Error(JSON.stringify(json.error));
+              err.statusCode = Number(json.error.code) || res.statusCode;
+              return reject(err);
+            }
+            if (res.statusCode >= 400 || !json.choices?.length) {
+              const err = new Error(`Unexpected response from ${name} (HTTP ${res.statusCode})`);
+              err.statusCode = res.statusCode;
+              return reject(err);
+            }
+            const choice = json.choices[0];
+            resolve({
+              content: choice.message?.content || '',
+              finishReason: choice.finish_reason || null,
+              usage: json.usage || null,
+              model: json.model || model
+            });
+          });
+        });
+        req.on('error', reject);
+        if (signal) {
+          const onAbort = () => req.destroy(stopped());
+          signal.addEventListener('abort', onAbort, { once: true });
+          req.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+        req.write(data);
+        req.end();
+      });
     }
-    return Promise.resolve(`=== FILE: server.js ===
+  };
+}
+
+// Canned responses, no network: the Planner gets a fixed manifest, each worker its role's files from a fixed set.
+// A prompt that names Python/FastAPI, Go or Rust gets that stack's manifest and backend files.
+const MOCK_BACKENDS = {
+  node: {
+    tech: { backend: 'Express', language: 'JavaScript' },
+    files: `=== FILE: server.js ===
 const express = require('express');
 const app = express();
 app.use(express.static('public'));
 app.get('/api/balance', (req, res) => res.json({ balance: 100 }));
-app.listen(3001, () => console.log('Listening on 3001'));
+if (require.main === module) app.listen(3001, () => console.log('Listening on 3001'));
+module.exports = app;
 === END FILE ===
 
 === FILE: package.json ===
@@ -73,28 +403,13 @@ app.listen(3001, () => console.log('Listening on 3001'));
   "name": "privy-dashboard",
   "version": "1.0.0",
   "main": "server.js",
-  "scripts": { "start": "node server.js" },
-  "dependencies": { "express": "^4.18.2" }
+  "scripts": { "start": "node server.js", "test": "jest" },
+  "dependencies": { "express": "^4.18.2" },
+  "devDependencies": { "jest": "^29.7.0", "supertest": "^6.3.3" },
+  "jest": { "roots": ["<rootDir>/test"] }
 }
 === END FILE ===
 
-=== FILE: public/index.html ===
-<!DOCTYPE html><html><head><title>Privy Dashboard</title></head><body><h1>Token Balance: <span id="bal">...</span></h1><script>fetch('/api/balance').then(r=>r.json()).then(d=>document.getElementById('bal').textContent=d.balance);</script></body></html>
-=== END FILE ===
-
-=== FILE: styles.css ===
-body { font-family: sans-serif; padding: 20px; background: #111; color: #eee; }
-h1 { color: #ff0055; }
-=== END FILE ===
-
-=== FILE: app.js ===
-console.log('Frontend loaded');
-=== END FILE ===
-
-=== FILE: privy-config.js ===
-console.log('Privy integration would go here');
-=== END FILE ===
-
 === FILE: test/api.test.js ===
 const request = require('supertest');
 const app = require('../server');
@@ -108,534 +423,4812 @@ COPY package*.json ./
 RUN npm install
 COPY . .
 CMD ["node", "server.js"]
-=== END FILE ===
+=== END FILE ===`,
+    decision: 'Serve the frontend as static files from Express',
+    change: ['server.js', "const express = require('express');", '// Pagination: ?page= and ?limit= on the stats endpoint']
+  },
+  python: {
+    tech: { backend: 'FastAPI', language: 'Python' },
+    files: `=== FILE: app/main.py ===
+from fastapi import FastAPI
+from fastapi.staticfiles import StaticFiles
 
-=== FILE: docker-compose.yml ===
-version: '3.8'
-services:
-  app:
-    build: .
-    ports: ["3001:3001"]
-=== END FILE ===`);
-  }
+app = FastAPI()
 
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      model: MODEL,
-      messages: messages,
-      temperature,
-      max_tokens: 4096
-    });
-    const req = https.request({
-      hostname: 'openrouter.ai',
-      port: 443,
-      path: '/api/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENROUTER_KEY}`,
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    }, (res) => {
-      let chunks = '';
-      res.on('data', c => chunks += c);
-      res.on('end', () => {
-        try {
-          const json = JSON.parse(chunks);
-          if (json.error) reject(new Error(JSON.stringify(json.error)));
-          else resolve(json.choices[0].message.content);
-        } catch (e) { reject(e); }
-      });
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
-}
 
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
-}
+@app.get("/api/balance")
+def balance():
+    return {"balance": 100}
 
-// Learning capture functions (inspired by self-improving-agent)
-function logError(workspace, agentId, error, context = '') {
-  const timestamp = new Date().toISOString();
-  const entry = `## ${timestamp} — ${agentId}\n\n**Error:** ${error}\n**Context:** ${context || 'N/A'}\n\n---\n\n`;
-  fs.appendFileSync(path.join(workspace.learningsDir, 'ERRORS.md'), entry);
-}
 
-function logLearning(workspace, agentId, title, content, category = 'correction') {
-  const timestamp = new Date().toISOString();
-  const entry = `## ${timestamp} — ${agentId} (${category})\n\n**${title}**\n\n${content}\n\n---\n\n`;
-  fs.appendFileSync(path.join(workspace.learningsDir, 'LEARNINGS.md'), entry);
-}
+app.mount("/", StaticFiles(directory="public", html=True), name="public")
+=== END FILE ===
 
-function logFeatureRequest(workspace, agentId, feature, rationale) {
-  const timestamp = new Date().toISOString();
-  const entry = `## ${timestamp} — ${agentId}\n\n**Feature:** ${feature}\n**Rationale:** ${rationale}\n\n---\n\n`;
-  fs.appendFileSync(path.join(workspace.learningsDir, 'FEATURE_REQUESTS.md'), entry);
-}
+=== FILE: pyproject.toml ===
+[project]
+name = "privy-dashboard"
+version = "1.0.0"
+dependencies = ["fastapi", "uvicorn"]
 
-// Record a decision to DECISIONS.md
-function recordDecision(workspace, agentId, decision, rationale) {
-  const timestamp = new Date().toISOString();
-  const entry = `## ${timestamp} — ${agentId}\n\n**Decision:** ${decision}\n\n**Rationale:** ${rationale}\n\n---\n\n`;
-  fs.appendFileSync(workspace.decisionsPath, entry);
-}
+[project.optional-dependencies]
+test = ["pytest", "httpx"]
 
-function createProjectWorkspace(prompt) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const projectId = `swarm-${timestamp}`;
-  const projectDir = path.join(WORKSPACE_ROOT, 'swarm-projects', projectId);
-  fs.mkdirSync(projectDir, { recursive: true });
-  const workspace = {
-    projectId,
-    projectDir,
-    prompt,
-    manifestPath: path.join(projectDir, 'swarm.yaml'),
-    filesDir: path.join(projectDir, 'files'),
-    tasksPath: path.join(projectDir, 'tasks.json'),
-    decisionsPath: path.join(projectDir, 'DECISIONS.md'),
-    learningsDir: path.join(projectDir, '.learnings')
-  };
-  fs.mkdirSync(workspace.filesDir, { recursive: true });
-  fs.mkdirSync(workspace.learningsDir, { recursive: true });
-  fs.writeFileSync(workspace.tasksPath, JSON.stringify({ tasks: [], completed: [] }, null, 2));
-  
-  // Track start time for duration calculation
-  workspace.startTime = Date.now();
-  
-  // Initialize DECISIONS.md with project start
-  const decisionsHeader = `# Project Decisions\n\nCreated: ${new Date().toISOString()}\nPrompt: ${prompt}\n\nThis file documents key architectural and technical decisions made during development. It serves as project memory for future reference and continuity.\n\n---\n\n`;
-  fs.writeFileSync(workspace.decisionsPath, decisionsHeader);
-  
-  // Initialize learning logs
-  const learningHeader = `# Swarm Learning Log\n\nGenerated: ${new Date().toISOString()}\nProject: ${prompt}\n\n---\n\n`;
-  fs.writeFileSync(path.join(workspace.learningsDir, 'ERRORS.md'), learningHeader);
-  fs.writeFileSync(path.join(workspace.learningsDir, 'LEARNINGS.md'), learningHeader);
-  fs.writeFileSync(path.join(workspace.learningsDir, 'FEATURE_REQUESTS.md'), learningHeader);
-  
-  log(`Workspace: ${projectDir}`);
-  return workspace;
-}
+[tool.setuptools]
+packages = ["app"]
+=== END FILE ===
 
-// Planner: decides roles and dependencies
-async function runPlanner(workspace) {
-  log('Running Planner...');
-  const systemMsg = `You are a senior software architect designing a swarm-coding manifest.
+=== FILE: tests/test_api.py ===
+from fastapi.testclient import TestClient
+from app.main import app
 
-Given a user prompt, output ONLY valid JSON (no markdown) with this schema:
-{
-  "project_name": "short name",
-  "tech_stack": {
-    "backend": "Express" | "FastAPI" | "Go" | "Rust" | "Node" | "Python",
-    "frontend": "React" | "Vue" | "Svelte" | "VanillaJS",
-    "language": "JavaScript" | "TypeScript" | "Python" | "Go" | "Rust",
-    "database": "Postgres" | "MongoDB" | "SQLite" | "None",
-    "css_framework": "Tailwind" | "Bootstrap" | "Plain CSS",
-    "blockchain_network": "ethereum" | "solana" | "polygon" | "none",
-    "wallet_provider": "Privy" | "Wagmi" | "RainbowKit" | "None"
-  },
-  "roles": [
-    { "id": "backend-dev", "name": "BackendDev", "outputs": ["server.js","package.json"], "depends_on": [] }
-  ],
-  "shared_files": ["README.md"],
-  "constraints": [],
-  "decisions": [
-    { "what": "Tech stack choice", "why": "Based on prompt analysis and team capabilities" }
-  ]
-}
 
-Decisions:
-- Always include BackendDev, FrontendDev, QA, DevOps.
-- Include Designer if frontend exists.
-- Include BlockchainDev if prompt mentions blockchain, web3, tokens, NFTs, smart contracts, or Privy.
-- Include SecurityAuditor if blockchain or finance/payments.
-- Include TechnicalWriter for production-ready projects.
-- Set depends_on to ensure logical order.
-- Outputs should be likely file paths under the project root.
-- Include a "decisions" array explaining key architectural choices you're making (tech stack, auth method, etc.). This will be recorded in the project's DECISIONS.md for future reference.
-`;
+def test_balance():
+    assert TestClient(app).get("/api/balance").status_code == 200
+=== END FILE ===
 
-  const userMsg = `Build an app with this description: "${workspace.prompt}"`;
+=== FILE: Dockerfile ===
+FROM python:3.12-slim
+WORKDIR /app
+COPY . .
+RUN pip install --no-cache-dir .
+CMD ["uvicorn", "app.main:app", "--host", "0.0.0.0", "--port", "3001"]
+=== END FILE ===`,
+    decision: 'Serve the frontend as static files from FastAPI',
+    change: ['app/main.py', 'from fastapi import FastAPI', '# Pagination: ?page= and ?limit= on the stats endpoint']
+  },
+  go: {
+    tech: { backend: 'Go', language: 'Go' },
+    files: `=== FILE: main.go ===
+package main
 
-  const response = await queryOpenRouter([
-    { role: 'system', content: systemMsg },
-    { role: 'user', content: userMsg }
-  ], 0.4);
+import (
+	"encoding/json"
+	"log"
+	"net/http"
+)
 
-  let jsonStr = response;
-  const match = response.match(/```json\n([\s\S]*?)\n```/);
-  if (match) jsonStr = match[1];
-  const manifest = JSON.parse(jsonStr);
-  fs.writeFileSync(workspace.manifestPath, JSON.stringify(manifest, null, 2));
-  
-  // Record tech stack decisions from planner
-  if (manifest.decisions && Array.isArray(manifest.decisions)) {
-    manifest.decisions.forEach(dec => {
-      recordDecision(workspace, 'Planner', dec.what, dec.why || 'Architectural choice');
-    });
-  } else {
-    // Fallback: record the tech stack as a decision
-    const tech = manifest.tech_stack;
-    const techSummary = Object.entries(tech).map(([k,v]) => `${k}: ${v}`).join(', ');
-    recordDecision(workspace, 'Planner', 'Tech stack selected', techSummary);
-  }
-  
-  // Record overall architectural decision about role assignment
-  const roleCount = manifest.roles.length;
-  const roleNames = manifest.roles.map(r => r.id).join(', ');
-  recordDecision(workspace, 'Planner', `Assigned ${roleCount} roles`, `Team composition: ${roleNames}`);
-  
-  log(`Manifest: ${manifest.roles.map(r => r.id).join(' -> ')}`);
-  return manifest;
+func balance(w http.ResponseWriter, r *http.Request) {
+	w.Header().Set("Content-Type", "application/json")
+	json.NewEncoder(w).Encode(map[string]int{"balance": 100})
 }
 
-// Parse file blocks from LLM output
-function parseWorkerOutput(output, roleDir) {
-  const fileRegex = /=== FILE: (.+?)\s*===\n([\s\S]*?)\n=== END FILE ===/g;
-  let match;
-  const files = [];
-  while ((match = fileRegex.exec(output)) !== null) {
-    const filePath = match[1].replace(/^\.?\//, '');
-    const content = match[2];
-    const fullPath = path.join(roleDir, filePath);
-    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
-    fs.writeFileSync(fullPath, content);
-    files.push(filePath);
-  }
-  if (files.length === 0) throw new Error('No file blocks found');
-  return files;
+func main() {
+	http.HandleFunc("/api/balance", balance)
+	http.Handle("/", http.FileServer(http.Dir("public")))
+	log.Fatal(http.ListenAndServe(":3001", nil))
 }
+=== END FILE ===
 
-function getRoleConfig(role, manifest) {
-  const tech = manifest.tech_stack;
-  const base = `You are an autonomous coding agent in a swarm. You will be given a specific task. Write clean, well-commented code. Follow these rules strictly:
+=== FILE: go.mod ===
+module privy-dashboard
 
-1. Output each file as: === FILE: relative/path ===\n<content>\n=== END FILE ===
-2. Write full file contents; no partial snippets.
-3. Create any needed directories.
-4. Include error handling and sensible defaults.
-5. Prefer standard libraries; minimize deps.
+go 1.21
+=== END FILE ===
 
-**Project Memory - DECISIONS MADE Section:**
-At the END of your output (after all files), include a section that documents any significant technical decisions you made. This creates a permanent record in DECISIONS.md.
+=== FILE: main_test.go ===
+package main
 
-Format exactly as:
-DECISIONS MADE:
-- [Decision]: Used JWT instead of session cookies
-- [Reason]: Stateless auth scales better for APIs
+import (
+	"net/http/httptest"
+	"testing"
+)
 
-- [Decision]: Chose SQLite for local storage
-- [Reason]: Simpler deployment, no external DB needed
+func TestBalance(t *testing.T) {
+	rec := httptest.NewRecorder()
+	balance(rec, httptest.NewRequest("GET", "/api/balance", nil))
+	if rec.Code != 200 {
+		t.Fatalf("status %d", rec.Code)
+	}
+}
+=== END FILE ===
 
-Include 2-4 decisions per role. Think about: architecture choices, library selections, security tradeoffs, performance considerations, why you structured files a certain way.
-`;
+=== FILE: Dockerfile ===
+FROM golang:1.22-alpine AS build
+WORKDIR /src
+COPY . .
+RUN go build -o /server .
 
-  const specifics = {
-    'backend-dev': `Create the backend API.
-Tech: ${tech.backend} (${tech.language})
-Files to create: ${role.outputs.join(', ')}.
+FROM alpine:3.20
+COPY --from=build /server /server
+COPY public /public
+CMD ["/server"]
+=== END FILE ===`,
+    decision: 'Serve the frontend with the standard library file server',
+    change: ['main.go', 'package main', '// Pagination: ?page= and ?limit= on the stats endpoint']
+  },
+  rust: {
+    tech: { backend: 'Rust', language: 'Rust' },
+    files: `=== FILE: src/lib.rs ===
+use axum::{routing::get, Json, Router};
+use serde_json::{json, Value};
+
+pub async fn balance() -> Json<Value> {
+    Json(json!({ "balance": 100 }))
+}
+
+pub fn app() -> Router {
+    Router::new().route("/api/balance", get(balance))
+}
+=== END FILE ===
+
+=== FILE: src/main.rs ===
+#[tokio::main]
+async fn main() {
+    let listener = tokio::net::TcpListener::bind("0.0.0.0:3001").await.unwrap();
+    axum::serve(listener, privy_dashboard::app()).await.unwrap();
+}
+=== END FILE ===
 
-If Privy is the wallet provider (${tech.wallet_provider}), include routes for authentication callbacks and token verification.
-Provide a simple health endpoint GET /health.
-Use CORS appropriately.
-Include a sample .env.example if needed.`,
+=== FILE: Cargo.toml ===
+[package]
+name = "privy-dashboard"
+version = "1.0.0"
+edition = "2021"
 
-    'frontend-dev': `Create the frontend UI.
-Tech: ${tech.frontend} with ${tech.css_framework}.
-Files: ${role.outputs.join(', ')}.
+[dependencies]
+axum = "0.7"
+serde_json = "1"
+tokio = { version = "1", features = ["full"] }
+=== END FILE ===
 
-Use fetch to call backend API. If Privy is used, integrate @privy-io/react-auth (for React) or plain JS SDK.
-Implement a clean, responsive layout.
-Add a health indicator showing backend reachability.`,
+=== FILE: tests/api.rs ===
+use privy_dashboard::balance;
 
-    'designer': `Design assets and styles.
-Files: ${role.outputs.join(', ')}.
+#[tokio::test]
+async fn balance_returns_100() {
+    let axum::Json(body) = balance().await;
+    assert_eq!(body["balance"], 100);
+}
+=== END FILE ===
 
-Define a design system: colors, spacing, typography.
-Create reusable CSS classes or a Tailwind config if Tailwind is used (${
- tech.css_framework}).
-Design components: Button, Card, Header, Footer.
-Write HTML mockups or React components as appropriate.
-Focus on accessibility and mobile-first.`,
+=== FILE: Dockerfile ===
+FROM rust:1-slim AS build
+WORKDIR /src
+COPY . .
+RUN cargo build --release
 
-    'blockchain-dev': `Blockchain integration.
-Files: ${role.outputs.join(', ')}.
+FROM debian:bookworm-slim
+COPY --from=build /src/target/release/privy-dashboard /server
+CMD ["/server"]
+=== END FILE ===`,
+    decision: 'Serve the API with axum',
+    change: ['src/lib.rs', 'use axum::{routing::get, Json, Router};', '// Pagination: ?page= and ?limit= on the stats endpoint']
+  }
+};
 
-Network: ${tech.blockchain_network}.
-Wallet: ${tech.wallet_provider}.
+// Stack a mock request is about: the Planner is asked by prompt, workers are told in their system prompt
+function mockStack(messages) {
+  const named = messages[0].content.match(/\*\*Stack: ([^*]+)\*\*/);
+  if (named) return Object.keys(STACK_PROFILES).find(key => STACK_PROFILES[key].name === named[1]) || 'node';
+  const prompt = messages[1]?.content || '';
+  if (/\b(python|fastapi)\b/i.test(prompt)) return 'python';
+  if (/\bGo\b/.test(prompt) || /\bgolang\b/i.test(prompt)) return 'go';
+  if (/\brust\b/i.test(prompt)) return 'rust';
+  return 'node';
+}
 
-If Privy, add auth flow (login button, session handling). Include a script to verify embedded wallet signatures on backend.
-Write a sample smart contract (Solidity) if tokens/NFTs are relevant. Deploy script using Hardhat or ethers.js.
-Document environment variables needed (Privy keys, RPC URLs).`,
+// The manifest the mock Planner returns for a stack
+function mockManifest(stack) {
+  const { tech } = MOCK_BACKENDS[stack];
+  const { outputs } = STACK_PROFILES[stack];
+  return {
+    project_name: 'Privy Dashboard',
+    tech_stack: {
+      backend: tech.backend,
+      frontend: 'React',
+      language: tech.language,
+      database: 'None',
+      css_framework: 'Plain CSS',
+      blockchain_network: 'ethereum',
+      wallet_provider: 'Privy'
+    },
+    roles: [
+      { id: 'backend-dev', name: 'BackendDev', outputs: outputs.backend, depends_on: [] },
+      { id: 'frontend-dev', name: 'FrontendDev', outputs: ['public/index.html', 'styles.css', 'app.js'], depends_on: ['backend-dev'] },
+      { id: 'blockchain-dev', name: 'BlockchainDev', outputs: ['privy-config.js'], depends_on: ['backend-dev'] },
+      { id: 'qa', name: 'QAEngineer', outputs: outputs.tests, depends_on: ['backend-dev', 'frontend-dev'] },
+      { id: 'devops', name: 'DevOps', outputs: ['Dockerfile', 'docker-compose.yml'], depends_on: ['qa'] }
+    ],
+    shared_files: ['README.md'],
+    constraints: []
+  };
+}
 
-    'security-auditor': `Review the codebase for security issues.
-Files: ${role.outputs.join(', ')}.
+function createMockProvider() {
+  return {
+    name: 'mock',
+    complete({ messages }) {
+      // Rough token counts (4 characters per token) so usage accounting has something to add up
+      const promptTokens = Math.ceil(messages.reduce((n, m) => n + m.content.length, 0) / 4);
+      const reply = content => Promise.resolve({
+        content,
+        finishReason: 'stop',
+        usage: { prompt_tokens: promptTokens, completion_tokens: Math.ceil(content.length / 4) },
+        model: 'mock'
+      });
+      const stack = mockStack(messages);
+      const backend = MOCK_BACKENDS[stack];
+      const [changedFile, firstLine, addedLine] = backend.change;
+      if (messages[0].content.includes('planning a change')) {
+        return reply(JSON.stringify({
+          summary: 'Add pagination to the stats endpoint',
+          roles: [{ id: 'backend-dev', task: 'Accept ?page= and ?limit= on the stats endpoint', files: [changedFile], depends_on: [] }],
+          decisions: [{ what: 'Offset pagination', why: 'Simple and enough for the data size' }]
+        }));
+      }
+      if (messages[1]?.content.includes('Change request:')) {
+        return reply(`=== PATCH: ${changedFile} ===
+@@ -1,1 +1,2 @@
+ ${firstLine}
++${addedLine}
+=== END PATCH ===`);
+      }
+      if (messages[0].role === 'system' && messages[0].content.includes('senior software architect')) {
+        return reply(JSON.stringify(mockManifest(stack), null, 2));
+      }
+      // A worker gets the files its role owns in the mock manifest; anything else (a role the mock
+      // never planned, the merger) gets the whole set
+      const roleId = messages[1]?.content.match(/^Role: .+ \(([\w-]+)\)$/m)?.[1];
+      const owned = mockManifest(stack).roles.find(r => r.id === roleId)?.outputs;
+      const blocks = `${backend.files}
 
-Scan for common vulnerabilities (injection, XSS, reentrancy, insecure dependencies).
-Add security headers (helmet), rate limiting, input validation if missing.
-Check Privy integration for proper secret handling.
-Write SECURITY.md with findings and recommendations.
-Add a basic audit script (npm run audit).`,
+=== FILE: public/index.html ===
+<!DOCTYPE html><html><head><title>Privy Dashboard</title></head><body><h1>Token Balance: <span id="bal">...</span></h1><script>fetch('/api/balance').then(r=>r.json()).then(d=>document.getElementById('bal').textContent=d.balance);</script></body></html>
+=== END FILE ===
 
-    'qa': `Write automated tests.
-Files: ${role.outputs.join(', ')}.
+=== FILE: styles.css ===
+body { font-family: sans-serif; padding: 20px; background: #111; color: #eee; }
+h1 { color: #ff0055; }
+=== END FILE ===
 
-Use Jest or Mocha/Chai. Test at least 2 API endpoints and 1 blockchain interaction if present.
-Include setup/teardown and mocking.
-Add an integration test that starts the server and runs curl checks.
-Provide a test README snippet.`,
+=== FILE: app.js ===
+console.log('Frontend loaded');
+=== END FILE ===
 
-    'technical-writer': `Documentation.
-Files: ${role.outputs.join(', ')}.
+=== FILE: privy-config.js ===
+console.log('Privy integration would go here');
+=== END FILE ===
 
-Write comprehensive README.md with setup, run, test, deploy.
-Generate API.md with endpoint docs (OpenAPI style if possible).
-Add inline code comments where needed.
-Include a troubleshooting section.
-Keep tone friendly and concise.`,
+=== FILE: docker-compose.yml ===
+version: '3.8'
+services:
+  app:
+    build: .
+    ports: ["3001:3001"]
+=== END FILE ===`.match(/=== FILE: [\s\S]*?=== END FILE ===/g);
+      const mine = blocks.filter(block => owned?.includes(block.match(/^=== FILE: (.+?) ===/)[1]));
+      return reply(`${(mine.length ? mine : blocks).join('\n\n')}
 
-    'devops': `Deployment and CI/CD.
-Files: ${role.outputs.join(', ')}.
+DECISIONS MADE:
+- [Decision]: ${backend.decision}
+- [Category]: backend
+- [Reason]: One process to run and deploy`);
 
-Create Dockerfile (multi-stage build), docker-compose.yml with services (app, db if any).
-Add GitHub Actions workflow that runs tests on PR, builds and pushes Docker image.
-Include environment variable management (dotenv).
-Add a deploy script (e.g., to Fly.io, Vercel, or Azure).
-Ensure health checks and logs.`
+    }
   };
+}
 
-  return { base: base + '\n\n' + (specifics[role.id] || 'Implement your assigned files according to the manifest.'), role };
+// Fixture key for a prompt. Timestamps and run ids are masked so a replayed run, whose upstream
+// context quotes its own DECISIONS.md, still matches the recording.
+function fixtureKey(messages) {
+  const text = messages.map(m => `${m.role}\n${m.content}`).join('\n\n')
+    .replace(/\d{4}-\d{2}-\d{2}T[\d:.-]+Z?/g, '<time>')
+    .replace(/swarm-[\dT-]{19}(-\d+)?/g, '<run>');
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
 }
 
-// Spawn a worker
-async function spawnWorker(workspace, role, manifest) {
-  const roleDir = path.join(workspace.filesDir, role.id);
-  fs.mkdirSync(roleDir, { recursive: true });
+// Calls so far per agent, counted by each wrapper for itself
+function callCounter() {
+  const calls = new Map();
+  return agent => {
+    calls.set(agent, (calls.get(agent) || 0) + 1);
+    return calls.get(agent);
+  };
+}
+
+// Saves each successful request/response pair as <dir>/<agent>/<prompt hash>.json
+function createRecordingProvider(inner, dir) {
+  const nextCall = callCounter();
+  return {
+    name: `${inner.name} (recording)`,
+    async complete(params) {
+      const response = await inner.complete(params);
+      const agent = params.agent || 'unknown';
+      const key = fixtureKey(params.messages);
+      fs.mkdirSync(path.join(dir, agent), { recursive: true });
+      fs.writeFileSync(path.join(dir, agent, `${key}.json`), redactSecrets(JSON.stringify({
+        agent,
+        call: nextCall(agent),
+        key,
+        model: params.model,
+        temperature: params.temperature,
+        messages: params.messages,
+        response
+      }, null, 2)));
+      return response;
+    }
+  };
+}
+
+// Answers from recorded fixtures: the exact prompt if it was recorded, otherwise (unless strict) the
+// agent's response from the same call number of the recording, or its last one before that (a retry
+// the recording never needed)
+function createReplayProvider(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Fixture directory ${dir} not found`);
+  const fixtures = new Map();
+  const load = agent => {
+    if (!fixtures.has(agent)) {
+      const agentDir = path.join(dir, agent);
+      const entries = fs.existsSync(agentDir)
+        ? fs.readdirSync(agentDir).filter(f => f.endsWith('.json')).map(f => JSON.parse(fs.readFileSync(path.join(agentDir, f), 'utf8')))
+        : [];
+      fixtures.set(agent, {
+        byKey: new Map(entries.map(e => [e.key, e])),
+        byCall: new Map(entries.map(e => [e.call, e]))
+      });
+    }
+    return fixtures.get(agent);
+  };
+  const nextCall = callCounter();
+  return {
+    name: 'replay',
+    async complete({ messages, agent = 'unknown' }) {
+      const call = nextCall(agent);
+      const key = fixtureKey(messages);
+      const { byKey, byCall } = load(agent);
+      if (byKey.has(key)) return byKey.get(key).response;
+      const fallback = Math.max(0, ...[...byCall.keys()].filter(n => n <= call));
+      if (REPLAY_STRICT || !fallback) {
+        throw new Error(`No fixture for ${agent} (prompt ${key}, call ${call}) in ${dir}`);
+      }
+      log(`Replay: ${agent} prompt ${key} was not recorded; using call ${fallback} of the recording`);
+      return byCall.get(fallback).response;
+    }
+  };
+}
+
+// Scripted faults (SWARM_FAULTS: YAML/JSON list). Each entry names an agent (omit or '*' for any) and
+// the call numbers it hits (omit for every call), counted per agent and including continuations:
+//   error          throw HTTP `status` (default 500; 401 and other 4xx are not retried)
+//   network        throw a connection reset
+//   timeout        throw a request timeout
+//   truncate       cut the reply at fraction `at` (default 0.5) with finish reason "length"
+//   malformed_json drop the reply's final "}"
+//   no_file_blocks reply with prose and no FILE blocks
+//   reply          reply with `content` instead of calling the provider
+const FAULT_TYPES = ['error', 'network', 'timeout', 'truncate', 'malformed_json', 'no_file_blocks', 'reply'];
+
+function loadFaults() {
+  const file = setting('SWARM_FAULTS');
+  if (!file) return [];
+  const faults = readYamlFile(path.resolve(file));
+  if (!Array.isArray(faults)) throw new Error(`Fault script ${file} must be a list`);
+  faults.forEach((f, i) => {
+    if (!FAULT_TYPES.includes(f?.fault)) {
+      throw new Error(`Fault script ${file}, entry ${i + 1}: fault must be one of ${FAULT_TYPES.join(', ')}`);
+    }
+    if (f.fault === 'reply' && typeof f.content !== 'string') {
+      throw new Error(`Fault script ${file}, entry ${i + 1}: reply needs content`);
+    }
+  });
+  return faults;
+}
+
+function createFaultyProvider(inner, faults) {
+  const nextCall = callCounter();
+  const injectedError = (message, props) => Object.assign(new Error(message), props);
+  return {
+    name: inner.name,
+    async complete(params) {
+      const agent = params.agent || 'unknown';
+      const call = nextCall(agent);
+      const fault = faults.find(f => (!f.agent || f.agent === '*' || f.agent === agent) &&
+        (f.call === undefined || [].concat(f.call).map(Number).includes(call)));
+      if (!fault) return inner.complete(params);
+      log(`Injecting ${fault.fault} into ${agent} call ${call}`);
+      switch (fault.fault) {
+        case 'error': {
+          const status = Number(fault.status) || 500;
+          throw injectedError(fault.message || `Injected HTTP ${status}`, { statusCode: status });
+        }
+        case 'network': throw injectedError(fault.message || 'Injected connection reset', { code: 'ECONNRESET' });
+        case 'timeout': throw injectedError(fault.message || 'Injected request timed out', { code: 'ETIMEDOUT' });
+        case 'reply': return { content: fault.content, finishReason: fault.finish_reason || 'stop', usage: null, model: params.model };
+      }
+      const response = await inner.complete(params);
+      switch (fault.fault) {
+        case 'truncate':
+          return { ...response, content: response.content.slice(0, Math.floor(response.content.length * (fault.at ?? 0.5))), finishReason: 'length' };
+        case 'malformed_json': {
+          const end = response.content.lastIndexOf('}');
+          return { ...response, content: end >= 0 ? response.content.slice(0, end) : `${response.content}\n}` };
+        }
+        default: // no_file_blocks
+          return { ...response, content: 'Here is an overview of the files. server.js sets up the routes, package.json lists the dependencies.' };
+      }
+    }
+  };
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'mock':
+      return createMockProvider();
+    case 'replay':
+      if (!REPLAY_DIR) throw new Error('SWARM_PROVIDER=replay needs SWARM_REPLAY_DIR (or --replay <dir>)');
+      return createReplayProvider(REPLAY_DIR);
+    case 'openrouter': {
+      const apiKey = setting('OPENROUTER_API_KEY');
+      if (!apiKey) throw new Error('OPENROUTER_API_KEY missing in .env (or set SWARM_PROVIDER=openai with OPENAI_BASE_URL)');
+      return createOpenAICompatibleProvider({ name: 'OpenRouter', baseUrl: 'https://openrouter.ai/api/v1', apiKey });
+    }
+    case 'openai': {
+      const baseUrl = setting('OPENAI_BASE_URL');
+      if (!baseUrl) throw new Error('OPENAI_BASE_URL missing (e.g. http://localhost:11434/v1 for Ollama)');
+      return createOpenAICompatibleProvider({ name: 'OpenAI-compatible', baseUrl, apiKey: setting('OPENAI_API_KEY') });
+    }
+    case null:
+      throw new Error('No LLM provider configured. Add OPENROUTER_API_KEY to .env, set OPENAI_BASE_URL, or use MOCK=1.');
+    default:
+      throw new Error(`Unknown SWARM_PROVIDER "${name}"; expected openrouter, openai, mock or replay`);
+  }
+}
+// Created on first use, so commands that never call a model (list, show, clean) need no provider.
+// Faults wrap the recorder, so recordings only hold what the provider really said.
+let provider = null;
+function getProvider() {
+  if (!provider) {
+    // Kept only once complete, so a bad fault script fails every call rather than just the first
+    let created = runContext.provider || createProvider(PROVIDER_NAME);
+    if (RECORD_DIR) created = createRecordingProvider(created, RECORD_DIR);
+    const faults = loadFaults();
+    if (faults.length) created = createFaultyProvider(created, faults);
+    provider = created;
+  }
+  return provider;
+}
+
+// Model for an agent: SWARM_MODEL_<AGENT> (e.g. SWARM_MODEL_PLANNER, SWARM_MODEL_BACKEND_DEV) > MODEL
+function modelFor(agentId) {
+  return setting(`SWARM_MODEL_${agentId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`, MODEL);
+}
+
+const CONTINUE_PROMPT = 'Your reply was cut off. Continue exactly where you stopped: do not repeat anything, do not add commentary, and close every FILE block with === END FILE ===.';
+
+// Path of the FILE block left open at the end of `content`, or null if every block is closed
+function findUnclosedBlock(content) {
+  const markerRegex = /^=== (?:FILE: (.+?)\s*|END FILE) ===[ \t]*$/gm;
+  let open = null;
+  let match;
+  while ((match = markerRegex.exec(content)) !== null) open = match[1] || null;
+  return open;
+}
+
+// Append a continuation to a truncated reply. If the model restarted the unfinished file
+// instead of continuing it, the partial copy is dropped.
+function stitchContinuation(previous, continuation) {
+  const unclosed = findUnclosedBlock(previous);
+  const restart = continuation.match(/^\s*=== FILE: (.+?)\s*===\n/);
+  if (unclosed && restart && restart[1] === unclosed) {
+    const headers = [...previous.matchAll(/^=== FILE: .+$/gm)];
+    return previous.slice(0, headers[headers.length - 1].index) + continuation.trimStart();
+  }
+  return previous + continuation;
+}
+
+// Send a chat request for `agentId` through the configured provider; resolves to the reply text.
+// Replies cut off at MAX_TOKENS (finish_reason "length", or with fileBlocks an unclosed FILE block)
+// are continued up to MAX_CONTINUATIONS times and stitched together; after that a `truncated` error is thrown.
+// With a `workspace`, every request is metered (see recordUsage) and refused once the budget is spent.
+async function queryModel(agentId, messages, temperature = 0.3, { fileBlocks = false, workspace = null, attempt = 1 } = {}) {
+  const model = modelFor(agentId);
+  const request = async (msgs, continuation) => {
+    if (workspace?.budgetExceeded) throw budgetError(workspace);
+    if (runContext.signal?.aborted) throw cancellation();
+    const startedAt = Date.now();
+    const response = await completeWithTimeout({ messages: msgs, model, temperature, maxTokens: MAX_TOKENS, agent: agentId });
+    if (workspace) {
+      const promptTokens = response.usage?.prompt_tokens || 0;
+      const completionTokens = response.usage?.completion_tokens || 0;
+      // Price by the model that answered when it is listed (providers may route to another), else the one asked for
+      const billed = response.model && PRICING[response.model] ? response.model : model;
+      recordUsage(workspace, {
+        agent: agentId,
+        model: response.model || model,
+        attempt,
+        continuation,
+        promptTokens,
+        completionTokens,
+        latencyMs: Date.now() - startedAt,
+        cost: callCost(billed, promptTokens, completionTokens),
+        at: new Date(startedAt).toISOString()
+      });
+    }
+    return response;
+  };
+  let response = await request(messages, 0);
+  let content = response.content;
+  for (let continuation = 0; ; continuation++) {
+    const unclosed = fileBlocks ? findUnclosedBlock(content) : null;
+    if (response.finishReason !== 'length' && !unclosed) return content;
+    if (continuation >= MAX_CONTINUATIONS) {
+      const err = new Error(`Output truncated after ${continuation} continuation(s)${unclosed ? `; ${unclosed} is incomplete` : ''}`);
+      err.truncated = true;
+      throw err;
+    }
+    log(`${agentId} output truncated${unclosed ? ` inside ${unclosed}` : ''}; requesting continuation ${continuation + 1}/${MAX_CONTINUATIONS}...`);
+    response = await request(messages.concat(
+      { role: 'assistant', content },
+      { role: 'user', content: CONTINUE_PROMPT }
+    ), continuation + 1);
+    content = stitchContinuation(content, response.content);
+  }
+}
+
+// One provider call. Its signal fires when the run is cancelled or after REQUEST_TIMEOUT_MS, with
+// the reason as an error: a timeout is retried, a cancellation is not. Providers that ignore the
+// signal are cut off all the same.
+function completeWithTimeout(params) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    const err = new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`);
+    err.code = 'ETIMEDOUT';
+    controller.abort(err);
+  }, REQUEST_TIMEOUT_MS);
+  const run = runContext.signal;
+  const onCancel = () => controller.abort(cancellation(run));
+  if (run?.aborted) onCancel();
+  else run?.addEventListener('abort', onCancel, { once: true });
+  const stopped = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  // A provider that cannot be created, or throws instead of rejecting, still clears the timer below
+  const request = new Promise(resolve => resolve(getProvider().complete({ ...params, signal: controller.signal })));
+  return Promise.race([request, stopped]).finally(() => {
+    clearTimeout(timer);
+    run?.removeEventListener('abort', onCancel);
+  });
+}
+
+// USD for one call, or null when the model has no price
+function callCost(model, promptTokens, completionTokens) {
+  const price = PRICING[model] || PRICING['*'];
+  if (!price) return null;
+  return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+}
+
+// Totals over a list of call records
+function sumUsage(calls) {
+  return calls.reduce((sum, c) => ({
+    calls: sum.calls + 1,
+    promptTokens: sum.promptTokens + c.promptTokens,
+    completionTokens: sum.completionTokens + c.completionTokens,
+    latencyMs: sum.latencyMs + c.latencyMs,
+    cost: c.cost === null ? sum.cost : sum.cost + c.cost,
+    unpricedCalls: sum.unpricedCalls + (c.cost === null ? 1 : 0)
+  }), { calls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, cost: 0, unpricedCalls: 0 });
+}
+
+// The `usage` block of tasks.json: run and per-agent totals plus every call
+function usageReport(workspace) {
+  const calls = workspace.usage || [];
+  const byAgent = {};
+  calls.forEach(c => {
+    if (byAgent[c.agent]) return;
+    const own = calls.filter(o => o.agent === c.agent);
+    byAgent[c.agent] = { ...sumUsage(own), models: [...new Set(own.map(o => o.model))] };
+  });
+  return {
+    total: sumUsage(calls),
+    byAgent,
+    budget: { usd: BUDGET_USD, tokens: BUDGET_TOKENS, exceeded: workspace.budgetExceeded || null },
+    calls
+  };
+}
+
+// Set workspace.budgetExceeded (a description of the overrun) once a cap is passed
+function updateBudget(workspace) {
+  const total = sumUsage(workspace.usage);
+  const tokens = total.promptTokens + total.completionTokens;
+  if (BUDGET_TOKENS !== null && tokens > BUDGET_TOKENS) {
+    workspace.budgetExceeded = `${tokens} tokens used of ${BUDGET_TOKENS}`;
+  } else if (BUDGET_USD !== null && total.cost > BUDGET_USD) {
+    workspace.budgetExceeded = `$${total.cost.toFixed(4)} spent of $${BUDGET_USD}`;
+  } else {
+    workspace.budgetExceeded = null;
+  }
+}
+
+function recordUsage(workspace, call) {
+  workspace.usage.push(call);
+  if (call.cost === null && BUDGET_USD !== null && !workspace.unpricedWarned) {
+    workspace.unpricedWarned = true;
+    log(`⚠️  No price for model ${call.model}; its calls do not count towards the $ budget (set SWARM_PRICING)`);
+  }
+  const wasExceeded = workspace.budgetExceeded;
+  updateBudget(workspace);
+  if (workspace.budgetExceeded && !wasExceeded) {
+    log(`💸 Budget exceeded (${workspace.budgetExceeded}); no further model calls will be made`);
+  }
+}
+
+function budgetError(workspace) {
+  const err = new Error(`Budget exceeded: ${workspace.budgetExceeded}`);
+  err.budgetExceeded = true;
+  return err;
+}
+
+// Raised once the run is cancelled (runSwarm's AbortSignal, SIGINT/SIGTERM, --deadline); never retried
+function abortError(message = 'Run aborted') {
+  const err = new Error(message);
+  err.aborted = true;
+  return err;
+}
+
+// The error a cancelled run stops with: the signal's reason when watchCancellation set one
+function cancellation(signal = runContext.signal) {
+  return signal?.reason?.aborted ? signal.reason : abortError();
+}
+
+// run_finished status for an error that stopped a run
+function failureStatus(err) {
+  if (err.budgetExceeded) return 'budget_exceeded';
+  return err.aborted ? 'aborted' : 'failed';
+}
+
+function log(msg) {
+  const line = `[${new Date().toISOString()}] ${msg}`;
+  if (runContext.logger) runContext.logger(redactSecrets(line));
+}
+
+// Secrets. Everything the orchestrator persists or logs (prompts, model replies, decisions,
+// learnings, events, tasks.json, the summary, fixtures) goes through redactSecrets, and prompts are
+// redacted on the way in. Generated files are scanned before assembly (see scanGeneratedSecrets).
+
+// Names that suggest an assigned value is a credential
+const SECRET_NAME = '[A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|api[_-]?key|apikey|private[_-]?key|access[_-]?key|auth[_-]?key|credentials?)[A-Za-z0-9_]*';
+// Values that are obviously not real credentials: placeholder words standing on their own (between
+// separators, so sk_test_... or a random token containing "your" still counts) and references
+const PLACEHOLDER_VALUE = /(?<![a-z0-9])(?:your|example|change[-_]?(?:me|this)|replace[-_]?(?:me|this)|placeholder|dummy|sample|fake|x{3,}|redacted)(?![a-z0-9])|\*\*\*|<|\$\{|\{\{|process\.env|os\.environ|getenv/i;
+
+// Provider key formats first; then credentials in URLs and values assigned to secret-looking
+// names, which only count when they look random enough (Shannon entropy per character)
+const SECRET_DETECTORS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'openrouter-key', pattern: /\bsk-or-(?:v1-)?[A-Za-z0-9]{32,}/g },
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'stripe-key', pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { name: 'url-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:(?<secret>[^\s:@/]{8,})@/gi, entropy: 3 },
+  { name: 'assigned-secret', pattern: new RegExp(`${SECRET_NAME}["'\`]?\\s*[:=]\\s*(["'\`])(?<secret>[^"'\`\\s]{12,})\\1`, 'gi'), entropy: 3.5 },
+  { name: 'assigned-secret', pattern: new RegExp(`^[ \\t]*(?:export[ \\t]+)?${SECRET_NAME}[ \\t]*[:=][ \\t]*(?<secret>[^\\s#"'\`;(){}\\[\\],]{12,})[ \\t]*$`, 'gim'), entropy: 3.5 }
+];
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  counts.forEach(n => { entropy -= (n / text.length) * Math.log2(n / text.length); });
+  return entropy;
+}
+
+// Values the orchestrator must never write or log, longest first: the provider keys wherever they
+// are set, and secret-looking entries (GITHUB_TOKEN, DB_PASSWORD, ...) of .env and runSwarm
+// options. SWARM_* settings are not secrets. The rest of the environment belongs to the machine,
+// not the run, and is left to the detectors.
+function knownSecrets() {
+  const values = new Map();
+  const named = [...Object.entries(env), ...Object.entries(overrides)]
+    .filter(([name]) => /KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL/i.test(name) && !name.startsWith('SWARM_'))
+    .concat(['OPENROUTER_API_KEY', 'OPENAI_API_KEY'].map(name => [name, setting(name)]));
+  named.forEach(([name, value]) => {
+    if (typeof value !== 'string' || value.length < 8) return;
+    values.set(value, name);
+    // As it appears inside JSON strings
+    const escaped = JSON.stringify(value).slice(1, -1);
+    if (escaped !== value) values.set(escaped, name);
+  });
+  return [...values].map(([value, name]) => ({ name, value })).sort((a, b) => b.value.length - a.value.length);
+}
+
+// Secrets in text as { detector, index, value, known }, without overlaps
+function findSecrets(text) {
+  const found = [];
+  SECRET_VALUES.forEach(({ name, value }) => {
+    for (let i = text.indexOf(value); i !== -1; i = text.indexOf(value, i + value.length)) {
+      found.push({ detector: name, index: i, value, known: true });
+    }
+  });
+  SECRET_DETECTORS.forEach(detector => {
+    for (const m of text.matchAll(detector.pattern)) {
+      const value = m.groups?.secret ?? m[0];
+      if (detector.entropy && (PLACEHOLDER_VALUE.test(value) || shannonEntropy(value) < detector.entropy)) continue;
+      found.push({ detector: detector.name, index: m.index + m[0].lastIndexOf(value), value, known: false });
+    }
+  });
+  // At the same spot a known value wins, then the longer match
+  found.sort((a, b) => a.index - b.index || b.known - a.known || b.value.length - a.value.length);
+  let end = 0;
+  return found.filter(f => {
+    if (f.index < end) return false;
+    end = f.index + f.value.length;
+    return true;
+  });
+}
+
+function redactSecrets(text) {
+  if (typeof text !== 'string' || !text) return text;
+  let result = '';
+  let pos = 0;
+  findSecrets(text).forEach(f => {
+    result += `${text.slice(pos, f.index)}[REDACTED:${f.detector}]`;
+    pos = f.index + f.value.length;
+  });
+  return pos ? result + text.slice(pos) : text;
+}
+
+// Prompts are redacted before anything sees them, the model included
+function redactPrompt(prompt) {
+  const redacted = redactSecrets(prompt);
+  if (redacted !== prompt) log('⚠️  Removed secrets from the prompt; pass credentials through the environment instead');
+  return redacted;
+}
+
+// Learning capture functions (inspired by self-improving-agent). Each entry goes to the run's
+// .learnings/*.md and, unless meta.remember is false, to the cross-run store below.
+function logError(workspace, agentId, error, context = '', meta = {}) {
+  const timestamp = new Date().toISOString();
+  const entry = `## ${timestamp} — ${agentId}\n\n**Error:** ${error}\n**Context:** ${context || 'N/A'}\n\n---\n\n`;
+  fs.appendFileSync(path.join(workspace.learningsDir, 'ERRORS.md'), redactSecrets(entry));
+  if (meta.remember !== false) rememberLearning(workspace, { type: 'error', agent: agentId, role: meta.role, title: error, detail: context });
+}
+
+function logLearning(workspace, agentId, title, content, category = 'correction', meta = {}) {
+  const timestamp = new Date().toISOString();
+  const entry = `## ${timestamp} — ${agentId} (${category})\n\n**${title}**\n\n${content}\n\n---\n\n`;
+  fs.appendFileSync(path.join(workspace.learningsDir, 'LEARNINGS.md'), redactSecrets(entry));
+  if (meta.remember !== false) rememberLearning(workspace, { type: category, agent: agentId, role: meta.role, title, detail: content });
+}
+
+function logFeatureRequest(workspace, agentId, feature, rationale) {
+  const timestamp = new Date().toISOString();
+  const entry = `## ${timestamp} — ${agentId}\n\n**Feature:** ${feature}\n**Rationale:** ${rationale}\n\n---\n\n`;
+  fs.appendFileSync(path.join(workspace.learningsDir, 'FEATURE_REQUESTS.md'), redactSecrets(entry));
+  rememberLearning(workspace, { type: 'feature_request', agent: agentId, title: feature, detail: rationale });
+}
+
+// Cross-run learnings store: JSONL under the workspace root (LEARNINGS_FILE), one line per distinct
+// pattern. Patterns seen in LEARNINGS_MIN_RUNS runs, and any the user promoted, are fed back into the
+// Planner and worker prompts of later runs (at most LEARNINGS_LIMIT per prompt, 0 disables).
+
+function loadLearnings() {
+  if (!fs.existsSync(LEARNINGS_FILE)) return [];
+  return fs.readFileSync(LEARNINGS_FILE, 'utf8').split('\n').filter(line => line.trim()).flatMap((line, i) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (e) {
+      log(`Skipping unreadable line ${i + 1} of ${LEARNINGS_FILE}`);
+      return [];
+    }
+  });
+}
+
+// Write through a temp file and rename it into place, so a crash or kill never leaves half a file
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+// The whole store is rewritten each time
+function saveLearnings(entries) {
+  fs.mkdirSync(path.dirname(LEARNINGS_FILE), { recursive: true });
+  writeFileAtomic(LEARNINGS_FILE, entries.map(e => JSON.stringify(e) + '\n').join(''));
+}
+
+// The same pattern from another run hashes to the same id: quoted values, long hex ids and
+// numbers (attempt counts, line numbers, ports) are masked first
+function learningId(type, agent, title) {
+  const pattern = String(title).toLowerCase()
+    .replace(/(["'`]).*?\1/g, '"…"')
+    .replace(/\b[0-9a-f]{8,}\b/g, '#')
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return crypto.createHash('sha1').update(`${type}|${agent}|${pattern}`).digest('hex').slice(0, 8);
+}
+
+// tech_stack values a learning is tied to ("None" picks are not a stack)
+function stackTags(techStack) {
+  return [...new Set(Object.values(techStack || {}).filter(v => typeof v === 'string' && !/^none$/i.test(v)))];
+}
+
+function rememberLearning(workspace, { type, agent, role = null, title, detail = '' }) {
+  title = redactSecrets(title);
+  detail = redactSecrets(detail);
+  const entries = loadLearnings();
+  const id = learningId(type, agent, title);
+  const now = new Date().toISOString();
+  const stack = stackTags(workspace.techStack);
+  const existing = entries.find(e => e.id === id);
+  if (existing) {
+    existing.count++;
+    if (!existing.projects.includes(workspace.projectId)) {
+      existing.runs++;
+      existing.projects = existing.projects.concat(workspace.projectId).slice(-10);
+    }
+    existing.stack = [...new Set(existing.stack.concat(stack))];
+    existing.title = title;
+    existing.detail = detail || existing.detail;
+    existing.lastSeen = now;
+  } else {
+    entries.push({ id, type, agent, role, title, detail, stack, status: 'active', count: 1, runs: 1, projects: [workspace.projectId], firstSeen: now, lastSeen: now });
+  }
+  saveLearnings(entries);
+}
+
+// Learnings worth repeating to `agents` (matched against the entry's agent or role): promoted
+// first, then those shared with this tech stack, then the most recurring. Feature requests are
+// for people, not prompts. Ids used are kept on the workspace for the summary.
+function relevantLearnings(workspace, agents, techStack) {
+  if (LEARNINGS_LIMIT <= 0) return [];
+  const tags = stackTags(techStack);
+  const picked = loadLearnings()
+    .filter(e => e.type !== 'feature_request')
+    .filter(e => e.status === 'promoted' || (e.status === 'active' && e.runs >= LEARNINGS_MIN_RUNS))
+    .filter(e => agents.includes(e.agent) || agents.includes(e.role))
+    .map(e => ({ e, overlap: e.stack.filter(t => tags.includes(t)).length }))
+    // A pattern from another stack entirely (a Go build error, say) does not apply here
+    .filter(({ e, overlap }) => overlap > 0 || !e.stack.length || !tags.length)
+    .sort((a, b) => (b.e.status === 'promoted') - (a.e.status === 'promoted') || b.overlap - a.overlap || b.e.runs - a.e.runs)
+    .slice(0, LEARNINGS_LIMIT)
+    .map(({ e }) => e);
+  picked.forEach(e => workspace.appliedLearnings.add(e.id));
+  return picked;
+}
+
+// Prompt section listing `entries`; empty when there are none
+function learningsNote(entries) {
+  if (!entries.length) return '';
+  const lines = entries.map(e => `- ${e.title}${e.detail ? `: ${e.detail.replace(/\s+/g, ' ').slice(0, 200)}` : ''}`);
+  return `\n\nLessons from earlier runs (avoid repeating these):\n${lines.join('\n')}\n`;
+}
+
+// Retry policy: classify each failure, then pick how the next attempt is degraded.
+//   transient (HTTP 429/5xx, connection resets) and timeout -> exponential backoff
+//   no_file_blocks (worker ignored the FILE format)         -> lower temperature + format reminder, then one call per output file
+//   truncated (still cut off after continuations)           -> one call per output file
+//   invalid_json (Planner reply is not JSON)                 -> lower temperature + JSON-only reminder
+//   fatal (auth, bad model id, ...)                          -> no retry
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+function classifyError(err) {
+  const msg = err.message || '';
+  if (err.budgetExceeded) return 'budget';
+  if (err.aborted) return 'aborted';
+  if (err.patchFailed) return 'patch_failed';
+  if (err.truncated) return 'truncated';
+  if (err.code === 'ETIMEDOUT' || /timed? ?out/i.test(msg)) return 'timeout';
+  if (err.statusCode === 429 || err.statusCode >= 500 || TRANSIENT_CODES.includes(err.code)) return 'transient';
+  if (msg.includes('No file blocks found')) return 'no_file_blocks';
+  if (err instanceof SyntaxError) return 'invalid_json';
+  return 'fatal';
+}
+
+// Strategy for the next attempt, derived from every failure so far (degradation never resets)
+function pickStrategy(attempts) {
+  const failures = attempts.filter(a => a.status === 'failed');
+  if (failures.length === 0) return 'initial';
+  const formatFailures = failures.filter(a => a.errorType === 'no_file_blocks').length;
+  // Continuations could not fit the reply under the token cap: ask for smaller replies
+  if (formatFailures >= 2 || failures.some(a => a.errorType === 'truncated')) return 'split_outputs';
+  if (formatFailures === 1) return 'format_reminder';
+  if (failures.some(a => a.errorType === 'invalid_json')) return 'strict_json';
+  // A diff that does not apply: ask for whole files instead
+  if (failures.some(a => a.errorType === 'patch_failed')) return 'full_files';
+  return 'backoff';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `fn(ctx)` until it succeeds or MAX_RETRIES is used up. Every attempt is appended to
+// `attempts` (later persisted in tasks.json); ctx.strategy tells `fn` how to degrade its request.
+async function withRetry(label, fn, attempts) {
+  for (let attempt = 1; ; attempt++) {
+    const strategy = pickStrategy(attempts);
+    const startedAt = new Date().toISOString();
+    try {
+      const result = await fn({ attempt, strategy });
+      attempts.push({ attempt, strategy, status: 'success', startedAt });
+      return result;
+    } catch (err) {
+      const errorType = classifyError(err);
+      attempts.push({ attempt, strategy, status: 'failed', errorType, error: err.message, startedAt });
+      if (['fatal', 'budget', 'aborted'].includes(errorType) || attempt > MAX_RETRIES) {
+        err.attempts = attempts;
+        throw err;
+      }
+      const delay = errorType === 'transient' || errorType === 'timeout'
+        ? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 250)
+        : 0;
+      log(`${label} attempt ${attempt} failed (${errorType}): ${err.message}. Retrying as ${pickStrategy(attempts)}${delay ? ` in ${delay}ms` : ''}...`);
+      if (delay) await sleep(delay);
+    }
+  }
+}
+
+const FILE_FORMAT_REMINDER = `
+
+IMPORTANT: Your previous answer could not be parsed. Every file MUST be wrapped exactly like this, with nothing else on the marker lines:
+=== FILE: relative/path ===
+<full file content>
+=== END FILE ===`;
+
+const JSON_ONLY_REMINDER = `
+
+IMPORTANT: Your previous answer was not valid JSON. Reply with the raw JSON object only: no markdown fences, no comments, no trailing commas, no prose.`;
+
+// Decision records. Every decision is appended to DECISIONS.md and kept as a structured record in
+// DECISIONS.json: { id, agent, category, subject, choice, rationale, at }. `subject` is the decision
+// as written; `choice` is the technology it picks when DECISION_TERMS recognises one. New records
+// are checked against the manifest's tech_stack and earlier decisions; contradictions are kept
+// under `conflicts` and reported in SWARM_SUMMARY.md.
+
+// Technologies the conflict check recognises, per category. Categories named like tech_stack keys
+// are checked against the manifest; the others only against earlier decisions.
+const DECISION_TERMS = {
+  database: { Postgres: /\bpostgres(ql)?\b/i, MySQL: /\b(mysql|mariadb)\b/i, SQLite: /\bsqlite3?\b/i, MongoDB: /\bmongo(db|ose)?\b/i, None: /\bno (database|db)\b|\bin-memory\b/i },
+  backend: { Express: /\bexpress(\.js)?\b/i, Fastify: /\bfastify\b/i, Koa: /\bkoa\b/i, NestJS: /\bnest(js)?\b/i, FastAPI: /\bfastapi\b/i, Flask: /\bflask\b/i, Django: /\bdjango\b/i },
+  frontend: { React: /\breact\b/i, Vue: /\bvue(\.js)?\b/i, Svelte: /\bsvelte(kit)?\b/i, Angular: /\bangular\b/i, VanillaJS: /\bvanilla ?(js|javascript)\b|\bno (frontend )?framework\b/i },
+  language: { TypeScript: /\btypescript\b/i, JavaScript: /\bjavascript\b/i, Python: /\bpython\b/i, Go: /\bgolang\b|\bin go\b/i, Rust: /\brust\b/i },
+  css_framework: { Tailwind: /\btailwind(css)?\b/i, Bootstrap: /\bbootstrap\b/i, Bulma: /\bbulma\b/i, 'Plain CSS': /\b(plain|vanilla) css\b/i },
+  blockchain_network: { ethereum: /\bethereum\b/i, solana: /\bsolana\b/i, polygon: /\bpolygon\b/i },
+  wallet_provider: { Privy: /\bprivy\b/i, Wagmi: /\bwagmi\b/i, RainbowKit: /\brainbowkit\b/i },
+  auth: { JWT: /\bjwts?\b|\bjson web tokens?\b/i, Sessions: /\bsession(s| cookies?)\b|\bcookie sessions?\b/i },
+  testing: { Jest: /\bjest\b/i, Mocha: /\bmocha\b/i, Vitest: /\bvitest\b/i, 'node:test': /\bnode:test\b|\bbuilt-in test runner\b/i }
+};
+const DECISION_CATEGORIES = Object.keys(DECISION_TERMS).join(', ');
+const DECISION_CATEGORY_ALIASES = { db: 'database', css: 'css_framework', styling: 'css_framework', blockchain: 'blockchain_network', wallet: 'wallet_provider', authentication: 'auth', tests: 'testing', test: 'testing' };
+
+// Category and recognised technology of a decision. A category the agent gave wins; the choice is
+// the first known term before "over", "instead of", ...
+function classifyDecision(text, given) {
+  const named = given && given.toLowerCase().trim().replace(/[\s-]+/g, '_');
+  const category = named && (DECISION_TERMS[named] ? named : DECISION_CATEGORY_ALIASES[named]);
+  const chosen = text.split(/\b(?:over|instead of|rather than|versus|vs\.?|not)\b/i)[0];
+  let best = null;
+  Object.entries(category ? { [category]: DECISION_TERMS[category] } : DECISION_TERMS).forEach(([cat, terms]) => {
+    Object.entries(terms).forEach(([term, pattern]) => {
+      const match = chosen.match(pattern);
+      if (match && (!best || match.index < best.index)) best = { category: cat, choice: term, index: match.index };
+    });
+  });
+  return { category: category || best?.category || named || 'other', choice: best?.choice || null };
+}
+
+// tech_stack value as a DECISION_TERMS term ("None" in any category), or null when not recognised
+function stackChoice(category, value) {
+  if (typeof value !== 'string') return null;
+  if (/^none$/i.test(value.trim())) return 'None';
+  const term = Object.entries(DECISION_TERMS[category] || {}).find(([, pattern]) => pattern.test(value));
+  return term ? term[0] : null;
+}
+
+function readDecisions(workspace) {
+  if (!fs.existsSync(workspace.decisionsJsonPath)) return { decisions: [], conflicts: [] };
+  return JSON.parse(fs.readFileSync(workspace.decisionsJsonPath, 'utf8'));
+}
+
+function writeDecisions(workspace, data) {
+  writeFileAtomic(workspace.decisionsJsonPath, JSON.stringify(data, null, 2));
+}
+
+// Contradictions of a new record: with tech_stack when it names this category, else with earlier
+// decisions of other agents
+function findDecisionConflicts(record, techStack, earlier) {
+  if (!record.choice) return [];
+  const expected = stackChoice(record.category, techStack?.[record.category]);
+  if (expected) {
+    return expected === record.choice ? [] : [{ with: `tech_stack.${record.category}`, expected, message: `${record.agent} chose ${record.choice} for ${record.category}, but the manifest's tech_stack.${record.category} is ${techStack[record.category]}` }];
+  }
+  const seen = new Set();
+  return earlier
+    .filter(d => d.category === record.category && d.choice && d.choice !== record.choice && d.agent !== record.agent)
+    .filter(d => !seen.has(d.choice) && seen.add(d.choice))
+    .map(d => ({ with: d.id, expected: d.choice, message: `${record.agent} chose ${record.choice} for ${record.category}, but ${d.agent} chose ${d.choice} (${d.id})` }));
+}
+
+// ADR-style copy of a decision under docs/adr/ in the project (SWARM_ADR=1)
+function writeAdr(workspace, record, status = 'Accepted', conflicts = []) {
+  const dir = path.join(workspace.projectDir, 'docs', 'adr');
+  fs.mkdirSync(dir, { recursive: true });
+  const number = record.id.slice(1).padStart(4, '0');
+  const slug = record.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'decision';
+  const existing = fs.readdirSync(dir).find(f => f.startsWith(`${number}-`));
+  let adr = `# ${Number(number)}. ${record.subject}\n\nDate: ${record.at.slice(0, 10)}\nStatus: ${status}\nAgent: ${record.agent}\nCategory: ${record.category}${record.choice ? ` (${record.choice})` : ''}\n\n`;
+  adr += `## Context\n\n${record.rationale}\n\n## Decision\n\n${record.subject}\n`;
+  if (conflicts.length) adr += `\n## Conflicts\n\n${conflicts.map(c => `- ${c.message}`).join('\n')}\n`;
+  fs.writeFileSync(path.join(dir, existing || `${number}-${slug}.md`), adr);
+}
+
+// Record a decision to DECISIONS.md and DECISIONS.json; details may carry the agent's category
+function recordDecision(workspace, agentId, decision, rationale, details = {}) {
+  decision = redactSecrets(decision);
+  rationale = redactSecrets(rationale);
+  const timestamp = new Date().toISOString();
+  const data = readDecisions(workspace);
+  const { category, choice } = classifyDecision(decision, details.category);
+  const record = { id: `D${data.decisions.length + 1}`, agent: agentId, category, subject: decision, choice, rationale, at: timestamp };
+  const conflicts = findDecisionConflicts(record, workspace.techStack, data.decisions).map((c, i) => ({
+    id: `C${data.conflicts.length + i + 1}`,
+    decision: record.id,
+    agent: agentId,
+    category: record.category,
+    choice: record.choice,
+    conflictsWith: c.with,
+    expected: c.expected,
+    message: c.message,
+    status: 'open'
+  }));
+  data.decisions.push(record);
+  data.conflicts.push(...conflicts);
+  writeDecisions(workspace, data);
+
+  let entry = `## ${timestamp} — ${agentId}\n\n**Decision:** ${decision}\n\n`;
+  if (record.category !== 'other') entry += `**Category:** ${record.category}${record.choice ? ` (${record.choice})` : ''}\n\n`;
+  entry += `**Rationale:** ${rationale}\n\n`;
+  conflicts.forEach(c => { entry += `**Conflict:** ${c.message}\n\n`; });
+  fs.appendFileSync(workspace.decisionsPath, entry + '---\n\n');
+  if (ADR) writeAdr(workspace, record, 'Accepted', conflicts);
+  emitEvent(workspace, 'decision_recorded', { agent: agentId, decision, id: record.id, category: record.category, choice: record.choice });
+  conflicts.forEach(c => {
+    log(`⚠️  Decision conflict: ${c.message}`);
+    emitEvent(workspace, 'decision_conflict', { id: c.id, agent: agentId, category: c.category, choice: c.choice, conflictsWith: c.conflictsWith, expected: c.expected });
+    logLearning(workspace, agentId, `Chose ${c.choice} for ${c.category} against ${c.expected}`, c.message, 'decision_conflict', { role: agentId });
+  });
+  return record;
+}
+
+// Progress events, one JSON object per line in events.jsonl. `seq` keeps counting across resume
+// and evolve, so SSE clients can reconnect with Last-Event-ID.
+function emitEvent(workspace, type, data = {}) {
+  if (workspace.eventSeq === undefined) {
+    workspace.eventSeq = fs.existsSync(workspace.eventsPath)
+      ? fs.readFileSync(workspace.eventsPath, 'utf8').split('\n').filter(line => line.trim()).length
+      : 0;
+  }
+  const line = redactSecrets(JSON.stringify({ seq: ++workspace.eventSeq, at: new Date().toISOString(), type, ...data }));
+  const event = JSON.parse(line);
+  fs.appendFileSync(workspace.eventsPath, line + '\n');
+  // runSwarm hooks see events as they are written; a throwing hook does not stop the run
+  for (const hook of [runContext.hooks[type], runContext.onEvent]) {
+    if (typeof hook !== 'function') continue;
+    try {
+      hook(event);
+    } catch (err) {
+      log(`Hook for ${type} failed: ${err.message}`);
+    }
+  }
+  return event;
+}
+
+// Paths of a project workspace under swarm-projects/
+function workspacePaths(projectId, prompt) {
+  const projectDir = path.join(PROJECTS_DIR, projectId);
+  return {
+    projectId,
+    projectDir,
+    prompt,
+    manifestPath: path.join(projectDir, 'swarm.yaml'),
+    filesDir: path.join(projectDir, 'files'),
+    tasksPath: path.join(projectDir, 'tasks.json'),
+    decisionsPath: path.join(projectDir, 'DECISIONS.md'),
+    decisionsJsonPath: path.join(projectDir, 'DECISIONS.json'),
+    learningsDir: path.join(projectDir, '.learnings'),
+    eventsPath: path.join(projectDir, 'events.jsonl'),
+    usage: [], // model calls, see recordUsage
+    appliedLearnings: new Set() // store ids fed into this run's prompts
+  };
+}
+
+function createProjectWorkspace(prompt) {
+  prompt = redactPrompt(prompt);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  // Runs started within the same second (runSwarm in a loop) get -2, -3, ...
+  let projectId = `swarm-${timestamp}`;
+  for (let n = 2; fs.existsSync(path.join(PROJECTS_DIR, projectId)); n++) projectId = `swarm-${timestamp}-${n}`;
+  const workspace = workspacePaths(projectId, prompt);
+  const projectDir = workspace.projectDir;
+  fs.mkdirSync(projectDir, { recursive: true });
+  fs.mkdirSync(workspace.filesDir, { recursive: true });
+  fs.mkdirSync(workspace.learningsDir, { recursive: true });
+  writeFileAtomic(workspace.tasksPath, JSON.stringify({ prompt, status: 'running', tasks: [], completed: [] }, null, 2));
+  
+  // Track start time for duration calculation
+  workspace.startTime = Date.now();
+  
+  // Initialize DECISIONS.md with project start
+  const decisionsHeader = `# Project Decisions\n\nCreated: ${new Date().toISOString()}\nPrompt: ${prompt}\n\nThis file documents key architectural and technical decisions made during development. It serves as project memory for future reference and continuity.\n\n---\n\n`;
+  fs.writeFileSync(workspace.decisionsPath, decisionsHeader);
+  
+  // Initialize learning logs
+  const learningHeader = `# Swarm Learning Log\n\nGenerated: ${new Date().toISOString()}\nProject: ${prompt}\n\n---\n\n`;
+  fs.writeFileSync(path.join(workspace.learningsDir, 'ERRORS.md'), learningHeader);
+  fs.writeFileSync(path.join(workspace.learningsDir, 'LEARNINGS.md'), learningHeader);
+  fs.writeFileSync(path.join(workspace.learningsDir, 'FEATURE_REQUESTS.md'), learningHeader);
+  
+  log(`Workspace: ${projectDir}`);
+  return workspace;
+}
+
+// Re-open an existing project workspace for resume, or for evolve (completed runs only; the run's
+// status is left alone). Nothing on disk is reset.
+function openProjectWorkspace(projectId, { evolve = false } = {}) {
+  const action = evolve ? 'evolve' : 'resume';
+  const workspace = workspacePaths(projectId, null);
+  if (!fs.existsSync(workspace.tasksPath)) {
+    throw new Error(`Cannot ${action} ${projectId}: ${workspace.tasksPath} not found`);
+  }
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  workspace.prompt = tasksDB.prompt || readPromptFromDecisions(workspace.decisionsPath);
+  if (!workspace.prompt) throw new Error(`Cannot ${action} ${projectId}: original prompt not recorded`);
+  if (evolve && tasksDB.status !== 'completed') {
+    throw new Error(`Cannot evolve ${projectId}: the run is ${tasksDB.status}; finish it with \`resume ${projectId}\` first`);
+  }
+  fs.mkdirSync(workspace.filesDir, { recursive: true });
+  fs.mkdirSync(workspace.learningsDir, { recursive: true });
+
+  // Usage so far counts towards the budget
+  workspace.usage = tasksDB.usage?.calls || [];
+  updateBudget(workspace);
+
+  if (!evolve) {
+    tasksDB.status = 'running';
+    delete tasksDB.cancelled;
+    tasksDB.resumedAt = (tasksDB.resumedAt || []).concat(new Date().toISOString());
+    saveTasks(workspace, tasksDB);
+  }
+
+  workspace.startTime = Date.now();
+  workspace.resumed = !evolve;
+  workspace.plannerAttempts = tasksDB.planner?.attempts || [];
+  workspace.plannerValidation = tasksDB.planner?.validation || [];
+  log(evolve
+    ? `Opened workspace: ${workspace.projectDir}`
+    : `Resuming workspace: ${workspace.projectDir} (${tasksDB.completed.length} roles already completed)`);
+  return workspace;
+}
+
+// Older runs did not store the prompt in tasks.json; fall back to the DECISIONS.md header
+function readPromptFromDecisions(decisionsPath) {
+  if (!fs.existsSync(decisionsPath)) return null;
+  const match = fs.readFileSync(decisionsPath, 'utf8').match(/^Prompt: (.*)$/m);
+  return match ? match[1] : null;
+}
+
+// Minimal YAML for manifests: block mappings and sequences, one-line flow [a, b] / {k: v}, quoted
+// and plain scalars, | and > block strings, comments. Anchors and aliases, tags, merge keys, complex
+// keys, indentation indicators, tabs and multi-document files are rejected with the line they are on.
+function parseYaml(text, source = 'YAML') {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let i = 0;
+  let started = false; // past the first node, where `---` would start a second document
+  let current = 0;      // line whose value is being parsed
+  const fail = (message, lineNo = current) => { throw new Error(`${source} line ${lineNo + 1}: ${message}`); };
+  const indentOf = line => line.match(/^ */)[0].length;
+  const isBlank = line => !line.trim() || line.trim().startsWith('#') || /^(---|\.\.\.)\s*$/.test(line);
+  const skipBlank = () => {
+    for (; i < lines.length && isBlank(lines[i]); i++) {
+      if (started && /^---/.test(lines[i])) fail('multiple documents are not supported', i);
+    }
+    if (i < lines.length && /^ *\t/.test(lines[i])) fail('tabs are not allowed in indentation', i);
+  };
+
+  // Remove a trailing comment that is outside quotes
+  const stripComment = str => {
+    let quote = null;
+    for (let k = 0; k < str.length; k++) {
+      const c = str[k];
+      if (quote) { if (c === quote) quote = null; }
+      else if (c === '"' || c === "'") quote = c;
+      else if (c === '#' && (k === 0 || /\s/.test(str[k - 1]))) return str.slice(0, k).trimEnd();
+    }
+    return str.trimEnd();
+  };
+
+  // Position of the `:` separating a mapping key from its value, or -1
+  const keySeparator = str => {
+    let quote = null;
+    for (let k = 0; k < str.length; k++) {
+      const c = str[k];
+      if (quote) { if (c === quote) quote = null; continue; }
+      if ((c === '"' || c === "'") && k === 0) { quote = c; continue; }
+      if (c === '[' || c === '{') return -1;
+      if (c === ':' && (k === str.length - 1 || str[k + 1] === ' ')) return k;
+    }
+    return -1;
+  };
+
+  const parsePlain = str => {
+    if (/^[&*][^\s,\[\]{}]/.test(str)) fail(`anchors and aliases are not supported (${str})`);
+    if (str[0] === '!') fail(`tags are not supported (${str})`);
+    if (str === '' || str === '~' || str === 'null') return null;
+    if (str === 'true') return true;
+    if (str === 'false') return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(str)) return Number(str);
+    return str;
+  };
+
+  const parseQuoted = str => {
+    if (str[0] === '"') {
+      try { return JSON.parse(str); } catch (e) { fail(`invalid double-quoted string ${str}`); }
+    }
+    if (!str.endsWith("'") || str.length < 2) fail(`unterminated string ${str}`);
+    return str.slice(1, -1).replace(/''/g, "'");
+  };
+
+  // Flow collections: [a, "b", {c: d}]
+  const parseFlow = str => {
+    let pos = 0;
+    const ws = () => { while (/\s/.test(str[pos] || '')) pos++; };
+    const value = () => {
+      ws();
+      if (str[pos] === '[') {
+        pos++;
+        const arr = [];
+        ws();
+        if (str[pos] === ']') { pos++; return arr; }
+        for (;;) {
+          arr.push(value());
+          ws();
+          if (str[pos] === ',') { pos++; continue; }
+          if (str[pos] === ']') { pos++; return arr; }
+          if (pos >= str.length) fail(`unterminated ${str}; flow collections must fit on one line`);
+          fail(`expected , or ] in ${str}`);
+        }
+      }
+      if (str[pos] === '{') {
+        pos++;
+        const obj = {};
+        ws();
+        if (str[pos] === '}') { pos++; return obj; }
+        for (;;) {
+          const key = value();
+          ws();
+          if (str[pos] !== ':') fail(`expected : in ${str}`);
+          pos++;
+          obj[key] = value();
+          ws();
+          if (str[pos] === ',') { pos++; continue; }
+          if (str[pos] === '}') { pos++; return obj; }
+          if (pos >= str.length) fail(`unterminated ${str}; flow collections must fit on one line`);
+          fail(`expected , or } in ${str}`);
+        }
+      }
+      if (str[pos] === '"' || str[pos] === "'") {
+        const q = str[pos];
+        let end = pos + 1;
+        for (; end < str.length; end++) {
+          if (q === '"' && str[end] === '\\') end++;
+          else if (q === "'" && str[end] === "'" && str[end + 1] === "'") end++;
+          else if (str[end] === q) break;
+        }
+        const token = str.slice(pos, end + 1);
+        pos = end + 1;
+        return parseQuoted(token);
+      }
+      const start = pos;
+      while (pos < str.length && !',]}'.includes(str[pos]) && !(str[pos] === ':' && /\s/.test(str[pos + 1] || ' '))) pos++;
+      return parsePlain(str.slice(start, pos).trim());
+    };
+    const result = value();
+    ws();
+    if (pos < str.length) fail(`unexpected "${str.slice(pos)}"`);
+    return result;
+  };
+
+  // `|` / `>` block string: following lines indented deeper than `parentIndent`
+  const parseBlockString = (style, parentIndent) => {
+    const body = [];
+    let blockIndent = null;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.trim()) {
+        if (indentOf(line) <= parentIndent) break;
+        if (blockIndent === null) blockIndent = indentOf(line);
+      }
+      body.push(line.slice(blockIndent ?? 0));
+      i++;
+    }
+    // `|+` keeps trailing blank lines, `|` keeps one final newline, `|-` none
+    const trailing = [];
+    while (body.length && !body[body.length - 1].trim()) trailing.unshift(body.pop());
+    const text = style[0] === '>' ? body.join('\n').replace(/([^\n])\n(?=[^\n ])/g, '$1 ') : body.join('\n');
+    if (style.endsWith('-')) return text;
+    return text + '\n' + (style.endsWith('+') ? trailing.map(() => '\n').join('') : '');
+  };
+
+  // Value after `key:` or `- `; `indent` is the indentation of the owning line
+  const parseValue = (str, indent) => {
+    if (str === '') {
+      skipBlank();
+      if (i >= lines.length) return null;
+      const next = indentOf(lines[i]);
+      if (next > indent) return parseNode(next);
+      // Sequences may sit at the same indentation as their parent key
+      if (next === indent && /^-( |$)/.test(lines[i].trim())) return parseNode(next);
+      return null;
+    }
+    if (/^[|>][-+]?$/.test(str)) return parseBlockString(str, indent);
+    if (/^[|>]([-+]?\d|\d[-+]?)$/.test(str)) fail(`block string indentation indicators are not supported (${str})`);
+    if (str[0] === '[' || str[0] === '{') return parseFlow(str);
+    if (str[0] === '"' || str[0] === "'") return parseQuoted(str);
+    return parsePlain(str);
+  };
+
+  const parseKey = str => (str[0] === '"' || str[0] === "'" ? parseQuoted(str) : str);
+
+  const parseMapping = indent => {
+    const obj = {};
+    for (;;) {
+      skipBlank();
+      if (i >= lines.length || indentOf(lines[i]) !== indent || /^-( |$)/.test(lines[i].trim())) break;
+      const content = stripComment(lines[i].trim());
+      current = i++;
+      if (/^\?( |$)/.test(content)) fail('complex keys (?) are not supported');
+      const sep = keySeparator(content);
+      if (sep < 0) fail(`expected "key: value", got "${content}"`);
+      const key = parseKey(content.slice(0, sep).trim());
+      if (key === '<<') fail('merge keys (<<) are not supported');
+      if (Object.prototype.hasOwnProperty.call(obj, key)) fail(`duplicate key "${key}"`);
+      obj[key] = parseValue(content.slice(sep + 1).trim(), indent);
+    }
+    return obj;
+  };
+
+  const parseSequence = indent => {
+    const arr = [];
+    for (;;) {
+      skipBlank();
+      if (i >= lines.length || indentOf(lines[i]) !== indent || !/^-( |$)/.test(lines[i].trim())) break;
+      const trimmed = lines[i].trim();
+      const rest = stripComment(trimmed.slice(1).trimStart());
+      // `- key: value` / `- - item` start a nested node lined up with its first character
+      if (/^-( |$)/.test(rest) || (rest[0] !== '[' && rest[0] !== '{' && keySeparator(rest) > 0)) {
+        const column = indent + trimmed.length - trimmed.slice(1).trimStart().length;
+        lines[i] = ' '.repeat(column) + trimmed.slice(1).trimStart();
+        arr.push(parseNode(column));
+      } else {
+        current = i++;
+        arr.push(parseValue(rest, indent));
+      }
+    }
+    return arr;
+  };
+
+  const parseNode = indent => {
+    skipBlank();
+    const trimmed = lines[i].trim();
+    if (/^-( |$)/.test(trimmed)) return parseSequence(indent);
+    if (/^\?( |$)/.test(trimmed)) fail('complex keys (?) are not supported', i);
+    if (keySeparator(stripComment(trimmed)) < 0) {
+      current = i;
+      const value = parseValue(stripComment(trimmed), indent);
+      i++;
+      return value;
+    }
+    return parseMapping(indent);
+  };
+
+  skipBlank();
+  if (i >= lines.length) return null;
+  started = true;
+  const result = parseNode(indentOf(lines[i]));
+  skipBlank();
+  if (i < lines.length) fail(`unexpected indentation`, i);
+  return result;
+}
+
+// Serialize plain JSON data as block YAML that parseYaml reads back unchanged
+function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const scalar = v => {
+    if (v === null || v === undefined) return 'null';
+    if (typeof v !== 'string') return String(v);
+    const plain = /^[A-Za-z_./][\w ./()@+-]*$/.test(v) && !/\s$/.test(v) && !['true', 'false', 'null', '~'].includes(v);
+    return plain ? v : JSON.stringify(v);
+  };
+  const isEmpty = v => (Array.isArray(v) ? v.length === 0 : v && typeof v === 'object' && Object.keys(v).length === 0);
+  const inline = v => (Array.isArray(v) ? '[]' : v && typeof v === 'object' ? '{}' : scalar(v));
+
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item && typeof item === 'object' && !isEmpty(item)) {
+        const nested = toYaml(item, indent + 2);
+        return `${pad}- ${nested.slice(indent + 2)}`;
+      }
+      return `${pad}- ${inline(item)}\n`;
+    }).join('');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, v]) => {
+      if (v && typeof v === 'object' && !isEmpty(v)) {
+        return `${pad}${scalar(key)}:\n${toYaml(v, indent + 2)}`;
+      }
+      return `${pad}${scalar(key)}: ${inline(v)}\n`;
+    }).join('');
+  }
+  return `${pad}${scalar(value)}\n`;
+}
+
+// Read a YAML or JSON file (manifests, role definitions; swarm.yaml from older runs holds JSON)
+function readYamlFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (text.trim().startsWith('{')) return JSON.parse(text);
+  return parseYaml(text, file);
+}
+
+// Load the manifest written earlier in this run
+function loadManifest(workspace) {
+  const manifest = repairManifest(readYamlFile(workspace.manifestPath));
+  // Stack checks apply when planning; a saved run keeps the outputs it was planned with
+  const errors = validateManifest(manifest, { stack: false });
+  if (errors.length) throw manifestError(`Invalid manifest ${workspace.manifestPath}`, errors);
+  workspace.techStack = manifest.tech_stack;
+  emitManifest(workspace, manifest);
+  log(`Loaded manifest: ${manifest.roles.map(r => r.id).join(' -> ')}`);
+  return manifest;
+}
+
+// Allowed tech_stack values. The Planner prompt and the manifest validator both read from here.
+const TECH_STACK_OPTIONS = {
+  backend: ['Express', 'FastAPI', 'Go', 'Rust', 'Node', 'Python'],
+  frontend: ['React', 'Vue', 'Svelte', 'VanillaJS'],
+  language: ['JavaScript', 'TypeScript', 'Python', 'Go', 'Rust'],
+  database: ['Postgres', 'MongoDB', 'SQLite', 'None'],
+  css_framework: ['Tailwind', 'Bootstrap', 'Plain CSS'],
+  blockchain_network: ['ethereum', 'solana', 'polygon', 'none'],
+  wallet_provider: ['Privy', 'Wagmi', 'RainbowKit', 'None']
+};
+const OPTIONAL_TECH_KEYS = ['blockchain_network', 'wallet_provider'];
+
+// Per-language conventions, chosen by tech_stack.backend. Role prompts get them as {{stack.*}}, the
+// manifest is checked against them, and assembly and --verify use their install/run/test commands
+// (`commands` gives the defaults for an assembled project, null where nothing applies).
+const STACK_PROFILES = {
+  node: {
+    name: 'Node.js',
+    backends: ['Express', 'Node'],
+    languages: ['JavaScript', 'TypeScript'],
+    framework: 'Express',
+    dependency_files: ['package.json'],
+    dependencies: 'package.json with "start" and "test" scripts',
+    entry_files: ['server.js', 'server.ts'],
+    tests: 'test/*.test.js',
+    test_framework: 'Jest, Mocha or node:test, run by the "test" script in package.json',
+    security: 'helmet for security headers, express-rate-limit, input validation',
+    audit: 'npm audit',
+    docker_image: 'node:20-alpine',
+    install: 'npm install',
+    run: 'npm start',
+    test: 'npm test',
+    outputs: { backend: ['server.js', 'package.json'], tests: ['test/api.test.js'] },
+    no_tests: 'package.json has no test script',
+    commands(projectDir) {
+      const pkgPath = path.join(projectDir, 'package.json');
+      let pkg = null;
+      try { pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8')); } catch (e) { /* missing or invalid; install reports it */ }
+      const testScript = pkg?.scripts?.test;
+      return {
+        install: fs.existsSync(pkgPath) ? `npm install ${setting('SWARM_NPM_REGISTRY') ? '--prefer-offline' : '--offline'} --no-audit --no-fund` : null,
+        test: testScript && !/no test specified/.test(testScript) ? 'npm test' : null
+      };
+    }
+  },
+  python: {
+    name: 'Python',
+    backends: ['FastAPI', 'Python'],
+    languages: ['Python'],
+    framework: 'FastAPI',
+    dependency_files: ['pyproject.toml', 'requirements.txt'],
+    dependencies: 'pyproject.toml declaring its package ([tool.setuptools] packages = ["app"]), with pytest and httpx under [project.optional-dependencies] test',
+    entry_files: ['app/main.py', 'main.py', 'app.py'],
+    tests: 'tests/test_*.py',
+    test_framework: 'pytest, with FastAPI\'s TestClient for API tests',
+    security: 'CORS and trusted-host middleware, slowapi for rate limiting, pydantic models for input validation',
+    audit: 'pip-audit',
+    docker_image: 'python:3.12-slim',
+    install: 'python3 -m venv .venv && .venv/bin/pip install -e ".[test]"',
+    run: '.venv/bin/uvicorn app.main:app --reload',
+    test: '.venv/bin/python -m pytest',
+    outputs: { backend: ['app/main.py', 'pyproject.toml'], tests: ['tests/test_api.py'] },
+    no_tests: 'no test_*.py files',
+    commands(projectDir) {
+      const files = listProjectFiles(projectDir);
+      const install = fs.existsSync(path.join(projectDir, 'pyproject.toml')) ? this.install
+        : fs.existsSync(path.join(projectDir, 'requirements.txt')) ? 'python3 -m venv .venv && .venv/bin/pip install -r requirements.txt pytest'
+        : null;
+      const test = `.venv/bin/python -m pytest -q ${WORKSPACE_DIRS.map(dir => `--ignore=${dir}`).join(' ')}`;
+      return { install, test: files.some(f => /(^|\/)test_[^/]*\.py$|_test\.py$/.test(f)) ? test : null };
+    }
+  },
+  go: {
+    name: 'Go',
+    backends: ['Go'],
+    languages: ['Go'],
+    framework: 'net/http (chi for routing if needed)',
+    dependency_files: ['go.mod'],
+    dependencies: 'go.mod (go.sum is generated on install)',
+    entry_files: ['main.go', 'cmd/server/main.go'],
+    tests: '*_test.go files next to the code they test',
+    test_framework: 'the standard testing package with net/http/httptest, run by go test ./...',
+    security: 'security-header and rate-limit middleware (golang.org/x/time/rate), request validation',
+    audit: 'govulncheck ./...',
+    docker_image: 'golang:1.22-alpine to build, a distroless or alpine image to run',
+    install: 'go mod download',
+    run: 'go run .',
+    test: 'go test ./...',
+    outputs: { backend: ['main.go', 'go.mod'], tests: ['main_test.go'] },
+    no_tests: 'no *_test.go files',
+    commands(projectDir) {
+      const files = listProjectFiles(projectDir);
+      return {
+        install: fs.existsSync(path.join(projectDir, 'go.mod')) ? this.install : null,
+        test: files.some(f => f.endsWith('_test.go')) ? `go test $(go list ./... | grep -v -E '/(${WORKSPACE_DIRS.join('|')})(/|$)')` : null
+      };
+    }
+  },
+  rust: {
+    name: 'Rust',
+    backends: ['Rust'],
+    languages: ['Rust'],
+    framework: 'axum on tokio',
+    dependency_files: ['Cargo.toml'],
+    dependencies: 'Cargo.toml, with test-only crates under [dev-dependencies]',
+    entry_files: ['src/main.rs'],
+    tests: 'tests/*.rs against the library crate in src/lib.rs, plus #[cfg(test)] modules',
+    test_framework: 'cargo test (#[test] and #[tokio::test] functions)',
+    security: 'tower-http layers for CORS and headers, tower rate limiting, serde types for input validation',
+    audit: 'cargo audit',
+    docker_image: 'rust:1-slim to build, debian:bookworm-slim to run',
+    install: 'cargo fetch',
+    run: 'cargo run',
+    test: 'cargo test',
+    outputs: { backend: ['src/main.rs', 'src/lib.rs', 'Cargo.toml'], tests: ['tests/api.rs'] },
+    no_tests: 'no Cargo.toml',
+    commands(projectDir) {
+      const cargo = fs.existsSync(path.join(projectDir, 'Cargo.toml'));
+      return { install: cargo ? this.install : null, test: cargo ? this.test : null };
+    }
+  }
+};
+
+// The profile for a tech_stack: by backend, else by language; Node when neither says
+function stackProfile(tech = {}) {
+  const profiles = Object.values(STACK_PROFILES);
+  const profile = profiles.find(p => p.backends.includes(tech.backend)) || profiles.find(p => p.languages.includes(tech.language)) || STACK_PROFILES.node;
+  return { ...profile, dependency_file: profile.dependency_files.join(' or '), entry: profile.entry_files[0] };
+}
+
+// Problems with a manifest whose tech_stack and outputs belong to different languages: a language
+// the backend does not run, another stack's dependency manifest or entry point at the root, or no
+// dependency manifest for the chosen one
+function checkStackOutputs(manifest) {
+  const profile = stackProfile(manifest.tech_stack);
+  const errors = [];
+  const { backend, language } = manifest.tech_stack;
+  if (!profile.languages.includes(language)) {
+    errors.push(`tech_stack.language is ${language}, but a ${backend} backend is ${profile.languages.join(' or ')}; pick a matching backend and language`);
+  }
+  const others = Object.values(STACK_PROFILES).filter(p => p.name !== profile.name);
+  const outputs = manifest.roles.filter(r => r && Array.isArray(r.outputs)).flatMap(r => r.outputs.filter(o => typeof o === 'string').map(o => [r.id, o]));
+  outputs.forEach(([roleId, out]) => {
+    const other = others.find(p => p.dependency_files.includes(out) || p.entry_files.includes(out));
+    if (!other) return;
+    const instead = other.dependency_files.includes(out) ? profile.dependency_file : profile.entry;
+    errors.push(`${roleId}: output "${out}" belongs to a ${other.name} project, but the stack is ${profile.name} (${backend}); use ${instead} instead`);
+  });
+  if (!outputs.some(([, out]) => profile.dependency_files.includes(path.posix.basename(out)))) {
+    errors.push(`No role outputs ${profile.dependency_file}, which a ${profile.name} project needs for its dependencies`);
+  }
+  return errors;
+}
+
+// Fix what can be fixed without asking the model again: missing depends_on/name, enum casing
+function repairManifest(manifest) {
+  if (Array.isArray(manifest.roles)) {
+    manifest.roles.forEach(role => {
+      if (!role || typeof role !== 'object') return;
+      if (role.depends_on === undefined || role.depends_on === null) role.depends_on = [];
+      if (typeof role.depends_on === 'string') role.depends_on = [role.depends_on];
+      if (!role.name && typeof role.id === 'string') {
+        role.name = role.id.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+      }
+    });
+  }
+  if (manifest.tech_stack && typeof manifest.tech_stack === 'object') {
+    Object.entries(TECH_STACK_OPTIONS).forEach(([key, options]) => {
+      const value = manifest.tech_stack[key];
+      if (typeof value !== 'string') return;
+      const canonical = options.find(o => o.toLowerCase() === value.trim().toLowerCase());
+      if (canonical) manifest.tech_stack[key] = canonical;
+    });
+  }
+  if (manifest.shared_files === undefined) manifest.shared_files = [];
+  if (manifest.file_owners === undefined) manifest.file_owners = {};
+  if (manifest.constraints === undefined) manifest.constraints = [];
+  return manifest;
+}
+
+// Check a manifest against the Planner schema, and (unless `stack` is false) its outputs against its
+// stack profile. Returns a list of human-readable problems.
+function validateManifest(manifest, { stack = true } = {}) {
+  const errors = [];
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['Manifest must be a JSON object'];
+
+  if (typeof manifest.project_name !== 'string' || !manifest.project_name.trim()) errors.push('project_name must be a non-empty string');
+
+  const tech = manifest.tech_stack;
+  let techValid = false;
+  if (!tech || typeof tech !== 'object') {
+    errors.push('tech_stack must be an object');
+  } else {
+    const before = errors.length;
+    Object.entries(TECH_STACK_OPTIONS).forEach(([key, options]) => {
+      if (tech[key] === undefined && OPTIONAL_TECH_KEYS.includes(key)) return;
+      if (!options.includes(tech[key])) errors.push(`tech_stack.${key} is ${JSON.stringify(tech[key])}; expected one of ${options.join(', ')}`);
+    });
+    techValid = errors.length === before;
+  }
+
+  if (!Array.isArray(manifest.roles) || manifest.roles.length === 0) {
+    errors.push('roles must be a non-empty array');
+    return errors;
+  }
+
+  const ids = new Set();
+  const owners = new Map(); // output path -> role id
+  const shared = Array.isArray(manifest.shared_files) ? manifest.shared_files : [];
+  if (!Array.isArray(manifest.shared_files)) errors.push('shared_files must be an array of file paths');
+  else if (shared.some(f => typeof f !== 'string')) errors.push('shared_files must only contain strings');
+  const fileOwners = manifest.file_owners && typeof manifest.file_owners === 'object' && !Array.isArray(manifest.file_owners) ? manifest.file_owners : {};
+  if (fileOwners !== manifest.file_owners) errors.push('file_owners must be an object mapping file paths to role ids');
+
+  manifest.roles.forEach((role, i) => {
+    const where = `roles[${i}]`;
+    if (!role || typeof role !== 'object') return errors.push(`${where} must be an object`);
+    if (typeof role.id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(role.id)) {
+      errors.push(`${where}.id must be a kebab-case string (got ${JSON.stringify(role.id)})`);
+    } else if (ids.has(role.id)) {
+      errors.push(`Duplicate role id "${role.id}"`);
+    } else {
+      ids.add(role.id);
+    }
+    if (typeof role.name !== 'string' || !role.name) errors.push(`${where}.name must be a non-empty string`);
+    if (!Array.isArray(role.outputs) || role.outputs.length === 0) {
+      errors.push(`${role.id || where}: outputs must be a non-empty array of file paths`);
+    } else {
+      role.outputs.forEach(out => {
+        if (typeof out !== 'string' || !out.trim()) return errors.push(`${role.id || where}: output paths must be non-empty strings`);
+        if (path.isAbsolute(out) || out.split(/[\\/]/).includes('..')) errors.push(`${role.id || where}: output "${out}" must be a relative path inside the project`);
+        const owner = owners.get(out);
+        if (owner && !shared.includes(out) && !fileOwners[out]) errors.push(`Output "${out}" is claimed by both ${owner} and ${role.id}; give it one owner (file_owners) or list it in shared_files`);
+        owners.set(out, role.id);
+      });
+    }
+    if (!Array.isArray(role.depends_on) || role.depends_on.some(d => typeof d !== 'string')) {
+      errors.push(`${role.id || where}: depends_on must be an array of role ids`);
+    }
+  });
+
+  // Dangling and self dependencies
+  manifest.roles.forEach(role => {
+    if (!role || !Array.isArray(role.depends_on)) return;
+    role.depends_on.forEach(dep => {
+      if (dep === role.id) errors.push(`${role.id} depends on itself`);
+      else if (!ids.has(dep)) errors.push(`${role.id} depends on unknown role "${dep}"`);
+    });
+  });
+
+  Object.entries(fileOwners).forEach(([file, owner]) => {
+    if (!ids.has(owner)) errors.push(`file_owners["${file}"] names unknown role "${owner}"`);
+  });
+
+  const cycle = findDependencyCycle(manifest.roles);
+  if (cycle) errors.push(`Dependency cycle: ${cycle.join(' -> ')}`);
+  if (stack && techValid) errors.push(...checkStackOutputs(manifest));
+
+  if (manifest.decisions !== undefined) {
+    if (!Array.isArray(manifest.decisions) || manifest.decisions.some(d => !d || typeof d.what !== 'string')) {
+      errors.push('decisions must be an array of { "what": ..., "why": ... } objects');
+    }
+  }
+  return errors;
+}
+
+// Depth-first search for a cycle among known roles; returns the cycle path or null
+function findDependencyCycle(roles) {
+  const deps = new Map(roles.filter(r => r && typeof r.id === 'string').map(r => [r.id, Array.isArray(r.depends_on) ? r.depends_on : []]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const visit = (id) => {
+    if (state.get(id) === 'done' || !deps.has(id)) return null;
+    if (state.get(id) === 'visiting') return stack.slice(stack.indexOf(id)).concat(id);
+    state.set(id, 'visiting');
+    stack.push(id);
+    for (const dep of deps.get(id)) {
+      if (dep === id) continue; // reported as a self dependency
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+  for (const id of deps.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Error raised when the Planner cannot produce a valid manifest
+function manifestError(message, validationErrors) {
+  const err = new Error(`${message}:\n${validationErrors.map(e => `  - ${e}`).join('\n')}`);
+  err.validationErrors = validationErrors;
+  return err;
+}
+
+// Fields of a hand-written manifest the Planner still has to fill in
+function missingManifestFields(manifest) {
+  const missing = [];
+  if (typeof manifest.project_name !== 'string' || !manifest.project_name.trim()) missing.push('project_name');
+  const tech = manifest.tech_stack && typeof manifest.tech_stack === 'object' ? manifest.tech_stack : {};
+  Object.keys(TECH_STACK_OPTIONS)
+    .filter(key => tech[key] === undefined && !OPTIONAL_TECH_KEYS.includes(key))
+    .forEach(key => missing.push(`tech_stack.${key}`));
+  if (!Array.isArray(manifest.roles) || manifest.roles.length === 0) missing.push('roles');
+  if (manifest.decisions === undefined) missing.push('decisions');
+  return missing;
+}
+
+// Planner output with everything the user wrote laid over it. When the user chose the roles,
+// file ownership is theirs too.
+function mergeAuthoredManifest(authored, generated) {
+  const merged = { ...generated, ...authored };
+  merged.tech_stack = { ...(generated.tech_stack || {}), ...(authored.tech_stack || {}) };
+  if (authored.roles !== undefined) {
+    ['shared_files', 'file_owners', 'constraints'].forEach(key => {
+      if (authored[key] === undefined) delete merged[key];
+    });
+  }
+  return merged;
+}
+
+// The --manifest file, if one was given: { file, manifest }
+function readAuthoredManifest() {
+  const file = setting('SWARM_MANIFEST');
+  if (!file) return null;
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw new Error(`Manifest not found: ${resolved}`);
+  const manifest = readYamlFile(resolved);
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) throw new Error(`Manifest ${resolved} must be a mapping`);
+  return { file: resolved, manifest };
+}
+
+// Manifest for a new run: the Planner's, or the user's with the Planner filling in what is missing
+async function planManifest(workspace, authored) {
+  if (!authored) return runPlanner(workspace);
+  const missing = missingManifestFields(authored.manifest);
+  recordDecision(workspace, 'User', 'Manifest provided', missing.length
+    ? `${authored.file}; Planner fills in ${missing.join(', ')}`
+    : authored.file);
+
+  // The Planner cannot fix what the user wrote, so check those parts first, with stand-ins for the
+  // rest (in the stack the user picked, so they do not clash with it)
+  const profile = stackProfile(authored.manifest.tech_stack || {});
+  const placeholder = {
+    project_name: 'placeholder',
+    tech_stack: {
+      ...Object.fromEntries(Object.entries(TECH_STACK_OPTIONS)
+        .filter(([key]) => !OPTIONAL_TECH_KEYS.includes(key)).map(([key, options]) => [key, options[0]])),
+      backend: profile.backends[0],
+      language: profile.languages[0]
+    },
+    roles: [{ id: 'placeholder', name: 'Placeholder', outputs: [profile.dependency_files[0]], depends_on: [] }],
+    decisions: []
+  };
+  const manifest = repairManifest(missing.length ? mergeAuthoredManifest(authored.manifest, placeholder) : authored.manifest);
+  const errors = validateManifest(manifest);
+  if (errors.length) throw manifestError(`Invalid manifest ${authored.file}`, errors);
+  if (missing.length) return runPlanner(workspace, { authored: authored.manifest, missing });
+
+  log(`Using manifest ${authored.file}; skipping the Planner`);
+  return saveManifest(workspace, manifest, 'User');
+}
+
+// Ask an agent for a JSON document until check(parsed) -> { value, errors } reports no errors. The
+// conversation grows with each repair round: previous reply + the problems found in it, up to
+// PLANNER_REPAIRS rounds. Every attempt goes to `attempts`, every rejected reply to `validation`.
+async function requestValidJson(workspace, { agentId, label, noun, messages, check, attempts, validation }) {
+  for (let round = 0; ; round++) {
+    const { response, parsed } = await withRetry(label, async ({ attempt, strategy }) => {
+      const strict = strategy === 'strict_json';
+      const last = messages[messages.length - 1];
+      const response = await queryModel(agentId,
+        messages.slice(0, -1).concat({ role: 'user', content: strict ? last.content + JSON_ONLY_REMINDER : last.content }),
+        strict ? 0.1 : TEMPERATURE ?? 0.4, { workspace, attempt });
+
+      let jsonStr = response;
+      const match = response.match(/```json\n([\s\S]*?)\n```/);
+      if (match) jsonStr = match[1];
+      return { response, parsed: JSON.parse(jsonStr) };
+    }, attempts);
+
+    const { value, errors } = check(parsed);
+    if (errors.length === 0) return value;
+    validation.push({ round: round + 1, errors });
+    log(`${label} ${noun} invalid (${errors.length} problems):\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    if (round >= PLANNER_REPAIRS) {
+      logError(workspace, label, `${noun.charAt(0).toUpperCase() + noun.slice(1)} still invalid after ${round + 1} rounds`, errors.join('; '));
+      throw manifestError(`${label} could not produce a valid ${noun} after ${round + 1} rounds`, errors);
+    }
+    messages.push(
+      { role: 'assistant', content: response },
+      { role: 'user', content: `That ${noun} is invalid:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReturn the complete corrected ${noun} as JSON, keeping everything that was valid.` }
+    );
+  }
+}
+
+// Store entries the Planner should see: its own failures and run-level ones (verification, evolve)
+const PLANNER_LEARNING_AGENTS = ['Planner', 'Verifier', 'Evolve'];
+
+// One line per stack profile for the Planner: which backend and language pick it, and its files
+function stackOutputsGuide() {
+  return Object.values(STACK_PROFILES).map(p =>
+    `  - ${p.name} (backend ${p.backends.join('/')}, language ${p.languages.join('/')}): ${p.outputs.backend.join(', ')}; tests ${p.outputs.tests.join(', ')}`
+  ).join('\n');
+}
+
+// Planner: decides roles and dependencies. With `authored`, only the `missing` fields are its choice.
+async function runPlanner(workspace, { authored = null, missing = [] } = {}) {
+  log(authored ? `Running Planner for ${missing.join(', ')}...` : 'Running Planner...');
+  const systemMsg = `You are a senior software architect designing a swarm-coding manifest.
+
+Given a user prompt, output ONLY valid JSON (no markdown) with this schema:
+{
+  "project_name": "short name",
+  "tech_stack": {
+${Object.entries(TECH_STACK_OPTIONS).map(([key, options]) => `    "${key}": ${options.map(o => `"${o}"`).join(' | ')}`).join(',\n')}
+  },
+  "roles": [
+    { "id": "backend-dev", "name": "BackendDev", "outputs": ["server.js","package.json"], "depends_on": [] }
+  ],
+  "shared_files": ["README.md"],
+  "file_owners": { "README.md": "technical-writer" },
+  "constraints": [],
+  "decisions": [
+    { "what": "Tech stack choice", "why": "Based on prompt analysis and team capabilities", "category": "other" }
+  ]
+}
+
+Decisions:
+${plannerRoleGuide(workspace.prompt)}
+- Set depends_on to ensure logical order. Every role needs a depends_on array; it may only name other role ids and must not form a cycle.
+- Outputs should be likely file paths under the project root. Each output belongs to exactly one role unless it is listed in shared_files.
+- Outputs follow the backend's stack (the typical outputs above are the Node.js ones). Backend and tests by stack:
+${stackOutputsGuide()}
+  Do not mix stacks: no package.json at the root of a Python project, no go.mod in a Node.js one. A JavaScript frontend next to a non-Node backend keeps its package.json in its own directory (e.g. frontend/).
+- When several roles write the same file, name the role whose version wins in file_owners (JSON manifests such as package.json are merged automatically).
+- Include a "decisions" array explaining key architectural choices you're making (tech stack, auth method, etc.). This will be recorded in the project's DECISIONS.md for future reference. Give each a "category": ${DECISION_CATEGORIES}, or other.
+${learningsNote(relevantLearnings(workspace, PLANNER_LEARNING_AGENTS, authored?.tech_stack))}`;
+
+  let userMsg = `Build an app with this description: "${workspace.prompt}"`;
+  if (authored) {
+    userMsg += `\n\nThe team already wrote part of the manifest. Keep it exactly as given and fill in only: ${missing.join(', ')}. Return the complete manifest.\n\n${JSON.stringify(authored, null, 2)}`;
+  }
+
+  const attempts = [];
+  const validation = []; // one entry per manifest that failed validation
+  let manifest;
+  emitEvent(workspace, 'planner_started', { purpose: 'manifest' });
+  try {
+    manifest = await requestValidJson(workspace, {
+      agentId: 'planner',
+      label: 'Planner',
+      noun: 'manifest',
+      messages: [
+        { role: 'system', content: systemMsg },
+        { role: 'user', content: userMsg }
+      ],
+      check: parsed => {
+        const candidate = authored ? mergeAuthoredManifest(authored, parsed) : parsed;
+        return { value: candidate, errors: validateManifest(repairManifest(candidate)) };
+      },
+      attempts,
+      validation
+    });
+    emitEvent(workspace, 'planner_finished', { purpose: 'manifest', attempts: attempts.length });
+  } catch (err) {
+    emitEvent(workspace, 'planner_failed', { purpose: 'manifest', error: err.message });
+    throw err;
+  } finally {
+    recordPlannerAttempts(workspace, attempts, validation);
+  }
+  return saveManifest(workspace, manifest, authored && authored.decisions !== undefined ? 'User' : 'Planner');
+}
+
+function writeManifest(workspace, manifest) {
+  fs.writeFileSync(workspace.manifestPath, redactSecrets(`# Swarm manifest for: ${workspace.prompt.replace(/\s+/g, ' ')}\n${toYaml(manifest)}`));
+  emitManifest(workspace, manifest);
+}
+
+// The dependency graph for progress watchers
+function emitManifest(workspace, manifest) {
+  emitEvent(workspace, 'manifest_ready', {
+    project_name: manifest.project_name,
+    roles: manifest.roles.map(r => ({ id: r.id, name: r.name, depends_on: r.depends_on || [], outputs: r.outputs }))
+  });
+}
+
+// Write swarm.yaml and record the manifest's decisions under `author`
+function saveManifest(workspace, manifest, author) {
+  writeManifest(workspace, manifest);
+  workspace.techStack = manifest.tech_stack;
+  
+  // Record the manifest's decisions
+  if (manifest.decisions && Array.isArray(manifest.decisions)) {
+    manifest.decisions.forEach(dec => {
+      recordDecision(workspace, author, dec.what, dec.why || 'Architectural choice', { category: dec.category });
+    });
+  } else {
+    // Fallback: record the tech stack as a decision
+    const tech = manifest.tech_stack;
+    const techSummary = Object.entries(tech).map(([k,v]) => `${k}: ${v}`).join(', ');
+    recordDecision(workspace, author, 'Tech stack selected', techSummary);
+  }
+  
+  // Record overall architectural decision about role assignment
+  const roleCount = manifest.roles.length;
+  const roleNames = manifest.roles.map(r => r.id).join(', ');
+  recordDecision(workspace, author, `Assigned ${roleCount} roles`, `Team composition: ${roleNames}`);
+  
+  log(`Manifest: ${manifest.roles.map(r => r.id).join(' -> ')}`);
+  return manifest;
+}
+
+// Keep the Planner's attempt and validation history in tasks.json (and on the workspace for the summary)
+function recordPlannerAttempts(workspace, attempts, validation = []) {
+  workspace.plannerAttempts = attempts;
+  workspace.plannerValidation = validation;
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  tasksDB.planner = { attempts, validation };
+  saveTasks(workspace, tasksDB);
+}
+
+// Undeclared files end up here under the quarantine policy; never assembled
+const QUARANTINE_DIR = '.quarantine';
+
+// Normalize a path emitted by a worker to a clean relative path; null if it is absolute or escapes upward
+function normalizeOutputPath(rawPath) {
+  const cleaned = rawPath.trim().replace(/^[`'"]+|[`'"]+$/g, '').replace(/\\/g, '/');
+  if (!cleaned || cleaned.includes('\0') || /^([a-zA-Z]:)?\//.test(cleaned)) return null;
+  const normalized = path.posix.normalize(cleaned).replace(/^(\.\/)+/, '');
+  if (normalized === '.' || normalized === '..' || normalized.startsWith('../')) return null;
+  return normalized;
+}
+
+function isInside(dir, target) {
+  const rel = path.relative(dir, target);
+  return Boolean(rel) && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// True if an existing component of `target` below `root` is a symbolic link
+function hasSymlink(root, target) {
+  let current = root;
+  for (const part of path.relative(root, target).split(path.sep)) {
+    current = path.join(current, part);
+    try {
+      if (fs.lstatSync(current).isSymbolicLink()) return true;
+    } catch (e) {
+      return false; // the rest of the path does not exist yet
+    }
+  }
+  return false;
+}
+
+// NUL bytes or a high share of control characters mean the "file" is a binary blob
+function looksBinary(content) {
+  if (content.includes('\u0000')) return true;
+  const sample = content.slice(0, 8000);
+  const control = (sample.match(/[\u0001-\u0008\u000e-\u001f\u007f]/g) || []).length;
+  return sample.length > 0 && control / sample.length > 0.1;
+}
+
+// Files a role may write: its outputs plus the manifest's shared files
+function declaredFiles(role, manifest) {
+  return role.outputs.concat(manifest.shared_files || []);
+}
+
+// Parse file blocks from LLM output and write them under roleDir.
+// Paths are normalized and must stay inside roleDir; symlinked targets, binary content and
+// files over MAX_FILE_BYTES are rejected; files outside `declared` follow UNDECLARED_POLICY.
+// Returns the written paths and every policy violation.
+function parseWorkerOutput(output, roleDir, declared = null) {
+  const fileRegex = /=== FILE: (.+?)\s*===\n([\s\S]*?)\n=== END FILE ===/g;
+  let match;
+  let blocks = 0;
+  const files = [];
+  const violations = [];
+  while ((match = fileRegex.exec(output)) !== null) {
+    blocks++;
+    const rawPath = match[1];
+    const content = match[2];
+    const reject = (rule, detail) => violations.push({ file: rawPath, rule, detail, action: 'rejected' });
+
+    const filePath = normalizeOutputPath(rawPath);
+    if (!filePath) {
+      reject('path_escape', 'absolute path or outside the role directory');
+      continue;
+    }
+    if (filePath === 'raw.txt') {
+      reject('reserved', 'raw.txt holds the role\'s raw reply');
+      continue;
+    }
+    const bytes = Buffer.byteLength(content);
+    if (bytes > MAX_FILE_BYTES) {
+      reject('oversized', `${bytes} bytes (limit ${MAX_FILE_BYTES})`);
+      continue;
+    }
+    if (looksBinary(content)) {
+      reject('binary', 'binary content is not accepted in FILE blocks');
+      continue;
+    }
+
+    let fullPath = path.join(roleDir, filePath);
+    let quarantined = false;
+    if (declared && !declared.includes(filePath)) {
+      if (UNDECLARED_POLICY === 'reject') {
+        reject('undeclared', 'not in the role\'s declared outputs');
+        continue;
+      }
+      quarantined = UNDECLARED_POLICY === 'quarantine';
+      if (quarantined) fullPath = path.join(roleDir, QUARANTINE_DIR, filePath);
+      violations.push({ file: filePath, rule: 'undeclared', detail: 'not in the role\'s declared outputs', action: quarantined ? 'quarantined' : 'allowed' });
+    }
+    if (!isInside(roleDir, fullPath) || hasSymlink(roleDir, fullPath)) {
+      reject('symlink', 'target path goes through a symbolic link');
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+    if (!quarantined) files.push(filePath);
+  }
+  if (blocks === 0) throw new Error('No file blocks found');
+  return { files, violations };
+}
+
+// Record file policy violations in ERRORS.md
+function logViolations(workspace, agentId, violations) {
+  violations.forEach(v => {
+    log(`${agentId}: ${v.action} ${v.file} (${v.rule})`);
+    logError(workspace, agentId, `File policy: ${v.rule} — ${v.file} ${v.action}`, v.detail);
+  });
+}
+
+// Role registry: one YAML/JSON definition per role, from roles/ next to this script, then from
+// SWARM_ROLES_DIR (a later definition with the same id replaces an earlier one)
+const BUILTIN_ROLES_DIR = path.join(__dirname, 'roles');
+
+function loadRoleRegistry() {
+  const dirs = [BUILTIN_ROLES_DIR].concat((setting('SWARM_ROLES_DIR') || '').split(path.delimiter).filter(Boolean).map(d => path.resolve(d)));
+  const registry = new Map();
+  dirs.forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      if (dir !== BUILTIN_ROLES_DIR) throw new Error(`Roles directory not found: ${dir}`);
+      return;
+    }
+    fs.readdirSync(dir).filter(f => /\.(ya?ml|json)$/.test(f)).sort().forEach(f => {
+      const file = path.join(dir, f);
+      const definition = readYamlFile(file);
+      const errors = validateRoleDefinition(definition);
+      if (errors.length) throw manifestError(`Invalid role definition ${file}`, errors);
+      registry.set(definition.id, {
+        depends_on: [],
+        triggers: [],
+        include_when: 'the project needs it',
+        ...definition,
+        file
+      });
+    });
+  });
+  return registry;
+}
+
+// Problems with one role definition file
+function validateRoleDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) return ['must be a mapping'];
+  const errors = [];
+  if (typeof definition.id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(definition.id)) errors.push(`id must be a kebab-case string (got ${JSON.stringify(definition.id)})`);
+  if (typeof definition.name !== 'string' || !definition.name) errors.push('name must be a non-empty string');
+  if (typeof definition.prompt !== 'string' || !definition.prompt.trim()) errors.push('prompt must be a non-empty string');
+  if (!Array.isArray(definition.outputs) || definition.outputs.some(o => typeof o !== 'string')) errors.push('outputs must be a list of file paths');
+  ['depends_on', 'triggers'].forEach(key => {
+    if (definition[key] !== undefined && (!Array.isArray(definition[key]) || definition[key].some(v => typeof v !== 'string'))) {
+      errors.push(`${key} must be a list of strings`);
+    }
+  });
+  if (definition.include_when !== undefined && typeof definition.include_when !== 'string') errors.push('include_when must be a string');
+  return errors;
+}
+
+// Loaded on first use, like the provider
+let roleRegistry = null;
+function getRoleRegistry() {
+  if (!roleRegistry) roleRegistry = loadRoleRegistry();
+  return roleRegistry;
+}
+
+// Registered roles whose triggers appear in the prompt: { id: [matched triggers] }
+function triggeredRoles(prompt) {
+  const matches = {};
+  getRoleRegistry().forEach(def => {
+    const hits = def.triggers.filter(t => new RegExp(`\\b${t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i').test(prompt));
+    if (hits.length) matches[def.id] = hits;
+  });
+  return matches;
+}
+
+// Role section of the Planner prompt, generated from the registry
+function plannerRoleGuide(prompt) {
+  const lines = [...getRoleRegistry().values()].map(def => {
+    const when = def.include_when === 'always' ? 'Always include' : `Include when ${def.include_when}`;
+    const deps = def.depends_on.length ? `; usually depends on ${def.depends_on.join(', ')}` : '';
+    return `- ${def.id} (${def.name}${def.description ? `: ${def.description}` : ''}). ${when}. Typical outputs: ${def.outputs.join(', ')}${deps}.`;
+  });
+  const triggered = triggeredRoles(prompt);
+  if (Object.keys(triggered).length) {
+    lines.push(`- This prompt requires: ${Object.entries(triggered).map(([id, hits]) => `${id} (mentions ${hits.join(', ')})`).join('; ')}.`);
+  }
+  lines.push('- Use these role ids and names where they fit. Add other roles (kebab-case id) only when the project needs something none of them covers.');
+  return lines.join('\n');
+}
+
+// Fill {{tech.backend}}-style placeholders; lists are joined with ", "
+function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((v, k) => (v === undefined || v === null ? undefined : v[k]), context);
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }).trimEnd();
+}
+
+function getRoleConfig(role, manifest) {
+  const tech = manifest.tech_stack;
+  const stack = stackProfile(tech);
+  const base = `You are an autonomous coding agent in a swarm. You will be given a specific task. Write clean, well-commented code. Follow these rules strictly:
+
+1. Output each file as: === FILE: relative/path ===\n<content>\n=== END FILE ===
+2. Write full file contents; no partial snippets.
+3. Create any needed directories.
+4. Include error handling and sensible defaults.
+5. Prefer standard libraries; minimize deps.
+
+**Project Memory - DECISIONS MADE Section:**
+At the END of your output (after all files), include a section that documents any significant technical decisions you made. This creates a permanent record in DECISIONS.md.
+
+Format exactly as:
+DECISIONS MADE:
+- [Decision]: Used JWT instead of session cookies
+- [Category]: auth
+- [Reason]: Stateless auth scales better for APIs
+
+- [Decision]: Chose SQLite for local storage
+- [Category]: database
+- [Reason]: Simpler deployment, no external DB needed
+
+Category is one of ${DECISION_CATEGORIES}, or other. Stay within the manifest's tech stack; a choice that contradicts it, or another role's decision, is flagged.
+Include 2-4 decisions per role. Think about: architecture choices, library selections, security tradeoffs, performance considerations, why you structured files a certain way.
+
+**Stack: ${stack.name}** (${tech.backend}, ${tech.language}). Follow its conventions and do not mix in another language's tooling:
+- Backend framework: ${stack.framework}; entry point ${stack.entry}
+- Dependencies: ${stack.dependencies}
+- Tests: ${stack.test_framework}; test files in ${stack.tests}
+- Commands: install \`${stack.install}\`, run \`${stack.run}\`, test \`${stack.test}\`
+- Docker: ${stack.docker_image}
+`;
+
+  const definition = getRoleRegistry().get(role.id);
+  const specific = definition
+    ? renderTemplate(definition.prompt, { tech, stack, outputs: role.outputs, role, project_name: manifest.project_name })
+    : 'Implement your assigned files according to the manifest.';
+  return { base: base + '\n\n' + specific, role };
+}
+
+// Spawn a worker
+async function spawnWorker(workspace, role, manifest) {
+  const roleDir = path.join(workspace.filesDir, role.id);
+  // Drop leftovers from a failed earlier attempt (--resume) so stale files are not assembled
+  fs.rmSync(roleDir, { recursive: true, force: true });
+  fs.mkdirSync(roleDir, { recursive: true });
+
+  const { base } = getRoleConfig(role, manifest);
+  const deps = role.depends_on || [];
+  const depNote = deps.length
+    ? `\nYour dependencies (${deps.join(', ')}) have finished. Build on their work below: call the routes and use the exports they defined, and do not rewrite files they own.\n${buildUpstreamContext(workspace, manifest, role)}`
+    : '';
+  const lessons = learningsNote(relevantLearnings(workspace, [role.id], manifest.tech_stack));
+  const task = `Project: "${workspace.prompt}"\n\nRole: ${role.name} (${role.id})\n${depNote}${lessons}\n\nWrite all required files to the shared workspace. Use the FILE block format.`;
+
+  log(`Starting ${role.name}...`);
+  emitEvent(workspace, 'role_started', { role: role.id });
+  const attempts = [];
+  try {
+    const declared = declaredFiles(role, manifest);
+    const { result, files, violations } = await withRetry(role.name, async ({ attempt, strategy }) => {
+      if (strategy === 'split_outputs' && role.outputs.length > 1) {
+        return runPerFileWorker(workspace, role, base, task, roleDir, declared, attempt);
+      }
+      const reminder = strategy === 'format_reminder' || strategy === 'split_outputs';
+      const result = await queryModel(role.id, [
+        { role: 'system', content: base },
+        { role: 'user', content: reminder ? task + FILE_FORMAT_REMINDER : task }
+      ], reminder ? 0.1 : TEMPERATURE ?? 0.25, { fileBlocks: true, workspace, attempt });
+      return { result, ...parseWorkerOutput(result, roleDir, declared) };
+    }, attempts);
+    fs.writeFileSync(path.join(roleDir, 'raw.txt'), redactSecrets(result));
+    log(`${role.name} wrote ${files.length} files.`);
+    files.forEach(file => emitEvent(workspace, 'file_written', { role: role.id, file }));
+    logViolations(workspace, role.id, violations);
+
+    // Declared outputs the reply never delivered
+    const missing = role.outputs.filter(out => !files.includes(out));
+    if (missing.length) {
+      log(`${role.name} did not produce: ${missing.join(', ')}`);
+      logError(workspace, role.id, `Missing declared outputs: ${missing.join(', ')}`, `Wrote: ${files.join(', ')}`);
+    }
+
+    if (attempts.length > 1) {
+      const { strategy } = attempts[attempts.length - 1];
+      logLearning(workspace, 'Orchestrator', `${role.id} recovered via ${strategy}`,
+        `Failed ${attempts.length - 1} time(s) (${attempts.filter(a => a.errorType).map(a => a.errorType).join(', ')}) before succeeding with the ${strategy} strategy.`, 'best_practice', { role: role.id });
+    }
+    
+    // Extract and record decisions from this agent's output
+    const decisions = extractAndRecordDecisions(workspace, role.id, result);
+    
+    return { roleId: role.id, status: 'done', files, missing, violations, decisions, attempts };
+  } catch (err) {
+    log(`${role.name} failed: ${err.message}`);
+    // Log every failed attempt to the learning repository; network hiccups teach later runs nothing
+    attempts.filter(a => a.status === 'failed').forEach(a => {
+      logError(workspace, role.id, a.error, `Task: ${role.outputs.join(', ')}; attempt ${a.attempt} (${a.strategy}, ${a.errorType})`,
+        { remember: !['transient', 'timeout', 'budget', 'aborted'].includes(a.errorType) });
+    });
+    err.attempts = attempts;
+    throw err;
+  }
+}
+
+// Lines that describe how other code talks to a file: routes, exports, top-level declarations
+const API_SURFACE_PATTERNS = [
+  /\b(app|router|server)\.(get|post|put|patch|delete|use|all)\s*\(/, // Express-style routes
+  /^\s*@(app|router)\.(get|post|put|patch|delete|route)\b/,          // FastAPI / Flask decorators
+  /\bHandleFunc\s*\(|\.(GET|POST|PUT|DELETE)\s*\(/,                 // Go routers
+  /\bmodule\.exports\b|\bexports\.\w+\s*=/,                         // CommonJS exports
+  /^\s*export\s/,                                                    // ES module exports
+  /^\s*(async\s+)?function\s+\w+\s*\(|^\s*class\s+\w+/,             // top-level JS declarations
+  /^\s*(async\s+)?def\s+\w+\s*\(|^\s*class\s+\w+.*:/,              // Python
+  /^\s*(pub\s+)?(fn|struct|enum|trait)\s+\w+|^func\s+/,              // Rust / Go
+  /^\s*"(name|main|scripts|dependencies|devDependencies)"\s*:/,      // package.json keys
+  /\b(fetch|axios\.\w+)\s*\(\s*['"`]/                                  // API calls from the frontend
+];
+
+// Reduce a file to its API surface; returns '' when nothing recognizable is found
+function extractApiSurface(content) {
+  return content.split('\n').filter(line => API_SURFACE_PATTERNS.some(re => re.test(line))).join('\n');
+}
+
+// Files and decisions produced by a role's direct dependencies, sized to fit CONTEXT_BUDGET.
+// Small files are included whole; larger ones shrink to their API surface, then to a head excerpt.
+function buildUpstreamContext(workspace, manifest, role) {
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  const deps = (role.depends_on || []).map(id => ({
+    role: manifest.roles.find(r => r.id === id),
+    task: tasksDB.tasks.find(t => t.roleId === id && t.status === 'done')
+  })).filter(d => d.role && d.task);
+
+  let remaining = CONTEXT_BUDGET;
+  const decisionText = new Map();
+  deps.forEach(({ role: dep, task }) => {
+    const text = (task.decisions || []).map(d => `- ${d.decision} (${d.reason})`).join('\n');
+    decisionText.set(dep.id, text);
+    remaining -= text.length;
+  });
+
+  const entries = [];
+  deps.forEach(({ role: dep, task }) => {
+    // Only files the dependency owns; anything else it wrote is not assembled either
+    task.files.filter(file => dep.outputs.includes(file)).forEach(file => {
+      const fullPath = path.join(workspace.filesDir, dep.id, file);
+      if (fs.existsSync(fullPath)) entries.push({ roleId: dep.id, file, content: fs.readFileSync(fullPath, 'utf8') });
+    });
+  });
+
+  // Smallest files first, so budget they leave unused flows to the larger ones
+  [...entries].sort((a, b) => a.content.length - b.content.length).forEach((entry, i, sorted) => {
+    const share = Math.max(0, Math.floor(remaining / (sorted.length - i)));
+    const lines = entry.content.split('\n').length;
+    if (entry.content.length <= share) {
+      entry.label = 'full';
+      entry.text = entry.content;
+    } else {
+      const surface = extractApiSurface(entry.content);
+      if (surface && surface.length <= share) {
+        entry.label = `API surface, ${surface.split('\n').length} of ${lines} lines`;
+        entry.text = surface;
+      } else {
+        entry.text = (surface || entry.content).slice(0, share);
+        entry.text = entry.text.slice(0, entry.text.lastIndexOf('\n') + 1 || entry.text.length);
+        entry.label = entry.text ? `${surface ? 'API surface' : 'excerpt'}, truncated; ${lines} lines total` : 'omitted, context budget exhausted';
+      }
+    }
+    remaining -= entry.text.length;
+  });
+
+  let context = '\n## Upstream work\n';
+  deps.forEach(({ role: dep }) => {
+    context += `\n### ${dep.name} (${dep.id})\n`;
+    if (decisionText.get(dep.id)) context += `Decisions:\n${decisionText.get(dep.id)}\n`;
+    entries.filter(e => e.roleId === dep.id).forEach(e => {
+      context += `\n--- ${e.file} (${e.label}) ---\n${e.text}${e.text && !e.text.endsWith('\n') ? '\n' : ''}`;
+    });
+  });
+  return context;
+}
+
+// Last-resort strategy: ask for one output file per call so each reply stays small and focused
+async function runPerFileWorker(workspace, role, base, task, roleDir, declared, attempt) {
+  const raw = [];
+  const files = [];
+  const violations = [];
+  for (const out of role.outputs) {
+    const fileTask = `${task}\n\nFor this request write ONLY the file ${out} (one FILE block). Other files are handled separately.${FILE_FORMAT_REMINDER}`;
+    const result = await queryModel(role.id, [
+      { role: 'system', content: base },
+      { role: 'user', content: fileTask }
+    ], 0.1, { fileBlocks: true, workspace, attempt });
+    const parsed = parseWorkerOutput(result, roleDir, declared);
+    files.push(...parsed.files.filter(f => !files.includes(f)));
+    violations.push(...parsed.violations);
+    raw.push(result);
+  }
+  return { result: raw.join('\n\n'), files, violations };
+}
+
+// Parse the DECISIONS MADE section of an agent's output and record each decision.
+// Returns the recorded { decision, reason, category } entries so downstream roles can be told about them.
+function extractAndRecordDecisions(workspace, agentId, output) {
+  const start = output.search(/DECISIONS MADE:?/);
+  if (start === -1) return [];
+  // "- [Decision]: ...", "[Category]: ...", "Reason: ..."; a Decision line starts the next entry
+  const entries = [];
+  output.slice(start).split('\n').forEach(line => {
+    const field = line.trim().match(/^(?:[-*]\s*)?\[?(Decision|Category|Reason)\]?:\s*(.*)$/i);
+    if (!field) return;
+    const key = field[1].toLowerCase();
+    if (key === 'decision') entries.push({ decision: field[2].trim() });
+    else if (entries.length) entries[entries.length - 1][key] = field[2].trim();
+  });
+  return entries.filter(e => e.decision && e.reason).map(e => {
+    const record = recordDecision(workspace, agentId, e.decision, e.reason, { category: e.category });
+    return { decision: e.decision, reason: e.reason, category: record.category };
+  });
+}
+
+// Persist tasks.json. Writes are synchronous, so parallel workers can never interleave them, and
+// atomic, so an interrupted run always leaves a readable file to resume from.
+function saveTasks(workspace, tasksDB) {
+  tasksDB.usage = usageReport(workspace);
+  writeFileAtomic(workspace.tasksPath, redactSecrets(JSON.stringify(tasksDB, null, 2)));
+}
+
+// Execute manifest respecting dependencies (topological sort).
+// Roles whose dependencies are all complete run in parallel, up to `concurrency` at a time.
+async function executeManifest(workspace, manifest, concurrency = CONCURRENCY) {
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  const roleMap = new Map(manifest.roles.map(r => [r.id, r]));
+  const completed = new Set(tasksDB.completed);
+
+  // Build dependency graph (only counting dependencies that still have to run)
+  const inDegree = new Map();
+  manifest.roles.forEach(r => inDegree.set(r.id, (r.depends_on || []).filter(d => !completed.has(d)).length));
+  const queue = [];
+  const enqueue = roleId => {
+    queue.push(roleId);
+    emitEvent(workspace, 'role_queued', { role: roleId });
+  };
+  manifest.roles.filter(r => completed.has(r.id)).forEach(r => emitEvent(workspace, 'role_skipped', { role: r.id, reason: 'completed' }));
+  manifest.roles.filter(r => !completed.has(r.id) && inDegree.get(r.id) === 0).forEach(r => enqueue(r.id));
+
+  const roleStats = new Map(); // Track success/failure per role
+  tasksDB.tasks.filter(t => completed.has(t.roleId)).forEach(t => {
+    roleStats.set(t.roleId, { status: 'success', files: t.files.length, missing: t.missing, attempts: (t.attempts || []).length, resumed: true });
+  });
+  const running = new Map(); // roleId -> settled-promise of the in-flight worker
+  let failure = null;
+
+  // Replace any entry left by a failed earlier attempt of the same role
+  const recordTask = (entry) => {
+    tasksDB.tasks = tasksDB.tasks.filter(t => t.roleId !== entry.roleId).concat(entry);
+  };
+
+  const onSuccess = (roleId, res) => {
+    tasksDB.completed.push(roleId);
+    recordTask(res);
+    completed.add(roleId);
+    roleStats.set(roleId, { status: 'success', files: res.files.length, missing: res.missing, attempts: res.attempts.length });
+    saveTasks(workspace, tasksDB);
+    emitEvent(workspace, 'role_succeeded', { role: roleId, files: res.files.length, missing: res.missing, attempts: res.attempts.length });
+
+    // Decrement in-degree of dependents
+    manifest.roles.forEach(r => {
+      if ((r.depends_on || []).includes(roleId)) {
+        inDegree.set(r.id, inDegree.get(r.id) - 1);
+        if (inDegree.get(r.id) === 0) enqueue(r.id);
+      }
+    });
+  };
+
+  const onFailure = (roleId, err) => {
+    if (err.aborted) {
+      // Cancelled mid-request: its files are discarded, and resume runs the role again
+      roleStats.set(roleId, { status: 'cancelled', note: 'while running', attempts: (err.attempts || []).length });
+      recordTask({ roleId, status: 'cancelled', error: err.message, attempts: err.attempts || [], cancelledAt: new Date().toISOString() });
+      saveTasks(workspace, tasksDB);
+      emitEvent(workspace, 'role_cancelled', { role: roleId, error: err.message });
+      if (!failure) failure = err;
+      return;
+    }
+    log(`Task ${roleId} failed; aborting.`);
+    roleStats.set(roleId, { status: 'failed', error: err.message, attempts: (err.attempts || []).length });
+    recordTask({ roleId, status: 'failed', error: err.message, attempts: err.attempts || [], failedAt: new Date().toISOString() });
+    saveTasks(workspace, tasksDB);
+    emitEvent(workspace, 'role_failed', { role: roleId, error: err.message, attempts: (err.attempts || []).length });
+    if (err.budgetExceeded) {
+      if (!failure) failure = err;
+      return;
+    }
+    // Log learning: this role consistently fails, maybe needs better prompt?
+    logLearning(workspace, 'Orchestrator', `Role ${roleId} failed`, 
+      `Error: ${err.message}. Consider: (1) Simplify the task for this role, (2) Adjust system prompt, (3) Split into smaller subtasks.`, 'error_pattern', { role: roleId });
+    if (!failure) failure = err;
+  };
+
+  // The bookkeeping itself failed (e.g. tasks.json could not be written): fail just this role so
+  // the other workers still drain and the summary is written
+  const onBookkeepingError = (roleId, err) => {
+    log(`Task ${roleId} bookkeeping failed: ${err.message}`);
+    tasksDB.completed = tasksDB.completed.filter(id => id !== roleId);
+    completed.delete(roleId);
+    roleStats.set(roleId, { status: 'failed', error: err.message, attempts: (err.attempts || []).length });
+    recordTask({ roleId, status: 'failed', error: err.message, attempts: err.attempts || [], failedAt: new Date().toISOString() });
+    if (!failure) failure = err;
+  };
+
+  while (queue.length > 0 || running.size > 0) {
+    // Fill free slots with ready roles; stop scheduling new work once anything has failed
+    while (!failure && queue.length > 0 && running.size < concurrency) {
+      const roleId = queue.shift();
+      const settled = spawnWorker(workspace, roleMap.get(roleId), manifest)
+        .then(res => onSuccess(roleId, res), err => onFailure(roleId, err))
+        .catch(err => onBookkeepingError(roleId, err))
+        .finally(() => running.delete(roleId));
+      running.set(roleId, settled);
+    }
+    if (running.size === 0) break;
+    // Wait for any in-flight role to finish, then re-check the queue
+    await Promise.race(running.values());
+  }
+
+  // Roles a cancelled run never reached
+  if (failure?.aborted) {
+    manifest.roles.filter(r => !roleStats.has(r.id)).forEach(r => {
+      roleStats.set(r.id, { status: 'cancelled', note: 'before it started' });
+      emitEvent(workspace, 'role_cancelled', { role: r.id, error: failure.message });
+    });
+  }
+  tasksDB.status = failure ? failureStatus(failure) : 'completed';
+  saveTasks(workspace, tasksDB);
+
+  // Generate summary statistics (also on failure, so the partial run can be inspected and resumed)
+  generateRunSummary(workspace, manifest, roleStats, tasksDB.tasks);
+  if (failure) {
+    log(`${failure.budgetExceeded ? 'Raise the budget and resume' : 'Resume'} with: node orchestrator.js resume ${workspace.projectId}`);
+    throw failure;
+  }
+
+  log('All tasks completed.');
+  return tasksDB.tasks;
+}
+
+// Generate end-of-run summary
+function generateRunSummary(workspace, manifest, roleStats, tasks) {
+  const summaryPath = path.join(workspace.projectDir, 'SWARM_SUMMARY.md');
+  const endTime = new Date().toISOString();
+  const duration = (new Date() - new Date(workspace.startTime || endTime)) / 1000;
+  
+  let summary = `# Swarm Execution Summary\n\n`;
+  summary += `**Project:** ${manifest.project_name}\n`;
+  summary += `**Prompt:** ${workspace.prompt}\n`;
+  const failed = [...roleStats.values()].some(stats => stats.status !== 'success');
+  const status = !failed ? 'completed'
+    : workspace.budgetExceeded ? `stopped, budget exceeded: ${workspace.budgetExceeded} (raise the budget and \`orchestrator.js resume ${workspace.projectId}\`)`
+    : runContext.signal?.aborted ? `aborted: ${cancellation().message} (resume with \`orchestrator.js resume ${workspace.projectId}\`)`
+    : `failed (resume with \`orchestrator.js resume ${workspace.projectId}\`)`;
+  summary += `**Status:** ${status}\n`;
+  summary += `**Completed:** ${endTime}\n`;
+  if (workspace.resumed) summary += `**Resumed:** yes\n`;
+  summary += `**Duration:** ${Math.round(duration)}s\n`;
+  summary += `**Manifest:** ${workspace.manifestPath}\n\n`;
+  
+  summary += `## Role Performance\n\n`;
+  summary += `| Role | Status | Files | Attempts | Notes |\n`;
+  summary += `|------|--------|-------|----------|-------|\n`;
+  manifest.roles.forEach(role => {
+    const stats = roleStats.get(role.id) || { status: 'not_run' };
+    const statusIcon = { success: '✓', failed: '✗', cancelled: '⏹' }[stats.status] || '○';
+    const files = stats.files || '-';
+    const notes = stats.status === 'cancelled' ? `Cancelled ${stats.note}`
+      : stats.error ? `Error: ${stats.error.substring(0, 50)}...`
+      : stats.missing?.length ? `Missing: ${stats.missing.join(', ')}`
+      : stats.resumed ? 'From previous run' : '-';
+    summary += `| ${role.name} (${role.id}) | ${statusIcon} ${stats.status || 'skipped'} | ${files} | ${stats.attempts || '-'} | ${notes} |\n`;
+  });
+
+  // Every failed attempt, with the strategy used for it
+  const retried = [['Planner', workspace.plannerAttempts || []]]
+    .concat(tasks.map(t => [t.roleId, t.attempts || []]))
+    .filter(([, attempts]) => attempts.some(a => a.status === 'failed'));
+  if (retried.length) {
+    summary += `\n## Retries\n\n`;
+    summary += `| Agent | Attempt | Strategy | Result | Error |\n`;
+    summary += `|-------|---------|----------|--------|-------|\n`;
+    retried.forEach(([agent, attempts]) => {
+      attempts.forEach(a => {
+        const result = a.status === 'success' ? '✓ success' : `✗ ${a.errorType}`;
+        summary += `| ${agent} | ${a.attempt} | ${a.strategy} | ${result} | ${a.error ? a.error.substring(0, 60) : '-'} |\n`;
+      });
+    });
+  }
+  
+  if (workspace.plannerValidation?.length) {
+    summary += `\n## Manifest Repairs\n\n`;
+    summary += workspace.plannerValidation
+      .map(v => `**Round ${v.round}:**\n${v.errors.map(e => `- ${e}`).join('\n')}\n`)
+      .join('\n');
+  }
+
+  // Files rejected, quarantined or allowed outside the declared outputs
+  const violations = tasks.flatMap(t => (t.violations || []).map(v => ({ roleId: t.roleId, ...v })));
+  if (violations.length) {
+    summary += `\n## File Policy\n\n`;
+    summary += `Undeclared files policy: \`${UNDECLARED_POLICY}\`. Quarantined files are under \`files/<role>/${QUARANTINE_DIR}/\`.\n\n`;
+    summary += `| Role | File | Rule | Action |\n`;
+    summary += `|------|------|------|--------|\n`;
+    violations.forEach(v => {
+      summary += `| ${v.roleId} | \`${v.file}\` | ${v.rule} | ${v.action} |\n`;
+    });
+  }
+
+  summary += `\n## Cost\n\n${costSection(workspace)}`;
+
+  summary += `\n## Tech Stack\n\n`;
+  const tech = manifest.tech_stack;
+  Object.entries(tech).forEach(([key, val]) => {
+    summary += `- **${key}:** ${val}\n`;
+  });
+  summary += `- **Stack profile:** ${stackProfile(tech).name}\n`;
+  
+  // Count total files generated
+  const totalFiles = tasks.reduce((sum, task) => sum + (task.files?.length || 0), 0);
+  summary += `\n**Total files generated:** ${totalFiles}\n`;
+  
+  // Include learning log references
+  summary += `\n## Learnings Captured\n\n`;
+  summary += `- Errors: \`.learnings/ERRORS.md\` (${countLines(path.join(workspace.learningsDir, 'ERRORS.md'))} entries)\n`;
+  summary += `- Insights: \`.learnings/LEARNINGS.md\` (${countLines(path.join(workspace.learningsDir, 'LEARNINGS.md'))} entries)\n`;
+  summary += `- Feature requests: \`.learnings/FEATURE_REQUESTS.md\` (${countLines(path.join(workspace.learningsDir, 'FEATURE_REQUESTS.md'))} entries)\n`;
+  summary += `- Cross-run store: \`${path.relative(WORKSPACE_ROOT, LEARNINGS_FILE)}\` (${loadLearnings().filter(e => e.status !== 'retired').length} patterns; review with \`orchestrator.js learnings\`)\n`;
+  if (workspace.appliedLearnings.size) {
+    summary += `- Applied from earlier runs: ${[...workspace.appliedLearnings].join(', ')}\n`;
+  }
+  
+  summary += `\n## Next Steps\n\n`;
+  summary += `1. Review \`.learnings/\` for patterns and improvements\n`;
+  summary += `2. Check \`DECISIONS.md\` for architectural rationale\n`;
+  summary += `3. Test the generated project at \`${workspace.projectDir}\`\n`;
+  summary += `4. Promote learnings every run should see: \`orchestrator.js learnings promote <id>\`\n`;
+  
+  fs.writeFileSync(summaryPath, redactSecrets(summary));
+  log(`Summary written: ${summaryPath}`);
+}
+
+// Cost table for SWARM_SUMMARY.md
+function costSection(workspace) {
+  const { total, byAgent } = usageReport(workspace);
+  const money = u => (u.unpricedCalls === u.calls ? '-' : `$${u.cost.toFixed(4)}`);
+  const row = (name, u, models) => `| ${name} | ${u.calls} | ${u.promptTokens} | ${u.completionTokens} | ${(u.latencyMs / 1000).toFixed(1)}s | ${money(u)} | ${models} |\n`;
+  let body = `| Agent | Calls | Prompt tokens | Completion tokens | Latency | Cost | Model |\n`;
+  body += `|-------|-------|---------------|-------------------|---------|------|-------|\n`;
+  Object.entries(byAgent).forEach(([agent, u]) => { body += row(agent, u, u.models.join(', ')); });
+  body += row('**Total**', total, '');
+  if (total.unpricedCalls) body += `\n${total.unpricedCalls} call(s) used a model without a price in SWARM_PRICING and are not costed.\n`;
+  if (BUDGET_USD !== null || BUDGET_TOKENS !== null) {
+    const caps = [BUDGET_USD !== null && `$${BUDGET_USD}`, BUDGET_TOKENS !== null && `${BUDGET_TOKENS} tokens`].filter(Boolean).join(', ');
+    body += `\n**Budget:** ${caps}${workspace.budgetExceeded ? ` (exceeded: ${workspace.budgetExceeded})` : ''}\n`;
+  }
+  return body;
+}
+
+// Count non-empty lines in a file
+function countLines(filepath) {
+  if (!fs.existsSync(filepath)) return 0;
+  const content = fs.readFileSync(filepath, 'utf8');
+  return content.split('\n').filter(line => line.trim() && !line.startsWith('#')).length;
+}
+// Copy a role's declared outputs from files/<role>/ into the project root
+function copyRoleOutputs(workspace, role, only = role.outputs) {
+  const roleDir = path.join(workspace.filesDir, role.id);
+  if (!fs.existsSync(roleDir)) return;
+  only.filter(out => role.outputs.includes(out)).forEach(out => {
+    const src = path.join(roleDir, out);
+    if (fs.existsSync(src)) {
+      const dest = path.join(workspace.projectDir, out);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.copyFileSync(src, dest);
+      log(`Copied ${out} from ${role.id}`);
+    }
+  });
+}
+
+// Highest x.y.z inside two version ranges (">0" if a wins). Good enough for ^/~/>= style ranges.
+function compareVersionRanges(a, b) {
+  const parse = v => (String(v).match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/) || []).slice(1).map(n => parseInt(n || '0', 10));
+  const [va, vb] = [parse(a), parse(b)];
+  for (let i = 0; i < 3; i++) {
+    if ((va[i] || 0) !== (vb[i] || 0)) return (va[i] || 0) - (vb[i] || 0);
+  }
+  return 0;
+}
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// Merge JSON documents in priority order: objects are merged key by key, arrays are unioned and
+// scalar clashes keep the higher-priority value. In package.json, dependency ranges that differ
+// resolve to the higher version. Every clash is described in `notes`.
+function mergeJsonVersions(file, versions) {
+  const isPackageJson = path.basename(file) === 'package.json';
+  const notes = [];
+  const merge = (target, source, keys, roleId) => {
+    Object.entries(source).forEach(([key, value]) => {
+      const at = keys.concat(key);
+      const existing = target[key];
+      if (existing === undefined) {
+        target[key] = value;
+      } else if (isPlainObject(existing) && isPlainObject(value)) {
+        merge(existing, value, at, roleId);
+      } else if (Array.isArray(existing) && Array.isArray(value)) {
+        value.forEach(item => {
+          if (!existing.some(e => JSON.stringify(e) === JSON.stringify(item))) existing.push(item);
+        });
+      } else if (JSON.stringify(existing) !== JSON.stringify(value)) {
+        if (isPackageJson && at.length === 2 && DEPENDENCY_FIELDS.includes(at[0])) {
+          const winner = compareVersionRanges(value, existing) > 0 ? value : existing;
+          notes.push(`${at.join('.')}: ${existing} vs ${value} (${roleId}) → ${winner}`);
+          target[key] = winner;
+        } else {
+          notes.push(`${at.join('.')}: kept ${JSON.stringify(existing)}, dropped ${JSON.stringify(value)} from ${roleId}`);
+        }
+      }
+    });
+  };
+  const merged = {};
+  versions.forEach(v => merge(merged, JSON.parse(v.content), [], v.roleId));
+  return { content: JSON.stringify(merged, null, 2) + '\n', notes };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Ask the model to merge text versions of one file; resolves to the merged content
+async function mergeTextVersions(workspace, manifest, file, versions) {
+  const system = `You merge conflicting versions of one file written by different members of a coding swarm for the project "${manifest.project_name}". Keep every piece of content that is useful, remove duplication, and resolve contradictions sensibly. Output the merged file as exactly one block:\n=== FILE: ${file} ===\n<content>\n=== END FILE ===`;
+  const user = versions.map(v => `Version from ${v.roleId}:\n=== FILE: ${file} ===\n${v.content}\n=== END FILE ===`).join('\n\n');
+  return withRetry(`Merge ${file}`, async ({ attempt, strategy }) => {
+    const reminder = strategy === 'format_reminder' || strategy === 'split_outputs';
+    const result = await queryModel('merger', [
+      { role: 'system', content: system },
+      { role: 'user', content: reminder ? user + FILE_FORMAT_REMINDER : user }
+    ], 0.1, { fileBlocks: true, workspace, attempt });
+    const match = result.match(/=== FILE: .+?\s*===\n([\s\S]*?)\n=== END FILE ===/);
+    if (!match) throw new Error('No file blocks found');
+    return match[1];
+  }, []);
+}
+
+// Resolve a path written by several roles. Identical copies are not a conflict; JSON is merged
+// structurally; text goes to the manifest's file_owners entry, else through a model-assisted merge.
+async function resolveConflict(workspace, manifest, file, versions) {
+  const distinct = versions.filter((v, i) => versions.findIndex(o => o.content === v.content) === i);
+  if (distinct.length === 1) return { content: distinct[0].content, resolution: 'identical' };
+
+  const owner = manifest.file_owners?.[file];
+  // Owner first, then manifest order
+  const ordered = owner ? distinct.filter(v => v.roleId === owner).concat(distinct.filter(v => v.roleId !== owner)) : distinct;
+
+  if (file.endsWith('.json')) {
+    try {
+      const { content, notes } = mergeJsonVersions(file, ordered);
+      return { content, resolution: 'json_merge', notes };
+    } catch (err) {
+      // A version is not valid JSON; treat the file as text
+    }
+  }
+  if (owner && ordered[0].roleId === owner) {
+    return { content: ordered[0].content, resolution: `owner (${owner})`, notes: [`Dropped versions from ${ordered.slice(1).map(v => v.roleId).join(', ')}`] };
+  }
+  try {
+    const content = await mergeTextVersions(workspace, manifest, file, ordered);
+    return { content, resolution: 'model_merge' };
+  } catch (err) {
+    if (err.aborted) throw err;
+    // Nothing was merged: the other versions are lost, so this is surfaced as a warning
+    const last = ordered[ordered.length - 1];
+    const dropped = ordered.slice(0, -1).map(v => v.roleId).join(', ');
+    return {
+      content: last.content,
+      resolution: `last writer (${last.roleId})`,
+      notes: [`Model merge failed: ${err.message}`],
+      warning: `Model merge failed (${err.message}); kept ${last.roleId}'s version and dropped ${dropped}'s`
+    };
+  }
+}
+
+// Who wrote which project path: declared outputs, shared files, and (under "allow") undeclared
+// files no other role owns
+function collectClaims(workspace, manifest) {
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  const owned = new Set(manifest.roles.flatMap(r => r.outputs));
+  const claims = new Map(); // path -> [{ roleId, content }]
+  manifest.roles.forEach(role => {
+    const roleDir = path.join(workspace.filesDir, role.id);
+    const task = tasksDB.tasks.find(t => t.roleId === role.id);
+    const extras = UNDECLARED_POLICY === 'allow'
+      ? (task?.violations || []).filter(v => v.action === 'allowed' && !owned.has(v.file)).map(v => v.file)
+      : [];
+    new Set(declaredFiles(role, manifest).concat(extras)).forEach(out => {
+      const src = path.join(roleDir, out);
+      if (!fs.existsSync(src) || !fs.lstatSync(src).isFile()) return;
+      if (!claims.has(out)) claims.set(out, []);
+      claims.get(out).push({ roleId: role.id, content: fs.readFileSync(src, 'utf8') });
+    });
+  });
+  return claims;
+}
+
+// With --resolve-conflicts, each role behind an open decision conflict gets one call to bring its
+// files in line with the manifest (or the earlier decision) and restate the decision. A conflict is
+// resolved once the role records the expected choice in that category.
+async function resolveDecisionConflicts(workspace, manifest) {
+  const open = readDecisions(workspace).conflicts.filter(c => c.status === 'open');
+  for (const role of manifest.roles.filter(r => open.some(c => c.agent === r.id))) {
+    const mine = open.filter(c => c.agent === role.id);
+    log(`Asking ${role.name} to resolve ${mine.length} decision conflict(s)...`);
+    const { base } = getRoleConfig(role, manifest);
+    const current = fileBlocks(path.join(workspace.filesDir, role.id), declaredFiles(role, manifest));
+    const task = `Project: "${workspace.prompt}"\n\nRole: ${role.name} (${role.id})\n\nSome of your decisions contradict the project's:\n\n${mine.map(c => `- ${c.message}; use ${c.expected}`).join('\n')}\n\nYour current files:\n\n${current}\n\nChange the files you own (${role.outputs.join(', ')}) to follow the project's choices. Output ONLY the files you change, each as a complete FILE block, then a DECISIONS MADE section restating the corrected decisions.`;
+    let result = null;
+    let error = null;
+    try {
+      result = await requestFixes(workspace, manifest, role, base, task, 'conflict fix');
+      result.files.forEach(file => emitEvent(workspace, 'file_written', { role: role.id, file, fix: true }));
+    } catch (err) {
+      if (err.aborted) throw err;
+      error = err.message;
+      logError(workspace, role.id, `Decision conflict fix failed: ${err.message}`, mine.map(c => c.message).join('; '));
+    }
+    const before = readDecisions(workspace).decisions.length;
+    if (result) extractAndRecordDecisions(workspace, role.id, result.output);
+    const data = readDecisions(workspace);
+    const restated = data.decisions.slice(before);
+    mine.forEach(c => {
+      const conflict = data.conflicts.find(x => x.id === c.id);
+      const fix = restated.find(d => d.category === c.category && d.choice === c.expected);
+      Object.assign(conflict, fix ? { status: 'resolved', resolvedBy: fix.id } : { status: 'unresolved', error: error || undefined });
+      if (fix && ADR) writeAdr(workspace, data.decisions.find(d => d.id === c.decision), `Superseded by ADR ${Number(fix.id.slice(1))}`, [conflict]);
+    });
+    writeDecisions(workspace, data);
+  }
+}
+
+// Decision Conflicts section of SWARM_SUMMARY.md
+function reportDecisionConflicts(workspace) {
+  const { conflicts } = readDecisions(workspace);
+  if (!conflicts.length) return;
+  let body = `| Conflict | Decision | Agent | Category | Chose | Conflicts with | Status |\n|----------|----------|-------|----------|-------|----------------|--------|\n`;
+  conflicts.forEach(c => {
+    body += `| ${c.id} | ${c.decision} | ${c.agent} | ${c.category} | ${c.choice} | ${c.conflictsWith} (${c.expected}) | ${c.status}${c.resolvedBy ? ` by ${c.resolvedBy}` : ''} |\n`;
+  });
+  if (conflicts.some(c => c.status === 'open') && !RESOLVE_CONFLICTS) {
+    body += `\nWith \`--resolve-conflicts\` (\`SWARM_RESOLVE_CONFLICTS=1\`) the conflicting roles are asked to follow the manifest. Records are in \`DECISIONS.json\`.\n`;
+  }
+  addSummarySection(workspace, 'Decision Conflicts', body);
+}
+
+// Static validation: cheap checks over what the roles wrote, before assembly. A checker gets the
+// project as it will be assembled (path -> { content, roles }; the first claim for a shared path) and
+// returns findings { file, message, fixIn? }, where fixIn names the file whose owner should fix it
+// (package.json for a missing dependency). SWARM_VALIDATORS_DIR adds checkers: *.js files exporting
+// { name, check } or a list of them; runSwarm takes them as `validators`.
+const VALIDATORS = [
+  { name: 'json', check: checkJsonFiles },
+  { name: 'yaml', check: checkYamlFiles },
+  { name: 'js-syntax', check: checkJsSyntax },
+  { name: 'dependencies', check: checkDependencies },
+  { name: 'imports', check: checkRelativeImports },
+  { name: 'references', check: checkReferences }
+];
+
+const SOURCE_FILE_PATTERN = /\.[cm]?[jt]sx?$/;
+const NODE_BUILTINS = new Set(require('module').builtinModules);
+
+function checkJsonFiles(files) {
+  const findings = [];
+  for (const [file, { content }] of files) {
+    // tsconfig/jsconfig are JSON with comments
+    if (!file.endsWith('.json') || /(^|\/)[jt]sconfig[^/]*\.json$/.test(file)) continue;
+    try {
+      JSON.parse(content);
+    } catch (e) {
+      findings.push({ file, message: `Invalid JSON: ${e.message}` });
+    }
+  }
+  return findings;
+}
+
+function checkYamlFiles(files) {
+  const findings = [];
+  for (const [file, { content }] of files) {
+    if (!/\.ya?ml$/.test(file)) continue;
+    const tab = content.split('\n').findIndex(line => /^ *\t/.test(line));
+    if (tab !== -1) {
+      findings.push({ file, message: `Line ${tab + 1}: tab used for indentation` });
+      continue;
+    }
+    // parseYaml reads the manifest subset; anchors, tags and multiple documents are beyond it
+    if (/(^|[\s[,])[&*!][A-Za-z]/m.test(content) || /^---\s*$/m.test(content.trim().replace(/^---\s*\n/, ''))) continue;
+    try {
+      parseYaml(content);
+    } catch (e) {
+      findings.push({ file, message: `Invalid YAML: ${e.message}` });
+    }
+  }
+  return findings;
+}
+
+// Parsed package.json nearest to a file (in the same or a parent directory), if any
+function packageFor(files, file) {
+  for (let dir = path.posix.dirname(file); ; dir = path.posix.dirname(dir)) {
+    const pkgPath = dir === '.' ? 'package.json' : `${dir}/package.json`;
+    if (files.has(pkgPath)) {
+      try {
+        return { path: pkgPath, dir, json: JSON.parse(files.get(pkgPath).content) };
+      } catch (e) {
+        return null; // reported by the json check
+      }
+    }
+    if (dir === '.') return null;
+  }
+}
+
+// JSX cannot be parsed by node --check; those files are left to the bundler
+function looksLikeJsx(content) {
+  return /(^|[=(:?,&|]|return)\s*<[A-Za-z>]/m.test(content);
+}
+
+// node --check on source passed over stdin; resolves to the syntax error or null
+function nodeSyntaxError(content, type) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, ['--check', `--input-type=${type}`], { env: { PATH: process.env.PATH }, stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => stderr += chunk);
+    const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+    child.on('error', () => { clearTimeout(timer); resolve(null); });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0 || code === null) return resolve(null);
+      const line = stderr.match(/^\[stdin\]:(\d+)/m);
+      const error = stderr.match(/^(SyntaxError: .*)$/m);
+      resolve(`${line ? `Line ${line[1]}: ` : ''}${error ? error[1] : stderr.trim().split('\n')[0]}`);
+    });
+    child.stdin.on('error', () => { /* exited early */ });
+    child.stdin.end(content);
+  });
+}
+
+async function checkJsSyntax(files) {
+  const findings = [];
+  for (const [file, { content }] of files) {
+    if (!/\.[cm]?js$/.test(file) || looksLikeJsx(content)) continue;
+    const declared = packageFor(files, file)?.json.type;
+    const type = file.endsWith('.mjs') ? 'module'
+      : file.endsWith('.cjs') ? 'commonjs'
+      : declared === 'module' || (!declared && /^\s*(import|export)\b[\s{*]/m.test(content)) ? 'module' : 'commonjs';
+    const error = await nodeSyntaxError(content, type);
+    if (error) findings.push({ file, message: error });
+  }
+  return findings;
+}
+
+// Module specifiers a JS/TS file requires or imports (full-line and block comments skipped)
+function importSpecifiers(content) {
+  const code = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+  const pattern = /\brequire\(\s*['"]([^'"]+)['"]\s*\)|\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)|\b(?:import|export)\s+(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"]+)['"]/g;
+  const specs = new Set();
+  let match;
+  while ((match = pattern.exec(code))) specs.add((match[1] || match[2] || match[3]).replace(/\?.*$/, ''));
+  return [...specs];
+}
+
+// `lodash/fp` -> lodash, `@scope/pkg/x` -> @scope/pkg
+function packageName(spec) {
+  const parts = spec.split('/');
+  return spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function checkDependencies(files) {
+  const findings = [];
+  for (const [file, { content }] of files) {
+    if (!SOURCE_FILE_PATTERN.test(file)) continue;
+    const pkg = packageFor(files, file);
+    if (!pkg) continue;
+    const listed = new Set([pkg.json.name].concat(...['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']
+      .map(field => Object.keys(pkg.json[field] || {}))));
+    const prefix = pkg.dir === '.' ? '' : `${pkg.dir}/`;
+    const names = importSpecifiers(content)
+      .filter(spec => !/^[./#~]|^@\/|:/.test(spec))
+      .map(packageName)
+      // Not a package: Node built-ins, and paths from the package root (baseUrl imports such as src/utils)
+      .filter(name => !NODE_BUILTINS.has(name) && ![...files.keys()].some(f => f.startsWith(`${prefix}${name}/`)));
+    new Set(names).forEach(name => {
+      if (listed.has(name)) return;
+      const field = TEST_FILE_PATTERN.test(file) ? 'devDependencies' : 'dependencies';
+      findings.push({ file, fixIn: pkg.path, message: `Imports "${name}", which ${pkg.path} does not list (add it to ${field})` });
+    });
+  }
+  return findings;
+}
+
+// A relative import resolves if some generated file matches it, with or without extension or /index
+function resolvesTo(files, from, spec) {
+  const target = path.posix.normalize(path.posix.join(path.posix.dirname(from), spec));
+  const extensions = ['', '.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.json'];
+  const candidates = extensions.map(ext => target + ext)
+    .concat(extensions.slice(1).map(ext => `${target}/index${ext}`))
+    // TypeScript sources are imported with the .js extension they compile to
+    .concat(/\.js$/.test(target) ? [target.replace(/\.js$/, '.ts'), target.replace(/\.js$/, '.tsx')] : []);
+  return candidates.some(c => files.has(c));
+}
+
+function checkRelativeImports(files) {
+  const findings = [];
+  for (const [file, { content }] of files) {
+    if (!SOURCE_FILE_PATTERN.test(file)) continue;
+    importSpecifiers(content).filter(spec => /^\.\.?(\/|$)/.test(spec)).forEach(spec => {
+      if (resolvesTo(files, file, spec)) return;
+      findings.push({ file, message: `${TEST_FILE_PATTERN.test(file) ? 'Test imports' : 'Imports'} "${spec}", which no role generated` });
+    });
+  }
+  return findings;
+}
+
+// Files referenced by Dockerfiles, compose files and HTML pages must exist
+function checkReferences(files) {
+  const findings = [];
+  const exists = p => {
+    const normalized = path.posix.normalize(p).replace(/\/$/, '');
+    return normalized === '.' || files.has(normalized) || [...files.keys()].some(f => f.startsWith(`${normalized}/`));
+  };
+  for (const [file, { content }] of files) {
+    const dir = path.posix.dirname(file);
+    const base = path.posix.basename(file);
+    if (/^Dockerfile|\.dockerfile$/i.test(base)) {
+      findings.push(...dockerfileReferences(files, file, content, exists));
+    } else if (/^(docker-)?compose[^/]*\.ya?ml$/.test(base)) {
+      let context = dir;
+      content.split('\n').forEach(line => {
+        const build = line.match(/^\s*(build|context):\s*['"]?([^'"\s#{]+)['"]?\s*(#.*)?$/);
+        const dockerfile = line.match(/^\s*dockerfile:\s*['"]?([^'"\s#]+)/);
+        const volume = line.match(/^\s*-\s*['"]?(\.{1,2}\/[^:'"\s]+\.\w+):/);
+        if (build) {
+          context = path.posix.join(dir, build[2]);
+          if (!exists(context)) findings.push({ file, message: `Build context "${build[2]}" does not exist` });
+          else if (build[1] === 'build' && !files.has(path.posix.join(context, 'Dockerfile'))) findings.push({ file, message: `No Dockerfile in build context "${build[2]}"` });
+        } else if (dockerfile && !files.has(path.posix.join(context, dockerfile[1]))) {
+          findings.push({ file, message: `Dockerfile "${dockerfile[1]}" does not exist` });
+        } else if (volume && !exists(path.posix.join(dir, volume[1]))) {
+          findings.push({ file, message: `Mounted file "${volume[1]}" does not exist` });
+        }
+      });
+    } else if (/\.html?$/.test(base)) {
+      const refs = [...content.matchAll(/<script\b[^>]*\bsrc=["']([^"']+)["']/gi)].map(m => m[1])
+        .concat([...content.matchAll(/<link\b[^>]*\brel=["']stylesheet["'][^>]*>/gi)].map(m => (m[0].match(/\bhref=["']([^"']+)["']/i) || [])[1]).filter(Boolean));
+      refs.filter(ref => !/^([a-z]+:|\/\/)|[%{$]/i.test(ref) && !/^\/?(dist|build)\//.test(ref)).forEach(ref => {
+        const clean = ref.replace(/[?#].*$/, '');
+        // Root-relative paths are served from the page's directory or the project root
+        const found = clean.startsWith('/')
+          ? exists(path.posix.join(dir, clean)) || exists(clean.slice(1))
+          : exists(path.posix.join(dir, clean));
+        if (!found) findings.push({ file, message: `References "${ref}", which no role generated` });
+      });
+    }
+  }
+  return findings;
+}
+
+function dockerfileReferences(files, file, content, exists) {
+  const findings = [];
+  const context = path.posix.dirname(file);
+  const lines = content.replace(/\\\r?\n/g, ' ').split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  // Files built inside the image (dist/, compiled output) cannot be checked
+  const builds = lines.some(l => /^RUN\b.*(build|tsc|compile)/i.test(l));
+  let workdir = '/';
+  lines.forEach(line => {
+    const [, instruction, rest = ''] = line.match(/^(\w+)\s*(.*)$/) || [];
+    const args = rest.startsWith('[') ? (() => { try { return JSON.parse(rest); } catch (e) { return null; } })() : rest.split(/\s+/);
+    if (!instruction || !args) return;
+    const keyword = instruction.toUpperCase();
+    if (keyword === 'WORKDIR') {
+      workdir = path.posix.resolve(workdir, args[0]);
+    } else if ((keyword === 'COPY' || keyword === 'ADD') && !args.some(a => a.startsWith('--from'))) {
+      args.filter(a => !a.startsWith('--')).slice(0, -1)
+        .filter(src => !/[*?[]|^[a-z]+:\/\//i.test(src))
+        .forEach(src => {
+          if (!exists(path.posix.join(context, src))) findings.push({ file, message: `${keyword} source "${src}" is not in the build context` });
+        });
+    } else if (keyword === 'CMD' || keyword === 'ENTRYPOINT') {
+      const [command, ...params] = args;
+      if (['npm', 'yarn', 'pnpm'].includes(command)) {
+        const script = params[0] === 'run' ? params[1] : params[0];
+        const pkgPath = path.posix.join(context, 'package.json');
+        let pkg = null;
+        try { pkg = files.has(pkgPath) ? JSON.parse(files.get(pkgPath).content) : null; } catch (e) { /* reported by the json check */ }
+        if (pkg && script && !['install', 'ci', 'test'].includes(script) && !pkg.scripts?.[script]) {
+          findings.push({ file, fixIn: pkgPath, message: `${keyword} runs "${args.join(' ')}", but ${pkgPath} has no "${script}" script` });
+        }
+      } else if (!builds) {
+        params.concat(command).filter(a => /\.([cm]?js|ts|py|sh)$/.test(a || '')).forEach(arg => {
+          const rel = arg.startsWith('/') ? path.posix.relative(workdir, arg) : arg.replace(/^\.\//, '');
+          // COPY may move files around; any generated file at that relative path counts
+          const found = exists(path.posix.join(context, rel)) || [...files.keys()].some(f => f === rel || f.endsWith(`/${rel}`));
+          if (!found) findings.push({ file, message: `${keyword} runs "${arg}", which no role generated` });
+        });
+      }
+    }
+  });
+  return findings;
+}
+
+// Built-in checkers, SWARM_VALIDATORS_DIR modules, then runSwarm's `validators`
+function loadValidators() {
+  const validators = VALIDATORS.slice();
+  const dir = setting('SWARM_VALIDATORS_DIR');
+  const add = (validator, source) => {
+    if (!validator || typeof validator.name !== 'string' || typeof validator.check !== 'function') {
+      throw new Error(`Invalid validator in ${source}: expected { name, check(files, context) }`);
+    }
+    validators.push(validator);
+  };
+  if (dir) {
+    const resolved = path.resolve(dir);
+    if (!fs.existsSync(resolved)) throw new Error(`Validators directory not found: ${resolved}`);
+    fs.readdirSync(resolved).filter(f => /\.c?js$/.test(f)).sort().forEach(f => {
+      const file = path.join(resolved, f);
+      [].concat(require(file)).forEach(v => add(v, file));
+    });
+  }
+  (runContext.validators || []).forEach(v => add(v, 'options.validators'));
+  return validators;
+}
+
+// Run every checker over the files roles produced; findings get the check name and the roles to ask for a fix
+async function runValidators(workspace, manifest, validators) {
+  const claims = collectClaims(workspace, manifest);
+  const files = new Map([...claims].map(([file, versions]) => [file, { content: versions[0].content, roles: versions.map(v => v.roleId) }]));
+  const context = { manifest, projectDir: workspace.projectDir, prompt: workspace.prompt };
+  const findings = [];
+  for (const validator of validators) {
+    let found;
+    try {
+      found = await validator.check(files, context);
+    } catch (err) {
+      log(`Validator ${validator.name} failed: ${err.message}`);
+      continue;
+    }
+    (found || []).forEach(f => findings.push({
+      check: validator.name,
+      file: f.file,
+      message: f.message,
+      roles: files.get(f.fixIn || f.file)?.roles || files.get(f.file)?.roles || []
+    }));
+  }
+  return findings;
+}
+
+// Ask a role to fix the validation findings in its files; the fixed files are picked up by assembly
+async function fixFindings(workspace, manifest, role, findings) {
+  const { base } = getRoleConfig(role, manifest);
+  const roleDir = path.join(workspace.filesDir, role.id);
+  const current = fileBlocks(roleDir, declaredFiles(role, manifest));
+  const problems = findings.map(f => `- ${f.file}: ${f.message}`).join('\n');
+  const task = `Project: "${workspace.prompt}"\n\nRole: ${role.name} (${role.id})\n\nStatic checks of the generated files found these problems:\n\n${problems}\n\nYour current files:\n\n${current}\n\nFix the problems in the files you own (${role.outputs.join(', ')}). Output ONLY the files you change, each as a complete FILE block.`;
+
+  const { files, violations, attempts } = await requestFixes(workspace, manifest, role, base, task, 'fix-up');
+  files.forEach(file => emitEvent(workspace, 'file_written', { role: role.id, file, fix: true }));
+  return { roleId: role.id, findings: findings.length, files, violations, attempts };
+}
+
+// Validation stage: run the checkers and, with SWARM_VALIDATE_FIX, send the findings to the roles
+// that own the files for one fix-up call each, then check again. Findings do not fail the run.
+async function validateProject(workspace, manifest) {
+  log('Validating generated files...');
+  emitEvent(workspace, 'validation_started');
+  const validators = loadValidators();
+  let findings = await runValidators(workspace, manifest, validators);
+  const validation = { checks: validators.map(v => v.name), found: findings.length, fixes: [], findings };
+  if (findings.length && VALIDATE_FIX && !workspace.budgetExceeded) {
+    for (const role of manifest.roles.filter(r => findings.some(f => f.roles.includes(r.id)))) {
+      log(`Asking ${role.name} to fix ${findings.filter(f => f.roles.includes(role.id)).length} finding(s)...`);
+      try {
+        validation.fixes.push(await fixFindings(workspace, manifest, role, findings.filter(f => f.roles.includes(role.id))));
+      } catch (err) {
+        if (err.aborted) throw err;
+        validation.fixes.push({ roleId: role.id, error: err.message });
+        logError(workspace, role.id, `Validation fix-up failed: ${err.message}`, 'Static validation');
+      }
+    }
+    findings = await runValidators(workspace, manifest, validators);
+    validation.findings = findings;
+  }
+  findings.forEach(f => logError(workspace, f.roles[0] || 'Validator', `${f.check}: ${f.message}`, `Static validation of ${f.file}`, { role: f.roles[0] }));
+
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  tasksDB.validation = validation;
+  saveTasks(workspace, tasksDB);
+
+  let body = `**Checks:** ${validation.checks.join(', ')}\n`;
+  body += `**Findings:** ${findings.length}${validation.fixes.length ? ` (${validation.found} before fix-up calls to ${validation.fixes.map(f => f.roleId).join(', ')})` : ''}\n`;
+  if (findings.length) {
+    body += `\n| Check | File | Roles | Finding |\n|-------|------|-------|---------|\n`;
+    findings.forEach(f => {
+      body += `| ${f.check} | \`${f.file}\` | ${f.roles.join(', ') || '-'} | ${f.message.replace(/\|/g, '\\|').replace(/\n/g, ' ')} |\n`;
+    });
+    if (!VALIDATE_FIX) body += `\nWith \`--fix-findings\` (\`SWARM_VALIDATE_FIX=1\`) each owning role gets one call to fix its findings before assembly.\n`;
+  }
+  addSummarySection(workspace, 'Static Validation', body);
+  log(`Validation found ${findings.length} problem(s)${validation.fixes.length ? ` after fix-ups (${validation.found} before)` : ''}.`);
+  emitEvent(workspace, 'validation_finished', { findings: findings.length, fixed: Math.max(0, validation.found - findings.length) });
+  return validation;
+}
+
+// Secret scan of generated files ({ file, role, path } targets). Known secret values are always
+// replaced; other findings are reported (warn), replaced (redact) or refused (block) per SWARM_SECRETS.
+function scanFilesForSecrets(targets) {
+  const findings = [];
+  targets.forEach(({ file, role, path: filePath }) => {
+    if (!fs.existsSync(filePath)) return;
+    const content = fs.readFileSync(filePath, 'utf8');
+    const found = findSecrets(content);
+    if (!found.length) return;
+    let redacted = '';
+    let pos = 0;
+    let changed = false;
+    found.forEach(f => {
+      const action = f.known ? 'redacted' : { warn: 'warned', redact: 'redacted', block: 'blocked' }[SECRETS_POLICY];
+      findings.push({
+        file,
+        role,
+        line: content.slice(0, f.index).split('\n').length,
+        detector: f.detector,
+        preview: f.known ? `value of ${f.detector}` : `${f.value.slice(0, 4)}… (${f.value.length} chars)`,
+        action
+      });
+      changed = changed || action === 'redacted';
+      redacted += content.slice(pos, f.index) + (action === 'redacted' ? `[REDACTED:${f.detector}]` : f.value);
+      pos = f.index + f.value.length;
+    });
+    if (changed) fs.writeFileSync(filePath, redacted + content.slice(pos));
+  });
+  return findings;
+}
+
+// Scan findings become events and learnings, so the role is reminded in later runs
+function reportSecretFindings(workspace, findings) {
+  findings.forEach(f => {
+    emitEvent(workspace, 'secret_found', { file: f.file, role: f.role, line: f.line, detector: f.detector, action: f.action });
+    logError(workspace, f.role, `Hardcoded ${f.detector} in ${f.file}`, `Secret scan (line ${f.line}, ${f.action})`, { role: f.role });
+  });
+}
+
+// SWARM_SECRETS=block: stop when any finding was refused
+function refuseBlockedSecrets(findings) {
+  const blocked = findings.filter(f => f.action === 'blocked');
+  if (blocked.length) {
+    const where = [...new Set(blocked.map(f => `${f.file}:${f.line} (${f.detector})`))];
+    throw new Error(`Hardcoded credentials in generated files: ${where.join(', ')} (SWARM_SECRETS=block; redact replaces them instead)`);
+  }
+}
+
+// Secret scan stage: everything each role wrote under files/<role>/ (quarantined files included),
+// before assembly copies it into the project
+function scanGeneratedSecrets(workspace, manifest) {
+  log('Scanning generated files for secrets...');
+  emitEvent(workspace, 'secret_scan_started');
+  const targets = manifest.roles.flatMap(role => {
+    const roleDir = path.join(workspace.filesDir, role.id);
+    if (!fs.existsSync(roleDir)) return [];
+    return listProjectFiles(roleDir).filter(file => file !== 'raw.txt').map(file => ({ file, role: role.id, path: path.join(roleDir, file) }));
+  });
+  const findings = scanFilesForSecrets(targets);
+  reportSecretFindings(workspace, findings);
+
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  tasksDB.secrets = { policy: SECRETS_POLICY, files: targets.length, findings };
+  // A blocked run is not complete: it cannot be evolved until a resume gets past the scan
+  if (findings.some(f => f.action === 'blocked')) tasksDB.status = 'failed';
+  saveTasks(workspace, tasksDB);
+
+  let body = `**Policy:** ${SECRETS_POLICY}\n**Findings:** ${findings.length} in ${targets.length} file(s)\n`;
+  if (findings.length) {
+    body += `\n| File | Line | Role | Detector | Value | Action |\n|------|------|------|----------|-------|--------|\n`;
+    findings.forEach(f => { body += `| \`${f.file}\` | ${f.line} | ${f.role} | ${f.detector} | ${f.preview} | ${f.action} |\n`; });
+    if (SECRETS_POLICY === 'warn') body += `\nWith \`--secrets redact\` (\`SWARM_SECRETS=redact\`) these values are replaced before assembly; \`block\` stops the run instead.\n`;
+  }
+  addSummarySection(workspace, 'Secret Scan', body);
+  log(`Secret scan found ${findings.length} hardcoded credential(s).`);
+  emitEvent(workspace, 'secret_scan_finished', { findings: findings.length, redacted: findings.filter(f => f.action === 'redacted').length, blocked: findings.filter(f => f.action === 'blocked').length });
+  refuseBlockedSecrets(findings);
+  return findings;
+}
+
+async function assembleProject(workspace, manifest) {
+  log('Assembling project...');
+  emitEvent(workspace, 'assembly_started');
+  const projDir = workspace.projectDir;
+  const claims = collectClaims(workspace, manifest);
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+
+  const conflicts = [];
+  for (const [file, versions] of claims) {
+    let content = versions[0].content;
+    if (versions.length > 1) {
+      const result = await resolveConflict(workspace, manifest, file, versions);
+      content = result.content;
+      if (result.resolution !== 'identical') {
+        const roles = versions.map(v => v.roleId).join(', ');
+        conflicts.push({ file, roles: versions.map(v => v.roleId), resolution: result.resolution, notes: result.notes || [], ...(result.warning ? { warning: result.warning } : {}) });
+        recordDecision(workspace, 'Assembler', `Resolved conflict on ${file} (${roles}) by ${result.resolution}`,
+          result.notes?.length ? result.notes.join('; ') : `Written by ${roles}; resolved by ${result.resolution}.`);
+        log(`Conflict on ${file} (${roles}) resolved by ${result.resolution}`);
+        if (result.warning) {
+          log(`⚠️  ${file}: ${result.warning}`);
+          logError(workspace, 'Assembler', `Merge of ${file} failed`, result.warning);
+          emitEvent(workspace, 'assembly_warning', { file, roles: versions.map(v => v.roleId), warning: result.warning });
+        }
+      }
+    }
+    const dest = path.join(projDir, file);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, content);
+    log(`Copied ${file} from ${versions.map(v => v.roleId).join(' + ')}`);
+  }
+
+  tasksDB.assembly = { files: [...claims.keys()], conflicts };
+  saveTasks(workspace, tasksDB);
+  if (conflicts.length) {
+    let body = `| File | Roles | Resolution | Notes |\n|------|-------|------------|-------|\n`;
+    conflicts.forEach(c => {
+      body += `| \`${c.file}\` | ${c.roles.join(', ')} | ${c.resolution} | ${c.notes.join('; ') || '-'} |\n`;
+    });
+    conflicts.filter(c => c.warning).forEach(c => {
+      body += `\n**WARNING:** \`${c.file}\`: ${c.warning}. Check it by hand.\n`;
+    });
+    addSummarySection(workspace, 'Assembly Conflicts', body);
+  }
+
+  // Generated README only when no role wrote one
+  if (!claims.has('README.md')) {
+    const tech = manifest.tech_stack;
+    const profile = stackProfile(tech);
+    const readme = `# ${manifest.project_name}\n\n${workspace.prompt}\n\n## Tech Stack\n- Backend: ${tech.backend}\n- Frontend: ${tech.frontend}\n- Language: ${tech.language}\n- Database: ${tech.database}\n- CSS: ${tech.css_framework}\n- Blockchain: ${tech.blockchain_network || 'none'}\n- Wallet: ${tech.wallet_provider || 'none'}\n\n## Run\n\`\`\`bash\n${profile.install}\n${profile.run}\n\`\`\`\n\n## Testing\n\`\`\`bash\n${profile.test}\n\`\`\`\n\n## Deployment\nSee docker-compose.yml.\n\n_Generated by Swarm Coding Skill_\n`;
+    fs.writeFileSync(path.join(projDir, 'README.md'), readme);
+  }
+
+  log(`Project assembled at ${projDir}`);
+  emitEvent(workspace, 'assembly_finished', { files: claims.size + (claims.has('README.md') ? 0 : 1) });
+}
+
+// Add a section to SWARM_SUMMARY.md ahead of the learnings references, or replace the one with the same title
+function addSummarySection(workspace, title, body) {
+  const summaryPath = path.join(workspace.projectDir, 'SWARM_SUMMARY.md');
+  if (!fs.existsSync(summaryPath)) return;
+  const section = redactSecrets(`## ${title}\n\n${body.trimEnd()}\n\n`);
+  const summary = fs.readFileSync(summaryPath, 'utf8');
+  const existing = summary.indexOf(`## ${title}\n`);
+  if (existing !== -1) {
+    // Replace in place, up to the next section
+    const next = summary.indexOf('\n## ', existing);
+    fs.writeFileSync(summaryPath, summary.slice(0, existing) + section + (next === -1 ? '' : summary.slice(next + 1)));
+    return;
+  }
+  const anchor = summary.indexOf('## Learnings Captured');
+  fs.writeFileSync(summaryPath, anchor === -1 ? `${summary}\n${section}` : summary.slice(0, anchor) + section + summary.slice(anchor));
+}
+
+// Keep at most this much command output per step (the tail is what explains a failure)
+const MAX_COMMAND_OUTPUT = 12000;
+
+// Run a shell command in the project directory with a timeout. The child gets a minimal
+// environment (no API keys from this process) and its own process group, so a timeout kills
+// everything it started.
+function runSandboxed(command, cwd, timeoutMs) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const sandboxEnv = {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      CI: '1',
+      NODE_ENV: 'test',
+      ...(setting('SWARM_NPM_REGISTRY') ? { npm_config_registry: setting('SWARM_NPM_REGISTRY') } : {}),
+      ...(setting('SWARM_NPM_CACHE') ? { npm_config_cache: setting('SWARM_NPM_CACHE') } : {})
+    };
+    const child = spawn(command, { cwd, env: sandboxEnv, shell: true, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    const append = chunk => {
+      output += chunk;
+      if (output.length > MAX_COMMAND_OUTPUT) output = output.slice(-MAX_COMMAND_OUTPUT);
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+    let timedOut = false;
+    const kill = () => {
+      try { process.kill(-child.pid, 'SIGKILL'); } catch (e) { /* already gone */ }
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutMs);
+    // Cancelling the run kills the whole process group too
+    const signal = runContext.signal;
+    signal?.addEventListener('abort', kill, { once: true });
+    const finish = (exitCode) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', kill);
+      resolve({ command, exitCode, timedOut, durationMs: Date.now() - started, output });
+    };
+    child.on('error', err => { append(err.message); finish(null); });
+    child.on('close', code => finish(code));
+  });
+}
+
+// Install and test commands for the assembled project, from its stack profile; SWARM_INSTALL_CMD /
+// SWARM_TEST_CMD override them. npm installs default to the local npm cache (or SWARM_NPM_REGISTRY,
+// e.g. an offline mirror).
+function verificationCommands(projectDir, profile) {
+  const defaults = profile.commands(projectDir);
+  return {
+    install: setting('SWARM_INSTALL_CMD', defaults.install),
+    test: setting('SWARM_TEST_CMD', defaults.test)
+  };
+}
+
+const TEST_FILE_PATTERN = /(^|\/)(test|tests|__tests__)\/|\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)test_[^/]*\.py$|_test\.(py|go)$/;
+
+// Roles whose outputs show up in the failure output; the QA role (test owner) as a fallback.
+// Install failures belong to whoever owns the dependency manifest.
+function findResponsibleRoles(manifest, failure) {
+  const output = failure.output;
+  if (failure.step === 'install') {
+    const { dependency_files } = stackProfile(manifest.tech_stack);
+    const owners = manifest.roles.filter(r => r.outputs.some(out => dependency_files.includes(out)));
+    if (owners.length) return owners;
+  }
+  const mentioned = manifest.roles.filter(r => r.outputs.some(out => output.includes(out)));
+  if (mentioned.length) return mentioned;
+  const qa = manifest.roles.filter(r => r.outputs.some(out => TEST_FILE_PATTERN.test(out)));
+  return qa.length ? qa : manifest.roles.slice(0, 1);
+}
+
+// Ask a role to fix its files given a failing install/test log; patched files are copied into the project
+async function repairRole(workspace, manifest, role, failure) {
+  const { base } = getRoleConfig(role, manifest);
+  const current = fileBlocks(workspace.projectDir, role.outputs);
+  const task = `Project: "${workspace.prompt}"\n\nRole: ${role.name} (${role.id})\n\nThe assembled project fails verification.\n\nCommand: ${failure.command}\nExit code: ${failure.timedOut ? 'timed out' : failure.exitCode}\n\nOutput (tail):\n${failure.output.slice(-6000)}\n\nYour current files:\n\n${current}\n\nFix the problem in the files you own (${role.outputs.join(', ')}). Output ONLY the files you change, each as a complete FILE block.`;
+
+  const { files, violations, attempts } = await requestFixes(workspace, manifest, role, base, task, 'repair');
+  const owned = files.filter(f => role.outputs.includes(f));
+  copyRoleOutputs(workspace, role, owned);
+  owned.forEach(file => emitEvent(workspace, 'file_written', { role: role.id, file, repair: true }));
+  return { roleId: role.id, files: owned, violations, attempts };
+}
+
+// One fix-up call for a role (verification repair or validation fix): changed files are written to files/<role>/
+async function requestFixes(workspace, manifest, role, system, task, purpose) {
+  const attempts = [];
+  const roleDir = path.join(workspace.filesDir, role.id);
+  const { files, violations, output } = await withRetry(`${role.name} ${purpose}`, async ({ attempt, strategy }) => {
+    const reminder = strategy !== 'initial' && strategy !== 'backoff';
+    const result = await queryModel(role.id, [
+      { role: 'system', content: system },
+      { role: 'user', content: reminder ? task + FILE_FORMAT_REMINDER : task }
+    ], 0.2, { fileBlocks: true, workspace, attempt });
+    return { ...parseWorkerOutput(result, roleDir, declaredFiles(role, manifest)), output: result };
+  }, attempts);
+  logViolations(workspace, role.id, violations);
+  return { files, violations, attempts: attempts.length, output };
+}
+
+// Existing files among `paths` under dir, as FILE blocks for a prompt
+function fileBlocks(dir, paths) {
+  return paths
+    .filter(out => fs.existsSync(path.join(dir, out)))
+    .map(out => `=== FILE: ${out} ===\n${fs.readFileSync(path.join(dir, out), 'utf8')}\n=== END FILE ===`)
+    .join('\n\n');
+}
+
+// Verification stage: install, run the tests, and hand failures back to the responsible roles
+// for up to VERIFY_ITERATIONS repair rounds. Results land in tasks.json and SWARM_SUMMARY.md.
+async function verifyProject(workspace, manifest) {
+  log('Verifying project...');
+  emitEvent(workspace, 'verification_started');
+  const profile = stackProfile(manifest.tech_stack);
+  const verification = { status: 'running', iterations: [] };
+  for (let iteration = 1; ; iteration++) {
+    const { install, test } = verificationCommands(workspace.projectDir, profile);
+    const steps = [];
+    let failure = null;
+    for (const [step, command] of [['install', install], ['test', test]].filter(([, c]) => c)) {
+      log(`Running: ${command}`);
+      const result = await runSandboxed(command, workspace.projectDir, VERIFY_TIMEOUT_MS);
+      result.step = step;
+      steps.push({ step, command, exitCode: result.exitCode, timedOut: result.timedOut, durationMs: result.durationMs, output: result.output.slice(-2000) });
+      if (result.exitCode !== 0) {
+        failure = result;
+        break;
+      }
+    }
+    // A cancelled run kills the running command; that is not a test failure
+    if (runContext.signal?.aborted) throw cancellation();
+    const record = { iteration, steps, passed: !failure, repairs: [] };
+    verification.iterations.push(record);
+
+    if (!test && !failure) {
+      verification.status = 'skipped';
+      verification.reason = `No test command (${profile.no_tests} and SWARM_TEST_CMD is unset)`;
+      break;
+    }
+    if (!failure) {
+      verification.status = 'passed';
+      break;
+    }
+    log(`Verification failed: ${failure.command} ${failure.timedOut ? 'timed out' : `exited with ${failure.exitCode}`}`);
+    if (iteration > VERIFY_ITERATIONS) {
+      verification.status = 'failed';
+      logError(workspace, 'Verifier', `${failure.command} still failing after ${VERIFY_ITERATIONS} repair rounds`, failure.output.slice(-500));
+      break;
+    }
+    if (workspace.budgetExceeded) {
+      verification.status = 'failed';
+      verification.reason = `Budget exceeded: ${workspace.budgetExceeded}`;
+      break;
+    }
+    for (const role of findResponsibleRoles(manifest, failure)) {
+      log(`Asking ${role.name} to repair...`);
+      try {
+        record.repairs.push(await repairRole(workspace, manifest, role, failure));
+      } catch (err) {
+        if (err.aborted) throw err;
+        record.repairs.push({ roleId: role.id, error: err.message });
+        logError(workspace, role.id, `Repair failed: ${err.message}`, `Verification iteration ${iteration}`);
+      }
+    }
+  }
+
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  tasksDB.verification = verification;
+  saveTasks(workspace, tasksDB);
+
+  let body = `**Result:** ${verification.status}${verification.reason ? ` (${verification.reason})` : ''}\n\n`;
+  body += `| Iteration | Command | Result | Duration | Repaired |\n`;
+  body += `|-----------|---------|--------|----------|----------|\n`;
+  verification.iterations.forEach(it => {
+    it.steps.forEach(step => {
+      const result = step.timedOut ? '✗ timeout' : step.exitCode === 0 ? '✓ pass' : `✗ exit ${step.exitCode}`;
+      const repaired = step === it.steps[it.steps.length - 1] && it.repairs.length
+        ? it.repairs.map(r => r.error ? `${r.roleId} (failed)` : `${r.roleId}: ${r.files.join(', ')}`).join('; ')
+        : '-';
+      body += `| ${it.iteration} | \`${step.command}\` | ${result} | ${Math.round(step.durationMs / 1000)}s | ${repaired} |\n`;
+    });
+  });
+  addSummarySection(workspace, 'Verification', body);
+  log(`Verification ${verification.status}.`);
+  emitEvent(workspace, 'verification_finished', { status: verification.status, iterations: verification.iterations.length });
+  return verification;
+}
+
+// Evolve: apply a change request to a finished run. The Planner writes a change plan naming only
+// the roles affected; those roles get their current files and reply with replacements or diffs,
+// which are applied in place. Each iteration is kept under evolutions/<n>/.
+
+// Orchestrator bookkeeping inside a project directory; everything else is the generated project
+const WORKSPACE_ENTRIES = ['files', '.learnings', 'evolutions', 'export', 'tasks.json', 'swarm.yaml', 'DECISIONS.md', 'DECISIONS.json',
+  'SWARM_SUMMARY.md', 'events.jsonl'];
+// Its directories, which test runners that search the whole tree must skip
+const WORKSPACE_DIRS = WORKSPACE_ENTRIES.filter(entry => !entry.includes('.'));
+
+// Installed dependencies and build output (npm, Python virtualenvs, Cargo) are not project files
+const BUILD_DIRS = ['node_modules', '.venv', '__pycache__', '.pytest_cache', 'target'];
+
+// Relative paths of the generated project's files
+function listProjectFiles(projectDir) {
+  const result = [];
+  const walk = (dir, rel) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      if (!rel && WORKSPACE_ENTRIES.includes(entry.name)) return;
+      if (entry.name === '.git' || BUILD_DIRS.includes(entry.name)) return;
+      if (entry.isDirectory()) walk(path.join(dir, entry.name), relPath);
+      else if (entry.isFile()) result.push(relPath);
+    });
+  };
+  walk(projectDir, '');
+  return result.sort();
+}
+
+// Apply a unified diff. Hunks are found by their context lines, starting at the header's line
+// number and searching outwards, so slightly stale line numbers still apply.
+function applyUnifiedDiff(original, diff) {
+  const hunks = [];
+  let hunk = null;
+  diff.replace(/\n$/, '').split('\n').forEach(line => {
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    if (header) {
+      hunk = { start: parseInt(header[1], 10), old: [], new: [] };
+      hunks.push(hunk);
+    } else if (!hunk || line.startsWith('\\')) {
+      // File headers before the first hunk, "\ No newline at end of file"
+    } else if (line.startsWith('-')) {
+      hunk.old.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      hunk.new.push(line.slice(1));
+    } else if (line.startsWith(' ') || line === '') {
+      // Some models drop the leading space of empty context lines
+      hunk.old.push(line.slice(1));
+      hunk.new.push(line.slice(1));
+    } else {
+      throw new Error(`unexpected line in hunk: ${line.slice(0, 60)}`);
+    }
+  });
+  if (!hunks.length) throw new Error('no hunks');
+
+  const lines = original === '' ? [] : original.split('\n');
+  const matchesAt = (pos, expected) => pos >= 0 && pos + expected.length <= lines.length &&
+    expected.every((text, k) => lines[pos + k].trimEnd() === text.trimEnd());
+  let offset = 0;
+  let floor = 0; // hunks apply in order
+  hunks.forEach((h, n) => {
+    const expected = Math.max(floor, (h.old.length ? h.start - 1 : h.start) + offset);
+    let pos = -1;
+    for (let distance = 0; distance <= lines.length; distance++) {
+      if (matchesAt(expected + distance, h.old)) { pos = expected + distance; break; }
+      if (distance && expected - distance >= floor && matchesAt(expected - distance, h.old)) { pos = expected - distance; break; }
+    }
+    if (pos === -1) throw new Error(`hunk ${n + 1} (line ${h.start}) does not match the current file`);
+    lines.splice(pos, h.old.length, ...h.new);
+    offset += h.new.length - h.old.length;
+    floor = pos + h.new.length;
+  });
+  // A new file gets a final newline unless the diff says otherwise
+  return lines.join('\n') + (original === '' && lines.length && !/^\\ No newline/m.test(diff) ? '\n' : '');
+}
+
+// Evolve replies: FILE blocks (full replacements) and PATCH blocks (unified diffs against the
+// current project). Every resulting file is written to stageDir; returns { files, violations }.
+function parseEditOutput(output, stageDir, projectDir, declared) {
+  const patchRegex = /=== PATCH: (.+?)\s*===\n([\s\S]*?)\n?=== END PATCH ===/g;
+  const files = [];
+  const violations = [];
+  let patches = 0;
+  let match;
+  while ((match = patchRegex.exec(output)) !== null) {
+    patches++;
+    const filePath = normalizeOutputPath(match[1]);
+    if (!filePath || !declared.includes(filePath)) {
+      violations.push({ file: match[1], rule: filePath ? 'undeclared' : 'path_escape', detail: 'patch outside the files this change may touch', action: 'rejected' });
+      continue;
+    }
+    const staged = path.join(stageDir, filePath);
+    const current = fs.existsSync(staged) ? staged : path.join(projectDir, filePath);
+    let patched;
+    try {
+      patched = applyUnifiedDiff(fs.existsSync(current) ? fs.readFileSync(current, 'utf8') : '', match[2]);
+    } catch (e) {
+      const err = new Error(`Patch for ${filePath} does not apply: ${e.message}`);
+      err.patchFailed = true;
+      throw err;
+    }
+    fs.mkdirSync(path.dirname(staged), { recursive: true });
+    fs.writeFileSync(staged, patched);
+    if (!files.includes(filePath)) files.push(filePath);
+  }
+
+  const rest = output.replace(patchRegex, '');
+  if (/=== FILE: /.test(rest) || patches === 0) {
+    const parsed = parseWorkerOutput(rest, stageDir, declared);
+    parsed.files.forEach(f => { if (!files.includes(f)) files.push(f); });
+    violations.push(...parsed.violations);
+  }
+  return { files, violations };
+}
+
+// Problems with a change plan against the current manifest
+function validateChangePlan(plan, manifest) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) return ['Change plan must be a JSON object'];
+  const errors = [];
+  if (typeof plan.summary !== 'string' || !plan.summary.trim()) errors.push('summary must be a non-empty string');
+  const newRoles = plan.new_roles === undefined ? [] : plan.new_roles;
+  if (!Array.isArray(newRoles)) errors.push('new_roles must be an array');
+  const known = new Set(manifest.roles.map(r => r.id));
+  (Array.isArray(newRoles) ? newRoles : []).forEach((role, i) => {
+    if (!role || typeof role.id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(role.id)) errors.push(`new_roles[${i}].id must be a kebab-case string`);
+    else if (known.has(role.id)) errors.push(`new role "${role.id}" already exists`);
+    else known.add(role.id);
+    if (!role || typeof role.name !== 'string' || !role.name) errors.push(`new_roles[${i}].name must be a non-empty string`);
+  });
+  if (!Array.isArray(plan.roles) || plan.roles.length === 0) {
+    errors.push('roles must be a non-empty array of the roles this change needs');
+    return errors;
+  }
+
+  const owners = new Map();
+  manifest.roles.forEach(r => r.outputs.forEach(out => owners.set(out, r.id)));
+  const shared = manifest.shared_files || [];
+  const planned = new Map(); // file -> plan role
+  const ids = new Set();
+  plan.roles.forEach((change, i) => {
+    const where = change && typeof change.id === 'string' ? change.id : `roles[${i}]`;
+    if (!change || typeof change.id !== 'string' || !known.has(change.id)) return errors.push(`${where}: unknown role (add it to new_roles to create it)`);
+    if (ids.has(change.id)) errors.push(`${change.id} is listed twice`);
+    ids.add(change.id);
+    if (typeof change.task !== 'string' || !change.task.trim()) errors.push(`${change.id}: task must be a non-empty string`);
+    if (!Array.isArray(change.files) || change.files.length === 0) {
+      errors.push(`${change.id}: files must be a non-empty array of file paths`);
+    } else {
+      change.files.forEach(file => {
+        if (typeof file !== 'string' || !normalizeOutputPath(file)) return errors.push(`${change.id}: "${file}" must be a relative path inside the project`);
+        const owner = owners.get(file);
+        if (owner && owner !== change.id && !shared.includes(file)) errors.push(`${change.id}: ${file} belongs to ${owner}`);
+        if (planned.has(file) && !shared.includes(file)) errors.push(`${file} is changed by both ${planned.get(file)} and ${change.id}`);
+        planned.set(file, change.id);
+      });
+    }
+    if (change.depends_on !== undefined && (!Array.isArray(change.depends_on) || change.depends_on.some(d => typeof d !== 'string'))) {
+      errors.push(`${change.id}: depends_on must be an array of role ids`);
+    }
+  });
+  plan.roles.forEach(change => {
+    (Array.isArray(change?.depends_on) ? change.depends_on : []).forEach(dep => {
+      if (!ids.has(dep)) errors.push(`${change.id} depends on "${dep}", which is not part of this change`);
+    });
+  });
+  const cycle = findDependencyCycle(plan.roles.filter(c => c && typeof c.id === 'string').map(c => ({ id: c.id, depends_on: Array.isArray(c.depends_on) ? c.depends_on : [] })));
+  if (cycle) errors.push(`Dependency cycle: ${cycle.join(' -> ')}`);
+  if (plan.decisions !== undefined && (!Array.isArray(plan.decisions) || plan.decisions.some(d => !d || typeof d.what !== 'string'))) {
+    errors.push('decisions must be an array of { "what": ..., "why": ... } objects');
+  }
+  return errors;
+}
 
-  const { base } = getRoleConfig(role, manifest);
-  const deps = role.depends_on || [];
-  const depNote = deps.length ? `\nNote: wait for dependencies: ${deps.join(', ')}.` : '';
-  const task = `Project: "${workspace.prompt}"\n\nRole: ${role.name} (${role.id})\n${depNote}\n\nWrite all required files to the shared workspace. Use the FILE block format.`;
+// Planner for evolve: which roles change which files
+async function runChangePlanner(workspace, manifest, changePrompt, record) {
+  log('Running Planner for the change...');
+  const decisions = fs.existsSync(workspace.decisionsPath) ? fs.readFileSync(workspace.decisionsPath, 'utf8') : '';
+  const systemMsg = `You are a senior software architect planning a change to a project a coding swarm already built.
 
-  log(`Starting ${role.name}...`);
+Given the change request, the current manifest, the project's file tree and its decision log, output ONLY valid JSON (no markdown):
+{
+  "summary": "one sentence describing the change",
+  "roles": [
+    { "id": "backend-dev", "task": "what this role must change", "files": ["server.js"], "depends_on": [] }
+  ],
+  "new_roles": [],
+  "decisions": [
+    { "what": "Offset pagination", "why": "Simple and enough for the data size", "category": "other" }
+  ]
+}
+
+Rules:
+- Include only the roles whose files must change. Leave everything else untouched.
+- files lists every file the role will modify or create. A file that already exists belongs to its current owner (see outputs in the manifest) unless it is in shared_files.
+- depends_on may only name other roles in this plan, e.g. so tests are updated after the code they test.
+- Use new_roles ({ "id", "name" }) only when no existing role fits.
+- Respect earlier decisions unless the change request overrides them; record any new ones in decisions, each with a "category": ${DECISION_CATEGORIES}, or other.
+${learningsNote(relevantLearnings(workspace, PLANNER_LEARNING_AGENTS, manifest.tech_stack))}`;
+  const userMsg = `Change request: "${changePrompt}"
+
+Original prompt: "${workspace.prompt}"
+
+Manifest:
+${JSON.stringify({ roles: manifest.roles, shared_files: manifest.shared_files, tech_stack: manifest.tech_stack }, null, 2)}
+
+Files:
+${listProjectFiles(workspace.projectDir).map(f => `- ${f}`).join('\n')}
+
+Decision log:
+${decisions.slice(-Math.floor(CONTEXT_BUDGET / 2))}`;
+
+  record.planner = { attempts: [], validation: [] };
+  emitEvent(workspace, 'planner_started', { purpose: 'change' });
   try {
-    const result = await queryOpenRouter([
-      { role: 'system', content: base },
-      { role: 'user', content: task }
-    ], 0.25);
-    const files = parseWorkerOutput(result, roleDir);
-    fs.writeFileSync(path.join(roleDir, 'raw.txt'), result);
-    log(`${role.name} wrote ${files.length} files.`);
-    
-    // Extract and record decisions from this agent's output
-    extractAndRecordDecisions(workspace, role.id, result);
-    
-    return { roleId: role.id, status: 'done', files };
+    const plan = await requestValidJson(workspace, {
+      agentId: 'planner',
+      label: 'Planner',
+      noun: 'change plan',
+      messages: [
+        { role: 'system', content: systemMsg },
+        { role: 'user', content: userMsg }
+      ],
+      check: parsed => ({ value: parsed, errors: validateChangePlan(parsed, manifest) }),
+      attempts: record.planner.attempts,
+      validation: record.planner.validation
+    });
+    emitEvent(workspace, 'planner_finished', { purpose: 'change', attempts: record.planner.attempts.length });
+    return plan;
   } catch (err) {
-    log(`${role.name} failed: ${err.message}`);
-    // Log error to learning repository
-    logError(workspace, role.id, err.message, `Task: ${role.outputs.join(', ')}`);
-    
-    // Check if this is a known error pattern and suggest retry with adjusted prompt
-    if (err.message.includes('timeout') || err.message.includes('502')) {
-      logLearning(workspace, 'Orchestrator', 'Retry strategy for transient failures', 
-        `When encountering timeouts or 502 errors from the model API, retry once with a simplified task prompt. This happened with ${role.id}.`, 'best_practice');
-      // Could implement retry here with adjusted temperature or simplified instructions
-    }
-    
+    emitEvent(workspace, 'planner_failed', { purpose: 'change', error: err.message });
     throw err;
   }
 }
 
-// Parse decisions from agent output and append to DECISIONS.md
-function extractAndRecordDecisions(workspace, agentId, output) {
-  // Find the "DECISIONS MADE" section
-  const sectionMatch = output.match(/DECISIONS MADE:?[\s\S]*?$/m);
-  if (!sectionMatch) return;
-  
-  const section = sectionMatch[0];
-  const lines = section.split('\n');
-  let currentDecision = null;
-  let currentReason = null;
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('- [Decision]:') || trimmed.startsWith('[Decision]:') || trimmed.startsWith('Decision:')) {
-      // Save previous if complete
-      if (currentDecision && currentReason) {
-        recordDecision(workspace, agentId, currentDecision, currentReason);
-      }
-      currentDecision = trimmed.replace(/^[-*\[\]]*\s*Decision:?\s*/i, '').trim();
-      currentReason = null;
-    } else if ((trimmed.startsWith('- [Reason]:') || trimmed.startsWith('[Reason]:') || trimmed.startsWith('Reason:')) && currentDecision) {
-      currentReason = trimmed.replace(/^[-*\[\]]*\s*Reason:?\s*/i, '').trim();
-      // Save complete pair
-      if (currentDecision && currentReason) {
-        recordDecision(workspace, agentId, currentDecision, currentReason);
-        currentDecision = null;
-        currentReason = null;
+// Plan roles in dependency order
+function orderChanges(changes) {
+  const ordered = [];
+  const done = new Set();
+  while (ordered.length < changes.length) {
+    const next = changes.find(c => !done.has(c.id) && (c.depends_on || []).every(d => done.has(d)));
+    ordered.push(next);
+    done.add(next.id);
+  }
+  return ordered;
+}
+
+// One role's part of a change: current files in, replacements or diffs out (staged in stageDir)
+async function evolveRole(workspace, manifest, role, change, changePrompt, stageDir, changedSoFar) {
+  const { base } = getRoleConfig(role, manifest);
+  const fileBlock = file => {
+    const full = path.join(workspace.projectDir, file);
+    return fs.existsSync(full)
+      ? `=== FILE: ${file} ===\n${fs.readFileSync(full, 'utf8')}\n=== END FILE ===`
+      : `(${file} does not exist yet)`;
+  };
+  const others = role.outputs.filter(out => !change.files.includes(out));
+  const upstream = changedSoFar.filter(f => !change.files.includes(f));
+  const lessons = learningsNote(relevantLearnings(workspace, [role.id], manifest.tech_stack)).trimEnd();
+  const task = `Project: "${workspace.prompt}"
+
+Role: ${role.name} (${role.id})
+
+Change request: "${changePrompt}"
+Your part: ${change.task}${lessons}
+
+Files you may change: ${change.files.join(', ')}${others.length ? `\nYour other files (unchanged): ${others.join(', ')}` : ''}
+
+Current contents:
+
+${change.files.map(fileBlock).join('\n\n')}
+${upstream.length ? `\nAlready changed for this request by other roles:\n\n${upstream.map(fileBlock).join('\n\n')}\n` : ''}
+Reply only with the files you change. For each, send either the complete new content:
+=== FILE: path ===
+<content>
+=== END FILE ===
+or a unified diff against the current contents above:
+=== PATCH: path ===
+@@ -12,3 +12,4 @@
+ context line
+-removed line
++added line
+ context line
+=== END PATCH ===`;
+
+  const attempts = [];
+  const roleStage = path.join(stageDir, role.id);
+  fs.rmSync(roleStage, { recursive: true, force: true });
+  const { result, files, violations } = await withRetry(`${role.name} change`, async ({ attempt, strategy }) => {
+    const reminder = strategy === 'full_files'
+      ? '\n\nYour last patch did not apply. Send complete FILE blocks for every file you change.'
+      : strategy === 'format_reminder' || strategy === 'split_outputs' ? FILE_FORMAT_REMINDER : '';
+    const result = await queryModel(role.id, [
+      { role: 'system', content: base },
+      { role: 'user', content: task + reminder }
+    ], reminder ? 0.1 : TEMPERATURE ?? 0.25, { fileBlocks: true, workspace, attempt });
+    fs.rmSync(roleStage, { recursive: true, force: true });
+    return { result, ...parseEditOutput(result, roleStage, workspace.projectDir, change.files) };
+  }, attempts);
+  fs.writeFileSync(path.join(roleStage, 'raw.txt'), redactSecrets(result));
+  logViolations(workspace, role.id, violations);
+  const decisions = extractAndRecordDecisions(workspace, role.id, result);
+  return { roleId: role.id, status: 'done', files, violations, decisions, attempts };
+}
+
+// Copy a role's staged files into the project (and its files/<role>/ copy), keeping the originals
+function applyStagedFiles(workspace, roleId, files, stageDir) {
+  files.forEach(file => {
+    const target = path.join(workspace.projectDir, file);
+    const before = path.join(stageDir, 'before', file);
+    if (fs.existsSync(target) && !fs.existsSync(before)) {
+      fs.mkdirSync(path.dirname(before), { recursive: true });
+      fs.copyFileSync(target, before);
+    }
+    [target, path.join(workspace.filesDir, roleId, file)].forEach(dest => {
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.copyFileSync(path.join(stageDir, roleId, file), dest);
+    });
+    emitEvent(workspace, 'file_written', { role: roleId, file });
+  });
+}
+
+async function evolveProject(workspace, manifest, changePrompt) {
+  changePrompt = redactPrompt(changePrompt);
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  const iteration = (tasksDB.evolutions || []).length + 1;
+  const stageDir = path.join(workspace.projectDir, 'evolutions', String(iteration).padStart(3, '0'));
+  fs.mkdirSync(stageDir, { recursive: true });
+  const record = { iteration, prompt: changePrompt, status: 'running', startedAt: new Date().toISOString(), roles: [] };
+  const saveRecord = () => {
+    const db = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+    db.evolutions = (db.evolutions || []).filter(e => e.iteration !== iteration).concat(record);
+    saveTasks(workspace, db);
+    fs.writeFileSync(path.join(stageDir, 'change.json'), redactSecrets(JSON.stringify(record, null, 2)));
+  };
+  log(`Evolution ${iteration}: ${changePrompt}`);
+  emitEvent(workspace, 'evolution_started', { iteration, change: changePrompt });
+
+  let failure = null;
+  try {
+    const plan = await runChangePlanner(workspace, manifest, changePrompt, record);
+    record.plan = plan;
+    recordDecision(workspace, 'Planner', `Change ${iteration}: ${changePrompt}`, plan.summary);
+    (plan.decisions || []).forEach(dec => recordDecision(workspace, 'Planner', dec.what, dec.why || 'Change plan', { category: dec.category }));
+
+    // New roles and new files join the manifest, so later runs and evolutions know their owners
+    (plan.new_roles || []).forEach(r => manifest.roles.push({ id: r.id, name: r.name, outputs: [], depends_on: [] }));
+    plan.roles.forEach(change => {
+      const role = manifest.roles.find(r => r.id === change.id);
+      change.files.forEach(file => {
+        if (!role.outputs.includes(file) && !(manifest.shared_files || []).includes(file)) role.outputs.push(file);
+      });
+    });
+    manifest.roles = manifest.roles.filter(r => r.outputs.length);
+    writeManifest(workspace, manifest);
+    log(`Change plan: ${plan.roles.map(c => `${c.id} (${c.files.join(', ')})`).join(' -> ')}`);
+
+    const changed = [];
+    for (const change of orderChanges(plan.roles)) {
+      const role = manifest.roles.find(r => r.id === change.id);
+      log(`${role.name}: ${change.task}`);
+      emitEvent(workspace, 'role_started', { role: role.id });
+      try {
+        const result = await evolveRole(workspace, manifest, role, change, changePrompt, stageDir, changed);
+        // Scanned while still staged, so a refused file never reaches the project
+        const secrets = scanFilesForSecrets(result.files.map(file => ({ file, role: role.id, path: path.join(stageDir, role.id, file) })));
+        record.secrets = (record.secrets || []).concat(secrets);
+        reportSecretFindings(workspace, secrets);
+        refuseBlockedSecrets(secrets);
+        applyStagedFiles(workspace, role.id, result.files, stageDir);
+        changed.push(...result.files.filter(f => !changed.includes(f)));
+        record.roles.push(result);
+        log(`${role.name} changed ${result.files.length} file(s): ${result.files.join(', ')}`);
+        emitEvent(workspace, 'role_succeeded', { role: role.id, files: result.files.length, attempts: result.attempts.length });
+      } catch (err) {
+        const status = err.aborted ? 'cancelled' : 'failed';
+        record.roles.push({ roleId: role.id, status, error: err.message, attempts: err.attempts || [] });
+        emitEvent(workspace, `role_${status}`, { role: role.id, error: err.message, attempts: (err.attempts || []).length });
+        throw err;
+      } finally {
+        saveRecord();
       }
     }
+    record.status = 'completed';
+  } catch (err) {
+    failure = err;
+    record.status = failureStatus(err);
+    record.error = err.message;
+    logError(workspace, 'Evolve', `Change ${iteration} failed: ${err.message}`, changePrompt);
+  }
+  record.finishedAt = new Date().toISOString();
+  saveRecord();
+  emitEvent(workspace, 'evolution_finished', { iteration, status: record.status, error: record.error });
+
+  let body = `**Change:** ${changePrompt}\n**Status:** ${record.status}${record.error ? ` (${record.error})` : ''}\n`;
+  if (record.plan) body += `**Plan:** ${record.plan.summary}\n`;
+  if (record.secrets?.length) {
+    body += `**Secrets:** ${record.secrets.map(f => `\`${f.file}:${f.line}\` ${f.detector} (${f.action})`).join(', ')}\n`;
+  }
+  body += `**History:** \`evolutions/${path.basename(stageDir)}/\` (originals under \`before/\`)\n\n`;
+  if (record.roles.length) {
+    body += `| Role | Status | Files | Attempts |\n`;
+    body += `|------|--------|-------|----------|\n`;
+    record.roles.forEach(r => {
+      body += `| ${r.roleId} | ${r.status === 'done' ? '✓ done' : r.status === 'cancelled' ? '⏹ cancelled' : `✗ ${r.error.substring(0, 50)}`} | ${(r.files || []).join(', ') || '-'} | ${r.attempts.length} |\n`;
+    });
   }
-  // Save any dangling pair (in case order was Reason then Decision, but unlikely)
-  if (currentDecision && currentReason) {
-    recordDecision(workspace, agentId, currentDecision, currentReason);
+  addSummarySection(workspace, `Evolution ${iteration}`, body);
+  if (failure) {
+    if (record.roles.some(r => r.status === 'done')) log(`Changes already applied are kept; originals are in ${path.join(stageDir, 'before')}`);
+    throw failure;
   }
+  return record;
 }
 
-// Execute manifest respecting dependencies (topological sort)
-async function executeManifest(workspace, manifest) {
-  const tasksPath = workspace.tasksPath;
-  const tasksDB = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
-  const roleMap = new Map(manifest.roles.map(r => [r.id, r]));
+// Export: a clean copy of the generated project under export/<name>/ (no orchestrator
+// bookkeeping) with its own git history and .zip/.tar.gz archives. The first export commits each
+// role's files as that role, with its decisions as the message body; later exports (after resume or
+// evolve) add commits to the same repository. What has been committed is kept in tasks.json.
 
-  // Build dependency graph
-  const inDegree = new Map();
-  manifest.roles.forEach(r => inDegree.set(r.id, r.depends_on?.length || 0));
-  let queue = manifest.roles.filter(r => inDegree.get(r.id) === 0).map(r => r.id);
-  const completed = new Set(tasksDB.completed);
-  
-  const roleStats = new Map(); // Track success/failure per role
+const EXPORT_COMMITTER = { name: 'Swarm Orchestrator', email: 'orchestrator@swarm.local' };
 
-  while (queue.length > 0) {
-    const roleId = queue.shift();
-    const role = roleMap.get(roleId);
-    const deps = role.depends_on || [];
-    if (!deps.every(d => completed.has(d))) continue;
+function exportSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'project';
+}
 
-    try {
-      const res = await spawnWorker(workspace, role, manifest);
-      tasksDB.completed.push(roleId);
-      tasksDB.tasks.push(res);
-      completed.add(roleId);
-      roleStats.set(roleId, { status: 'success', files: res.files.length });
-      fs.writeFileSync(tasksPath, JSON.stringify(tasksDB, null, 2));
-    } catch (err) {
-      log(`Task ${roleId} failed; aborting.`);
-      roleStats.set(roleId, { status: 'failed', error: err.message });
-      // Log learning: this role consistently fails, maybe needs better prompt?
-      logLearning(workspace, 'Orchestrator', `Role ${roleId} failed`, 
-        `Error: ${err.message}. Consider: (1) Simplify the task for this role, (2) Adjust system prompt, (3) Split into smaller subtasks.`, 'error_pattern');
-      throw err;
+function git(cwd, args, { input, author = EXPORT_COMMITTER } = {}) {
+  return execFileSync('git', ['-c', 'commit.gpgsign=false', '-c', 'core.hooksPath=/dev/null', ...args], {
+    cwd,
+    input,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      GIT_AUTHOR_NAME: author.name,
+      GIT_AUTHOR_EMAIL: author.email,
+      GIT_COMMITTER_NAME: EXPORT_COMMITTER.name,
+      GIT_COMMITTER_EMAIL: EXPORT_COMMITTER.email
     }
+  }).toString().trim();
+}
 
-    // Decrement in-degree of dependents
-    manifest.roles.forEach(r => {
-      if (r.depends_on.includes(roleId)) {
-        inDegree.set(r.id, inDegree.get(r.id) - 1);
-        if (inDegree.get(r.id) === 0) queue.push(r.id);
-      }
+function gitAvailable() {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Stage `paths` (everything when null) and commit them; false when nothing changed
+function gitCommit(cwd, message, author, paths = null) {
+  const existing = paths && paths.filter(p => fs.existsSync(path.join(cwd, p)));
+  if (existing && !existing.length) return false;
+  git(cwd, ['add', '-A', '--', ...(existing || ['.'])]);
+  try {
+    git(cwd, ['diff', '--cached', '--quiet']);
+    return false;
+  } catch (e) {
+    // Exit status 1: there are staged changes
+  }
+  git(cwd, ['commit', '-q', '-F', '-'], { input: message, author });
+  return true;
+}
+
+// "<Role>: a.js, b.js and 3 more"
+function commitSubject(prefix, files) {
+  const shown = files.slice(0, 3).join(', ');
+  return `${prefix}: ${shown || 'no files'}${files.length > 3 ? ` and ${files.length - 3} more` : ''}`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// Deflated zip of { name, data, mode, mtime } entries
+function zipArchive(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const compressed = zlib.deflateRawSync(entry.data);
+    const crc = crc32(entry.data);
+    const { time, day } = dosDateTime(entry.mtime);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x0314, 4);      // made by: unix, 2.0
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((0o100000 | entry.mode) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Gzipped ustar archive of the same entries; names over 100 bytes use the prefix field
+function tarGzArchive(entries) {
+  const blocks = [];
+  entries.forEach(entry => {
+    let name = entry.name;
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+      const cut = [...name.matchAll(/\//g)].map(m => m.index).find(i => Buffer.byteLength(name.slice(i + 1)) <= 100);
+      if (cut === undefined || Buffer.byteLength(name.slice(0, cut)) > 155) throw new Error(`Path too long for tar: ${entry.name}`);
+      prefix = name.slice(0, cut);
+      name = name.slice(cut + 1);
+    }
+    const header = Buffer.alloc(512);
+    const field = (value, offset, length) => header.write(value, offset, length, 'utf8');
+    const octal = (value, offset, length) => field(value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+    field(name, 0, 100);
+    octal(entry.mode, 100, 8);
+    octal(0, 108, 8);
+    octal(0, 116, 8);
+    octal(entry.data.length, 124, 12);
+    octal(Math.floor(entry.mtime.getTime() / 1000), 136, 12);
+    field('        ', 148, 8);
+    field('0', 156, 1);
+    field('ustar\u000000', 257, 8);
+    field(prefix, 345, 155);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    field(sum.toString(8).padStart(6, '0') + '\u0000 ', 148, 8);
+    blocks.push(header, entry.data, Buffer.alloc((512 - (entry.data.length % 512)) % 512));
+  });
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+const ARCHIVE_FORMATS = { zip: zipArchive, 'tar.gz': tarGzArchive };
+
+function exportProject(workspace, manifest) {
+  const slug = exportSlug(manifest.project_name);
+  const exportDir = path.resolve(workspace.projectDir, EXPORT_DIR);
+  const treeDir = path.join(exportDir, slug);
+  log(`Exporting to ${treeDir}...`);
+  emitEvent(workspace, 'export_started', { path: treeDir });
+
+  // Mirror the project into the tree; .git is all that survives from the last export
+  const files = listProjectFiles(workspace.projectDir).filter(f => !path.resolve(workspace.projectDir, f).startsWith(exportDir + path.sep));
+  fs.mkdirSync(treeDir, { recursive: true });
+  fs.readdirSync(treeDir).filter(e => e !== '.git').forEach(e => fs.rmSync(path.join(treeDir, e), { recursive: true, force: true }));
+  files.forEach(file => {
+    const dest = path.join(treeDir, file);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(path.join(workspace.projectDir, file), dest);
+  });
+
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  const completedEvolutions = (tasksDB.evolutions || []).filter(e => e.status === 'completed');
+  let state = tasksDB.export || {};
+  const commits = [];
+  if (!gitAvailable()) {
+    log('⚠️  git not found; exporting without history');
+  } else {
+    const fresh = !fs.existsSync(path.join(treeDir, '.git'));
+    if (fresh) {
+      git(treeDir, ['init', '-q']);
+      git(treeDir, ['symbolic-ref', 'HEAD', 'refs/heads/main']);
+      state = {};
+    }
+    const committedRoles = state.roles || [];
+    const committedEvolutions = state.evolutions || [];
+
+    // One commit per finished role not yet in the history, in manifest order
+    manifest.roles.forEach(role => {
+      const task = tasksDB.tasks.find(t => t.roleId === role.id);
+      if (!task || task.status !== 'done' || committedRoles.includes(role.id)) return;
+      const decisions = (task.decisions || []).map(d => `- ${d.decision}${d.reason ? `\n  Reason: ${d.reason}` : ''}`);
+      const message = `${commitSubject(role.name, task.files)}\n\n${decisions.length ? `Decisions:\n${decisions.join('\n')}` : 'No decisions recorded.'}\n`;
+      if (gitCommit(treeDir, message, { name: role.name, email: `${role.id}@swarm.local` }, task.files)) commits.push(role.id);
+      committedRoles.push(role.id);
     });
+
+    // Evolutions made before the first export are already part of the role commits
+    const pending = fresh ? [] : completedEvolutions.filter(e => !committedEvolutions.includes(e.iteration));
+    if (pending.length) {
+      const changed = [...new Set(pending.flatMap(e => e.roles.flatMap(r => r.files || [])))];
+      const body = pending.map(e => [
+        `Change ${e.iteration}: ${e.prompt}`,
+        e.plan ? e.plan.summary : null,
+        ...e.roles.filter(r => r.status === 'done').map(r => `- ${r.roleId}: ${r.files.join(', ')}`)
+      ].filter(Boolean).join('\n')).join('\n\n');
+      const subject = pending.length === 1 ? `Evolve: ${pending[0].prompt}` : `Evolve: ${pending.length} changes`;
+      if (gitCommit(treeDir, `${subject.length > 72 ? `${subject.slice(0, 69)}...` : subject}\n\n${body}\n`, EXPORT_COMMITTER, changed)) commits.push('evolve');
+    }
+
+    // Whatever no role commit covered: assembly output (README, merged shared files), repairs
+    if (gitCommit(treeDir, fresh
+      ? 'Assemble project\n\nShared files, merges and generated files from assembly.\n'
+      : 'Update project files\n\nChanges from resume, verification repairs or assembly.\n', EXPORT_COMMITTER)) {
+      commits.push('assembly');
+    }
+    state = {
+      roles: committedRoles,
+      evolutions: [...new Set([...committedEvolutions, ...completedEvolutions.map(e => e.iteration)])],
+      head: git(treeDir, ['rev-parse', '--short', 'HEAD']),
+      commits: parseInt(git(treeDir, ['rev-list', '--count', 'HEAD']), 10)
+    };
   }
 
-  // Generate summary statistics
-  generateRunSummary(workspace, manifest, roleStats, tasksDB.tasks);
-  
-  log('All tasks completed.');
-  return tasksDB.tasks;
+  // Archives hold the tree under <slug>/, without .git
+  const entries = files.map(file => {
+    const full = path.join(treeDir, file);
+    const stat = fs.statSync(full);
+    return { name: `${slug}/${file}`, data: fs.readFileSync(full), mode: stat.mode & 0o777, mtime: stat.mtime };
+  });
+  const archives = EXPORT_ARCHIVES.map(format => {
+    const file = path.join(exportDir, `${slug}.${format}`);
+    fs.writeFileSync(file, ARCHIVE_FORMATS[format](entries));
+    return file;
+  });
+
+  const result = { path: treeDir, ...state, newCommits: commits.length, archives, exportedAt: new Date().toISOString() };
+  const db = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  db.export = result;
+  saveTasks(workspace, db);
+
+  let body = `**Path:** \`${path.relative(workspace.projectDir, treeDir) || '.'}\` (${files.length} files)\n`;
+  body += result.head
+    ? `**History:** ${result.commits} commit(s), ${commits.length} new, HEAD ${result.head}\n`
+    : `**History:** none (git not found)\n`;
+  body += `**Archives:** ${archives.map(a => `\`${path.relative(workspace.projectDir, a)}\``).join(', ') || 'none'}\n`;
+  addSummarySection(workspace, 'Export', body);
+  log(`Exported ${files.length} file(s)${result.head ? `, ${commits.length} new commit(s)` : ''}${archives.length ? `; archives: ${archives.map(a => path.basename(a)).join(', ')}` : ''}`);
+  emitEvent(workspace, 'export_finished', { path: treeDir, commits: commits.length, archives: archives.map(a => path.basename(a)) });
+  return result;
 }
 
-// Generate end-of-run summary
-function generateRunSummary(workspace, manifest, roleStats, tasks) {
-  const summaryPath = path.join(workspace.projectDir, 'SWARM_SUMMARY.md');
-  const endTime = new Date().toISOString();
-  const duration = (new Date() - new Date(workspace.startTime || endTime)) / 1000;
-  
-  let summary = `# Swarm Execution Summary\n\n`;
-  summary += `**Project:** ${manifest.project_name}\n`;
-  summary += `**Prompt:** ${workspace.prompt}\n`;
-  summary += `**Completed:** ${endTime}\n`;
-  summary += `**Duration:** ${Math.round(duration)}s\n`;
-  summary += `**Manifest:** ${workspace.manifestPath}\n\n`;
-  
-  summary += `## Role Performance\n\n`;
-  summary += `| Role | Status | Files | Notes |\n`;
-  summary += `|------|--------|-------|-------|\n`;
-  manifest.roles.forEach(role => {
-    const stats = roleStats.get(role.id) || { status: 'not_run' };
-    const statusIcon = stats.status === 'success' ? '✓' : stats.status === 'failed' ? '✗' : '○';
-    const files = stats.files || '-';
-    const notes = stats.error ? `Error: ${stats.error.substring(0, 50)}...` : '-';
-    summary += `| ${role.name} (${role.id}) | ${statusIcon} ${stats.status || 'skipped'} | ${files} | ${notes} |\n`;
+// Drop roles selected out with --roles / --exclude-roles. Dependencies on dropped roles are
+// treated as satisfied (their files may already exist, e.g. from a resumed run).
+function selectRoles(manifest) {
+  const list = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+  const include = list(setting('SWARM_ROLES'));
+  const exclude = list(setting('SWARM_EXCLUDE_ROLES'));
+  if (!include.length && !exclude.length) return manifest;
+  const unknown = include.concat(exclude).filter(id => !manifest.roles.some(r => r.id === id));
+  if (unknown.length) throw new Error(`Unknown role(s) in --roles/--exclude-roles: ${unknown.join(', ')}`);
+
+  const keep = manifest.roles.filter(r => (!include.length || include.includes(r.id)) && !exclude.includes(r.id));
+  const kept = new Set(keep.map(r => r.id));
+  const skipped = manifest.roles.filter(r => !kept.has(r.id)).map(r => r.id);
+  log(`Skipping roles: ${skipped.join(', ')}`);
+  return {
+    ...manifest,
+    roles: keep.map(r => ({ ...r, depends_on: (r.depends_on || []).filter(d => kept.has(d)) }))
+  };
+}
+
+// Prompt for a new run; with --manifest it may be left out and defaults to the project name
+function runPrompt(prompt, authored) {
+  const result = prompt || (authored && authored.manifest.project_name);
+  if (!result) throw new Error('A prompt is required (or a --manifest with a project_name)');
+  return result;
+}
+
+// `plan`: run only the Planner and print the manifest. The run can be executed later with `resume`.
+async function cmdPlan(prompt) {
+  const authored = readAuthoredManifest();
+  const workspace = createProjectWorkspace(runPrompt(prompt, authored));
+  await trackRun(workspace, 'plan', async () => {
+    const manifest = await planManifest(workspace, authored);
+    const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+    tasksDB.status = 'planned';
+    saveTasks(workspace, tasksDB);
+    console.log(toYaml(manifest));
+    return 'planned';
   });
-  
-  summary += `\n## Tech Stack\n\n`;
-  const tech = manifest.tech_stack;
-  Object.entries(tech).forEach(([key, val]) => {
-    summary += `- **${key}:** ${val}\n`;
+  log(`Review ${workspace.manifestPath}, then execute it with: node orchestrator.js resume ${workspace.projectId}`);
+}
+
+// Plan (unless resuming), execute, assemble and verify one run: `run`/`resume` and runSwarm.
+// Errors carry the run's projectId so callers can point at `resume`.
+async function runProject(prompt, resumeId) {
+  const authored = resumeId ? null : readAuthoredManifest();
+  const workspace = resumeId ? openProjectWorkspace(resumeId) : createProjectWorkspace(runPrompt(prompt, authored));
+  let manifest;
+  const status = await trackRun(workspace, resumeId ? 'resume' : 'run', async () => {
+    // A resumed run keeps its manifest; the Planner only runs again if it never wrote one
+    manifest = resumeId && fs.existsSync(workspace.manifestPath)
+      ? loadManifest(workspace)
+      : await planManifest(workspace, authored);
+    const selected = selectRoles(manifest);
+    const skipped = manifest.roles.filter(r => !selected.roles.some(k => k.id === r.id));
+    skipped.forEach(r => emitEvent(workspace, 'role_skipped', { role: r.id, reason: 'excluded' }));
+    await executeManifest(workspace, selected);
+    if (skipped.length) {
+      addSummarySection(workspace, 'Skipped Roles', `Not run (--roles/--exclude-roles): ${skipped.map(r => r.id).join(', ')}`);
+    }
+    if (RESOLVE_CONFLICTS) await resolveDecisionConflicts(workspace, selected);
+    reportDecisionConflicts(workspace);
+    if (VALIDATE) await validateProject(workspace, selected);
+    scanGeneratedSecrets(workspace, selected);
+    await assembleProject(workspace, selected);
+    let status = 'completed';
+    if (VERIFY) {
+      const verification = await verifyProject(workspace, selected);
+      if (verification.status === 'failed') {
+        log(`⚠️  Tests still failing; see the Verification section of SWARM_SUMMARY.md`);
+        status = 'verification_failed';
+      }
+    }
+    if (EXPORT) exportProject(workspace, selected);
+    // Assembly merges and verification repairs also call the model
+    addSummarySection(workspace, 'Cost', costSection(workspace));
+    return status;
+  }).catch(err => {
+    err.projectId = workspace.projectId;
+    throw err;
   });
-  
-  // Count total files generated
-  const totalFiles = tasks.reduce((sum, task) => sum + (task.files?.length || 0), 0);
-  summary += `\n**Total files generated:** ${totalFiles}\n`;
-  
-  // Include learning log references
-  summary += `\n## Learnings Captured\n\n`;
-  summary += `- Errors: \`.learnings/ERRORS.md\` (${countLines(path.join(workspace.learningsDir, 'ERRORS.md'))} entries)\n`;
-  summary += `- Insights: \`.learnings/LEARNINGS.md\` (${countLines(path.join(workspace.learningsDir, 'LEARNINGS.md'))} entries)\n`;
-  summary += `- Feature requests: \`.learnings/FEATURE_REQUESTS.md\` (${countLines(path.join(workspace.learningsDir, 'FEATURE_REQUESTS.md'))} entries)\n`;
-  
-  summary += `\n## Next Steps\n\n`;
-  summary += `1. Review \`.learnings/\` for patterns and improvements\n`;
-  summary += `2. Check \`DECISIONS.md\` for architectural rationale\n`;
-  summary += `3. Test the generated project at \`${workspace.projectDir}\`\n`;
-  summary += `4. Promote broadly applicable learnings to skill documentation\n`;
-  
-  fs.writeFileSync(summaryPath, summary);
-  log(`Summary written: ${summaryPath}`);
+  return { workspace, manifest, status };
 }
 
-// Count non-empty lines in a file
-function countLines(filepath) {
-  if (!fs.existsSync(filepath)) return 0;
-  const content = fs.readFileSync(filepath, 'utf8');
-  return content.split('\n').filter(line => line.trim() && !line.startsWith('#')).length;
+async function cmdRun(prompt, resumeId) {
+  const { workspace, status } = await runProject(prompt, resumeId);
+  if (status === 'verification_failed') process.exitCode = 1;
+  log(`✅ Done! Project at: ${workspace.projectDir}`);
 }
-function assembleProject(workspace, manifest) {
-  log('Assembling project...');
-  const projDir = workspace.projectDir;
-  const rootFilesDir = workspace.filesDir;
 
-  manifest.roles.forEach(role => {
-    const roleDir = path.join(rootFilesDir, role.id);
-    if (!fs.existsSync(roleDir)) return;
-    role.outputs.forEach(out => {
-      const src = path.join(roleDir, out);
-      if (fs.existsSync(src)) {
-        const dest = path.join(projDir, out);
-        fs.mkdirSync(path.dirname(dest), { recursive: true });
-        fs.copyFileSync(src, dest);
-        log(`Copied ${out} from ${role.id}`);
+// Programmatic entry point: the `run` command (or `resume` with options.resume) without the CLI.
+// Options are settings by option key or env name (model, concurrency, roles, budgetUsd, verify,
+// SWARM_MAX_RETRIES, ...) plus:
+//   workspace  root for .env and swarm-projects/ (default: the parent of this skill)
+//   provider   a provider name, or an object with complete() like createOpenAICompatibleProvider's
+//   hooks      { <event type>: fn(event) } called as events.jsonl is written; onEvent gets every event
+//   signal     AbortSignal; cancels the run (in-flight requests too) and rejects with err.aborted
+//   logger     fn(line) for progress lines (default console.log; null for silence)
+//   validators extra static checkers { name, check(files, context) } (see VALIDATORS)
+// Resolves to { projectId, outputPath, status, manifest, tasks, usage, verification, export }; rejects with
+// err.projectId set once the run exists. Settings are module-wide, so one run at a time per process.
+async function runSwarm(prompt, options = {}) {
+  if (runContext !== CLI_CONTEXT) throw new Error('runSwarm is already running in this process');
+  const { hooks = {}, onEvent = null, signal = null, logger = CLI_CONTEXT.logger, resume = null, validators = [], ...settings } = options;
+  const custom = settings.provider && typeof settings.provider === 'object' ? settings.provider : null;
+  if (custom && typeof custom.complete !== 'function') throw new Error('options.provider must be a name or an object with complete()');
+  if (!prompt && !resume && !settings.manifest && !settings.SWARM_MANIFEST) throw new Error('runSwarm needs a prompt, options.manifest or options.resume');
+  if (custom) delete settings.provider;
+  runContext = { hooks, onEvent, signal, logger, provider: custom, validators };
+  try {
+    configure({ options: settings });
+    const { workspace, manifest, status } = await runProject(prompt, resume);
+    const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+    return {
+      projectId: workspace.projectId,
+      outputPath: workspace.projectDir,
+      status,
+      manifest,
+      tasks: tasksDB.tasks,
+      usage: tasksDB.usage || null,
+      verification: tasksDB.verification || null,
+      export: tasksDB.export || null
+    };
+  } finally {
+    runContext = CLI_CONTEXT;
+  }
+}
+
+// `evolve`: apply a change request to a completed run, then re-verify if asked
+async function cmdEvolve(projectId, changePrompt) {
+  const workspace = openProjectWorkspace(projectId, { evolve: true });
+  await trackRun(workspace, 'evolve', async () => {
+    const manifest = loadManifest(workspace);
+    await evolveProject(workspace, manifest, changePrompt);
+    reportDecisionConflicts(workspace);
+    let status = 'completed';
+    if (VERIFY) {
+      const verification = await verifyProject(workspace, manifest);
+      if (verification.status === 'failed') {
+        log(`⚠️  Tests still failing; see the Verification section of SWARM_SUMMARY.md`);
+        process.exitCode = 1;
+        status = 'verification_failed';
+      }
+    }
+    if (EXPORT) exportProject(workspace, manifest);
+    addSummarySection(workspace, 'Cost', costSection(workspace));
+    return status;
+  });
+  log(`✅ Done! Project at: ${workspace.projectDir}`);
+}
+
+// `export`: export a completed run, or add commits for what changed since its last export
+function cmdExport(projectId) {
+  const workspace = workspacePaths(projectId, null);
+  if (!fs.existsSync(workspace.tasksPath)) throw new Error(`Cannot export ${projectId}: ${workspace.tasksPath} not found`);
+  const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+  if (tasksDB.status !== 'completed') {
+    throw new Error(`Cannot export ${projectId}: the run is ${tasksDB.status}; finish it with \`resume ${projectId}\` first`);
+  }
+  const result = exportProject(workspace, loadManifest(workspace));
+  log(`✅ Exported to ${result.path}`);
+}
+
+// Bracket a command's work (`fn` resolves to the final status) with run_started/run_finished
+// events, serving them live while it runs when --serve is given
+async function trackRun(workspace, command, fn) {
+  emitEvent(workspace, 'run_started', { command, projectId: workspace.projectId, prompt: workspace.prompt });
+  const server = SERVE ? await startEventServer(workspace.projectDir) : null;
+  const unwatch = watchCancellation();
+  try {
+    const status = await fn();
+    emitEvent(workspace, 'run_finished', { status });
+    return status;
+  } catch (err) {
+    if (err.aborted) recordCancellation(workspace, command, err);
+    emitEvent(workspace, 'run_finished', { status: failureStatus(err), error: err.message });
+    throw err;
+  } finally {
+    unwatch();
+    if (server) await server.close();
+  }
+}
+
+// Cancel the running command when runSwarm's signal fires, once --deadline passes, or (from the CLI)
+// on SIGINT/SIGTERM; a second signal exits at once. Model requests and test commands in flight are
+// aborted, and the command rejects with an err.aborted error saying why. Returns the cleanup.
+function watchCancellation() {
+  const outer = runContext;
+  const controller = new AbortController();
+  const cleanups = [];
+  const cancel = (message, exitCode) => {
+    if (controller.signal.aborted) return;
+    const err = abortError(message);
+    if (exitCode) err.exitCode = exitCode;
+    log(`⏹  ${message}; cancelling (finished roles are kept)`);
+    controller.abort(err);
+  };
+  if (outer.signal) {
+    const onAbort = () => cancel('Run aborted');
+    if (outer.signal.aborted) onAbort();
+    else outer.signal.addEventListener('abort', onAbort, { once: true });
+    cleanups.push(() => outer.signal.removeEventListener('abort', onAbort));
+  }
+  if (DEADLINE_MS) {
+    const timer = setTimeout(() => cancel(`Deadline of ${setting('SWARM_DEADLINE')} reached`), DEADLINE_MS);
+    cleanups.push(() => clearTimeout(timer));
+  }
+  if (outer === CLI_CONTEXT) {
+    [['SIGINT', 130], ['SIGTERM', 143]].forEach(([name, exitCode]) => {
+      const onSignal = () => controller.signal.aborted ? process.exit(exitCode) : cancel(`Received ${name}`, exitCode);
+      process.on(name, onSignal);
+      cleanups.push(() => process.removeListener(name, onSignal));
+    });
+  }
+  runContext = { ...outer, signal: controller.signal };
+  return () => {
+    cleanups.forEach(cleanup => cleanup());
+    runContext = outer;
+  };
+}
+
+// Leave a cancelled command resumable and explained: tasks.json says aborted (an evolve leaves the
+// completed run alone), and SWARM_SUMMARY.md, written now if the Planner never finished, says where
+// the run stopped and why
+function recordCancellation(workspace, command, err) {
+  const hint = command === 'evolve'
+    ? `Changes already applied are kept; run the evolve again to finish it.`
+    : `Resume with \`orchestrator.js resume ${workspace.projectId}\`; completed roles are not run again.`;
+  // The signal can land mid-append: a partly written last line is skipped
+  const events = fs.existsSync(workspace.eventsPath)
+    ? fs.readFileSync(workspace.eventsPath, 'utf8').split('\n').filter(line => line.trim()).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (e) {
+        return [];
+      }
+    })
+    : [];
+  const stage = eventState(events).stage || 'starting';
+  if (command !== 'evolve') {
+    const tasksDB = JSON.parse(fs.readFileSync(workspace.tasksPath, 'utf8'));
+    tasksDB.status = 'aborted';
+    tasksDB.cancelled = { reason: err.message, stage, at: new Date().toISOString() };
+    saveTasks(workspace, tasksDB);
+  }
+  const summaryPath = path.join(workspace.projectDir, 'SWARM_SUMMARY.md');
+  if (!fs.existsSync(summaryPath)) {
+    writeFileAtomic(summaryPath, redactSecrets(`# Swarm Execution Summary\n\n**Prompt:** ${workspace.prompt}\n**Status:** aborted\n`));
+  } else if (command !== 'evolve') {
+    const summary = fs.readFileSync(summaryPath, 'utf8');
+    writeFileAtomic(summaryPath, summary.replace(/^\*\*Status:\*\* .*$/m, `**Status:** aborted: ${err.message}`));
+  }
+  addSummarySection(workspace, 'Cancelled', `**Reason:** ${err.message}\n**Stage:** ${stage}\n\n${hint}\n`);
+}
+
+// Live progress (--serve, or `serve <projectId>` from another shell): GET / is a status page,
+// /status the run state as JSON, /events the events as server-sent events (replayed from
+// Last-Event-ID, then live). Events are tailed from events.jsonl, so any process can serve any run.
+const STATUS_PAGE = path.join(__dirname, 'status.html');
+const ROLE_EVENT_STATES = { role_queued: 'queued', role_started: 'running', role_succeeded: 'done', role_failed: 'failed', role_cancelled: 'cancelled' };
+
+// Run state folded from its events: stage, per-role state and file counts, latest events
+function eventState(events) {
+  const state = { projectId: null, command: null, prompt: null, project: null, status: 'unknown', stage: null, error: null, roles: [], files: 0, decisions: 0 };
+  const role = id => state.roles.find(r => r.id === id);
+  events.forEach(e => {
+    if (e.type === 'run_started') {
+      Object.assign(state, { projectId: e.projectId, command: e.command, prompt: e.prompt, status: 'running', stage: null, error: null });
+    } else if (e.type === 'run_finished') {
+      Object.assign(state, { status: e.status, stage: null, error: e.error || null });
+    } else if (e.type === 'manifest_ready') {
+      state.project = e.project_name;
+      state.roles = e.roles.map(r => ({ ...r, state: role(r.id)?.state || 'pending', files: role(r.id)?.files || 0 }));
+    } else if (ROLE_EVENT_STATES[e.type] && role(e.role)) {
+      role(e.role).state = ROLE_EVENT_STATES[e.type];
+      if (e.type === 'role_started' && state.stage !== 'evolution') state.stage = 'roles';
+    } else if (e.type === 'role_skipped' && role(e.role)) {
+      role(e.role).state = e.reason === 'completed' ? 'done' : 'skipped';
+    } else if (e.type === 'file_written') {
+      state.files++;
+      if (role(e.role)) role(e.role).files++;
+    } else if (e.type === 'decision_recorded') {
+      state.decisions++;
+    } else if (e.type.endsWith('_started')) {
+      state.stage = e.type.slice(0, -'_started'.length);
+    }
+  });
+  state.recent = events.slice(-20);
+  return state;
+}
+
+function startEventServer(projectDir) {
+  const file = path.join(projectDir, 'events.jsonl');
+  const events = [];
+  const clients = new Set();
+  const decoder = new StringDecoder('utf8');
+  let offset = 0;
+  let partial = '';
+  const send = (res, event) => res.write(`id: ${event.seq}\ndata: ${JSON.stringify(event)}\n\n`);
+  // Read whatever was appended since the last poll; a line still being written waits for the next one
+  const poll = () => {
+    if (!fs.existsSync(file)) return;
+    const size = fs.statSync(file).size;
+    if (size <= offset) return;
+    const buf = Buffer.alloc(size - offset);
+    const fd = fs.openSync(file, 'r');
+    fs.readSync(fd, buf, 0, buf.length, offset);
+    fs.closeSync(fd);
+    offset = size;
+    const lines = (partial + decoder.write(buf)).split('\n');
+    partial = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        return;
       }
+      events.push(event);
+      clients.forEach(res => send(res, event));
+    });
+  };
+  poll();
+  const timers = [
+    setInterval(poll, 500),
+    setInterval(() => clients.forEach(res => res.write(': keep-alive\n\n')), 15000)
+  ];
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+      const since = Number(req.headers['last-event-id']) || 0;
+      events.filter(e => e.seq > since).forEach(e => send(res, e));
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else if (pathname === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(eventState(events)));
+    } else if (pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(fs.readFileSync(STATUS_PAGE));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(SERVE_PORT, SERVE_HOST, () => {
+      log(`Live progress at http://${SERVE_HOST}:${server.address().port}/`);
+      resolve({
+        port: server.address().port,
+        // Deliver the last events, then end open streams so the process can exit
+        close: () => new Promise(done => {
+          poll();
+          timers.forEach(clearInterval);
+          clients.forEach(res => res.end());
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
     });
   });
+}
 
-  const tech = manifest.tech_stack;
-  const readme = `# ${manifest.project_name}\n\n${workspace.prompt}\n\n## Tech Stack\n- Backend: ${tech.backend}\n- Frontend: ${tech.frontend}\n- Language: ${tech.language}\n- Database: ${tech.database}\n- CSS: ${tech.css_framework}\n- Blockchain: ${tech.blockchain_network || 'none'}\n- Wallet: ${tech.wallet_provider || 'none'}\n\n## Run\n\`\`\`bash\nnpm install\nnpm start\n\`\`\`\n\n## Testing\n\`\`\`bash\nnpm test\n\`\`\`\n\n## Deployment\nSee docker-compose.yml.\n\n_Generated by Swarm Coding Skill_\n`;
-  fs.writeFileSync(path.join(projDir, 'README.md'), readme);
+// Past runs under PROJECTS_DIR, newest first
+function listRuns() {
+  if (!fs.existsSync(PROJECTS_DIR)) return [];
+  return fs.readdirSync(PROJECTS_DIR)
+    .filter(id => fs.existsSync(path.join(PROJECTS_DIR, id, 'tasks.json')))
+    .map(id => {
+      const dir = path.join(PROJECTS_DIR, id);
+      let tasksDB = {};
+      let manifest = null;
+      try { tasksDB = JSON.parse(fs.readFileSync(path.join(dir, 'tasks.json'), 'utf8')); } catch (e) { /* unreadable: shown as unknown */ }
+      try { manifest = readYamlFile(path.join(dir, 'swarm.yaml')); } catch (e) { /* not planned yet */ }
+      return {
+        id,
+        dir,
+        status: tasksDB.status || 'unknown',
+        project: manifest?.project_name || '-',
+        roles: manifest ? `${(tasksDB.completed || []).length}/${manifest.roles.length}` : '-',
+        prompt: tasksDB.prompt || readPromptFromDecisions(path.join(dir, 'DECISIONS.md')) || '',
+        modified: fs.statSync(dir).mtime
+      };
+    })
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
 
-  log(`Project assembled at ${projDir}`);
+function cmdList() {
+  const runs = listRuns();
+  if (!runs.length) return console.log(`No runs in ${PROJECTS_DIR}`);
+  const rows = [['ID', 'STATUS', 'ROLES', 'PROJECT', 'PROMPT']].concat(
+    runs.map(r => [r.id, r.status, r.roles, r.project, r.prompt.length > 50 ? r.prompt.slice(0, 47) + '...' : r.prompt]));
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  rows.forEach(row => console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()));
+}
+
+function cmdShow(projectId) {
+  if (!projectId) throw new Error('Usage: orchestrator.js show <projectId>');
+  const dir = path.join(PROJECTS_DIR, projectId);
+  if (!fs.existsSync(dir)) throw new Error(`No run ${projectId} in ${PROJECTS_DIR}`);
+  const summaryPath = path.join(dir, 'SWARM_SUMMARY.md');
+  const decisionsPath = path.join(dir, 'DECISIONS.md');
+  if (fs.existsSync(summaryPath)) {
+    console.log(fs.readFileSync(summaryPath, 'utf8'));
+  } else {
+    const run = listRuns().find(r => r.id === projectId);
+    console.log(`# ${projectId}\n\nNo summary yet (status: ${run ? run.status : 'unknown'}).\n`);
+  }
+  if (fs.existsSync(decisionsPath)) console.log(fs.readFileSync(decisionsPath, 'utf8'));
+}
+
+// `serve`: watch a run (default: the newest) from another shell until interrupted
+async function cmdServe(projectId) {
+  const run = projectId ? listRuns().find(r => r.id === projectId) : listRuns()[0];
+  if (!run) throw new Error(projectId ? `No run ${projectId} in ${PROJECTS_DIR}` : `No runs in ${PROJECTS_DIR}`);
+  await startEventServer(run.dir);
+  log(`Watching ${run.id} (${run.status}); Ctrl-C to stop`);
+}
+
+// `clean`: delete runs beyond the newest --keep N and/or older than --older-than D days
+function cmdClean() {
+  const keep = getFlag('--keep') !== undefined ? parseInt(getFlag('--keep'), 10) : null;
+  const olderThan = getFlag('--older-than') !== undefined ? parseFloat(getFlag('--older-than')) : null;
+  if ((keep === null || Number.isNaN(keep)) && (olderThan === null || Number.isNaN(olderThan))) {
+    throw new Error('Usage: orchestrator.js clean --keep <N> | --older-than <days> [--dry-run]');
+  }
+  const dryRun = hasFlag('--dry-run');
+  const cutoff = olderThan !== null ? Date.now() - olderThan * 24 * 60 * 60 * 1000 : null;
+  const doomed = listRuns().filter((run, i) =>
+    (keep !== null && i >= keep) || (cutoff !== null && run.modified.getTime() < cutoff));
+  doomed.forEach(run => {
+    console.log(`${dryRun ? 'Would remove' : 'Removing'} ${run.id} (${run.status})`);
+    if (!dryRun) fs.rmSync(run.dir, { recursive: true, force: true });
+  });
+  console.log(`${doomed.length} run(s) ${dryRun ? 'would be removed' : 'removed'}.`);
+}
+
+// `learnings`: review the cross-run store; promote an entry so it is always injected, retire it so
+// it never is, or reactivate it
+function cmdLearnings(action = 'list', id) {
+  const entries = loadLearnings();
+  if (action === 'list') {
+    const shown = entries
+      .filter(e => hasFlag('--all') || e.status !== 'retired')
+      .filter(e => !getFlag('--role') || e.agent === getFlag('--role') || e.role === getFlag('--role'))
+      .sort((a, b) => b.runs - a.runs || b.lastSeen.localeCompare(a.lastSeen));
+    if (!shown.length) return console.log(`No learnings in ${LEARNINGS_FILE}`);
+    const rows = [['ID', 'STATUS', 'RUNS', 'SEEN', 'AGENT', 'TYPE', 'TITLE']].concat(shown.map(e => [
+      e.id, e.status, String(e.runs), String(e.count), e.role && e.role !== e.agent ? `${e.agent}/${e.role}` : e.agent, e.type,
+      e.title.length > 60 ? e.title.slice(0, 57) + '...' : e.title]));
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    rows.forEach(row => console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()));
+    return;
+  }
+  const statusFor = { promote: 'promoted', retire: 'retired', activate: 'active' };
+  if (action !== 'show' && !statusFor[action] || !id) {
+    throw new Error('Usage: orchestrator.js learnings [list [--all] [--role <id>] | show <id> | promote <id> | retire <id> | activate <id>]');
+  }
+  const entry = entries.find(e => e.id === id);
+  if (!entry) throw new Error(`No learning ${id} in ${LEARNINGS_FILE}`);
+  if (action === 'show') return console.log(JSON.stringify(entry, null, 2));
+  entry.status = statusFor[action];
+  saveLearnings(entries);
+  console.log(`${id} is now ${entry.status}: ${entry.title}`);
 }
 
-// Main
-(async () => {
-  if (process.argv.length < 3) {
-    console.error('Usage: orchestrator.js "<prompt>"');
+const USAGE = `Usage: orchestrator.js <command> [options]
+
+Commands:
+  run "<prompt>"         Plan, execute, assemble (default when only a prompt is given)
+  plan "<prompt>"        Run only the Planner and print the manifest; execute it later with resume
+  resume <projectId>     Continue a planned, failed or interrupted run
+  evolve <projectId> "<change>"
+                         Apply a change request to a completed run, touching only the affected roles
+  list                   Show past runs and their status
+  show <projectId>       Print a run's summary and decisions
+  clean                  Delete old runs: --keep <N> and/or --older-than <days>, --dry-run to preview
+  serve [<projectId>]    Serve a run's live progress page and event stream (default: newest run)
+  export <projectId>     Export a completed run: clean tree with git history, plus archives
+  learnings [list|show|promote|retire|activate] [<id>]
+                         Review the cross-run learnings store (--all includes retired, --role filters)
+
+Options (run/plan/resume/evolve):
+  --manifest <file>      Use a hand-written YAML/JSON manifest; the Planner only fills in missing fields
+  --output-dir <dir>     Where runs are stored (default: <workspace>/swarm-projects)
+  --model <id>           Model for every agent
+  --temperature <t>      Temperature for the Planner and workers
+  --roles <a,b>          Only run these roles
+  --exclude-roles <a,b>  Skip these roles
+  --concurrency <n>      Max roles running in parallel
+  --provider <name>      openrouter | openai | mock | replay
+  --roles-dir <dir>      Extra role definitions (YAML/JSON), loaded after roles/
+  --resolve-conflicts    Ask roles whose decisions contradict the manifest or another role to align
+  --adr                  Also write each decision as an ADR under docs/adr/
+  --fix-findings         Ask owning roles to fix static validation findings before assembly
+  --validators <dir>     Extra static checkers (*.js exporting { name, check })
+  --secrets <policy>     Hardcoded credentials in generated files: warn (default), redact or block
+  --verify               Run the generated tests after assembly
+  --export               Export the finished project with git history and archives (also: export)
+  --export-dir <dir>     Where exports go, relative to the run (default: export)
+  --archives <list>      Archive formats: zip,tar.gz (default) or none
+  --budget <usd>         Stop once the run has cost this much (needs --pricing / SWARM_PRICING)
+  --budget-tokens <n>    Stop once the run has used this many tokens
+  --deadline <duration>  Cancel the run after this long (90s, 30m, 2h); resumable
+  --request-timeout <ms> Give up on a model request after this long (default 300000)
+  --record <dir>         Save every model request/response as a fixture
+  --replay <dir>         Answer model calls from recorded fixtures (no network)
+  --faults <file>        Inject scripted errors, truncation or malformed replies (YAML/JSON)
+  --serve                Serve live progress while the command runs
+  --port <n>             Port for --serve and serve (default 4700)
+
+Global options:
+  --workspace <dir>      Workspace root holding .env (default: parent of the skill)
+  --config <file>        swarm.config.json to read (default: ./swarm.config.json)
+`;
+
+const COMMANDS = ['run', 'plan', 'resume', 'evolve', 'export', 'list', 'show', 'serve', 'clean', 'learnings', 'help'];
+
+// CLI: `node orchestrator.js <command> ...`. Requiring this file only defines runSwarm and friends.
+async function main(args) {
+  try {
+    configure({ args });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const positionals = getPositionals();
+  // Bare `orchestrator.js "<prompt>"` and `--resume <id>` keep working
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : getFlag('--resume') ? 'resume' : 'run';
+  const [arg, changePrompt] = positionals;
+
+  if (command === 'help' || hasFlag('--help')) {
+    console.log(USAGE);
+    return;
+  }
+  if (['run', 'plan'].includes(command) && !arg && !setting('SWARM_MANIFEST') ||
+      command === 'evolve' && !(arg && changePrompt) || command === 'resume' && !(arg || getFlag('--resume')) ||
+      command === 'export' && !arg) {
+    console.error(USAGE);
     process.exit(1);
   }
-  const prompt = process.argv[2];
 
   try {
-    const workspace = createProjectWorkspace(prompt);
-    const manifest = await runPlanner(workspace);
-    await executeManifest(workspace, manifest);
-    assembleProject(workspace, manifest);
-    log(`✅ Done! Project at: ${workspace.projectDir}`);
+    switch (command) {
+      case 'plan': await cmdPlan(arg); break;
+      case 'run': await cmdRun(arg); break;
+      case 'resume': await cmdRun(null, arg || getFlag('--resume')); break;
+      case 'evolve': await cmdEvolve(arg, changePrompt); break;
+      case 'export': cmdExport(arg); break;
+      case 'list': cmdList(); break;
+      case 'show': cmdShow(arg); break;
+      case 'serve': await cmdServe(arg); break;
+      case 'clean': cmdClean(); break;
+      case 'learnings': cmdLearnings(arg, changePrompt); break;
+    }
   } catch (err) {
+    if (err.aborted) {
+      log(`⏹  Cancelled: ${err.message}`);
+      process.exit(err.exitCode || 1);
+    }
     log(`❌ Fatal: ${err.message}`);
-    console.error(err);
+    console.error(redactSecrets(err.stack || String(err)));
     process.exit(1);
   }
-})();
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = {
+  runSwarm,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  parseYaml,
+  toYaml,
+  validateManifest,
+  parseWorkerOutput,
+  extractAndRecordDecisions,
+  applyUnifiedDiff,
+  findSecrets,
+  redactSecrets,
+  eventState
+};
@@ -0,0 +1,91 @@
+// runSwarm and the module's exports: requiring has no side effects, runs take their settings, provider,
+// hooks and logger as options and resolve to the run's manifest, tasks and output path
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { runSwarm } = require('../orchestrator.js');
+const { ORCHESTRATOR, swarm, tempDir, manifestWith, teamProvider, runNode, readEvents } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] }
+]);
+
+test('requiring the module ignores invalid settings in the environment', () => {
+  const { status, output } = runNode(['-e', `require(${JSON.stringify(ORCHESTRATOR)}); console.log('loaded')`], { SWARM_UNDECLARED_FILES: 'bogus', SWARM_CONCURRENCY: 'abc' });
+  assert.equal(status, 0, output);
+  assert.equal(output.trim(), 'loaded');
+});
+
+test('runSwarm reports an invalid setting, and its options win over the environment', t => {
+  const workspace = tempDir(t);
+  const script = concurrency => `require(${JSON.stringify(ORCHESTRATOR)}).runSwarm('Build a todo API', {
+    workspace: ${JSON.stringify(workspace)}, provider: 'mock', logger: null, ${concurrency}
+  }).then(r => console.log(r.status), e => console.log(e.message));`;
+  const env = { SWARM_CONCURRENCY: 'abc' };
+  assert.match(runNode(['-e', script('')], env).output, /Invalid concurrency "abc"/);
+  assert.equal(runNode(['-e', script('concurrency: 2')], env).output.trim(), 'completed');
+});
+
+test('a provider object answers every call, and the result describes the run', async t => {
+  const requests = [];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    requests.push(params);
+    return next(params);
+  });
+  const { workspace, result } = await swarm(t, 'Build an app', { provider, model: 'test-model' });
+  assert.deepEqual(Object.keys(result), ['projectId', 'outputPath', 'status', 'manifest', 'tasks', 'usage', 'verification', 'export']);
+  assert.equal(result.status, 'completed');
+  assert.equal(result.outputPath, `${workspace}/swarm-projects/${result.projectId}`);
+  assert.ok(fs.existsSync(`${result.outputPath}/public/app.js`));
+  assert.equal(result.manifest.project_name, 'Test App');
+  assert.deepEqual(result.tasks.map(t => [t.roleId, t.status]), [['api', 'done'], ['web', 'done']]);
+  assert.deepEqual(result.usage.calls.map(c => c.agent), ['planner', 'api', 'web']);
+  assert.equal(result.verification, null);
+  assert.equal(result.export, null);
+
+  assert.deepEqual(requests.map(r => r.agent), ['planner', 'api', 'web']);
+  requests.forEach(r => {
+    assert.equal(r.model, 'test-model');
+    assert.equal(r.messages[0].role, 'system');
+    assert.ok(r.signal instanceof AbortSignal, `${r.agent} gets a signal`);
+  });
+});
+
+test('hooks and onEvent see each event as it is written; a throwing hook does not stop the run', async t => {
+  const seen = [];
+  const lines = [];
+  const hooks = {
+    role_started: e => {
+      seen.push(`hook ${e.role}`);
+      throw new Error('hook broke');
+    }
+  };
+  const onEvent = e => seen.push(e.type === 'role_started' ? `event ${e.role}` : e.seq);
+  const { result } = await swarm(t, 'Build an app', { provider: teamProvider(MANIFEST), hooks, onEvent, logger: line => lines.push(line) });
+  assert.equal(result.status, 'completed');
+  const events = readEvents(result.outputPath);
+  assert.deepEqual(seen.filter(s => typeof s === 'number'), events.filter(e => e.type !== 'role_started').map(e => e.seq));
+  // The type's hook runs before onEvent
+  assert.deepEqual(seen.filter(s => typeof s === 'string'), ['hook api', 'event api', 'hook web', 'event web']);
+  assert.equal(lines.filter(line => line.endsWith('Hook for role_started failed: hook broke')).length, 2);
+});
+
+test('runSwarm refuses a second run while one is going, and arguments it cannot use', async t => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    await gate;
+    return next(params);
+  });
+  const first = swarm(t, 'Build an app', { provider });
+  await assert.rejects(runSwarm('Build another app', { workspace: tempDir(t), provider: 'mock', logger: null }), { message: 'runSwarm is already running in this process' });
+  release();
+  assert.equal((await first).result.status, 'completed');
+
+  await assert.rejects(runSwarm('Build an app', { workspace: tempDir(t), provider: { name: 'broken' } }), { message: 'options.provider must be a name or an object with complete()' });
+  await assert.rejects(runSwarm('', { workspace: tempDir(t), provider: 'mock' }), { message: 'runSwarm needs a prompt, options.manifest or options.resume' });
+  // Refusals leave no run behind, so the next one starts
+  const { result } = await swarm(t, 'Build an app', { provider: teamProvider(MANIFEST) });
+  assert.equal(result.status, 'completed');
+});
@@ -0,0 +1,99 @@
+// Hand-written manifests (--manifest): a complete one skips the Planner, a partial one has only its
+// gaps filled in, and swarm.yaml is written as YAML that reads back unchanged
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('../orchestrator.js');
+const { swarm, tempDir, manifestWith, teamProvider, reply, readEvents } = require('./helpers');
+
+const ROLES = `roles:
+  - id: api
+    name: Api
+    outputs: [server.js, package.json]
+  - id: web
+    name: Web
+    outputs: [public/app.js]
+    depends_on: [api]
+`;
+
+const COMPLETE = `# Written by the team
+project_name: Todo
+tech_stack:
+  backend: Express
+  frontend: React
+  language: JavaScript
+  database: SQLite
+  css_framework: Plain CSS
+${ROLES}decisions:
+  - what: Use SQLite
+    why: One file, no server
+    category: database
+`;
+
+// The manifest YAML in a file; `plannerCalls` records what the Planner is asked
+function setup(t, yaml) {
+  const file = path.join(tempDir(t), 'swarm.yaml');
+  fs.writeFileSync(file, yaml);
+  const plannerCalls = [];
+  // The Planner's own choices, which must not override anything the team wrote
+  const generated = manifestWith([{ id: 'backend-dev', outputs: ['app/main.py', 'pyproject.toml'] }], {
+    project_name: 'Generated',
+    tech_stack: { backend: 'FastAPI', frontend: 'Vue', language: 'Python', database: 'Postgres', css_framework: 'Tailwind' },
+    decisions: [{ what: 'Use Vue', why: 'Planner choice', category: 'frontend' }]
+  });
+  const provider = teamProvider(manifestWith([{ id: 'api', outputs: ['server.js', 'package.json'] }, { id: 'web', outputs: ['public/app.js'] }]), (params, next) => {
+    if (params.agent !== 'planner') return next(params);
+    plannerCalls.push(params.messages[params.messages.length - 1].content);
+    return Promise.resolve(reply(JSON.stringify(generated)));
+  });
+  return { file, plannerCalls, provider };
+}
+
+test('a complete manifest skips the Planner and is written back as YAML', async t => {
+  const { file, plannerCalls, provider } = setup(t, COMPLETE);
+  const { result } = await swarm(t, null, { provider, manifest: file });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(plannerCalls, []);
+  assert.equal(readEvents(result.outputPath).some(e => e.type === 'planner_started'), false);
+  assert.deepEqual(result.tasks.map(t => t.roleId), ['api', 'web']);
+
+  const written = fs.readFileSync(path.join(result.outputPath, 'swarm.yaml'), 'utf8');
+  assert.match(written, /^# Swarm manifest for: Todo\n/);
+  assert.deepEqual(parseYaml(written), result.manifest);
+  assert.deepEqual(parseYaml(written).roles.map(r => [r.id, r.depends_on]), [['api', []], ['web', ['api']]]);
+  const decisions = fs.readFileSync(path.join(result.outputPath, 'DECISIONS.md'), 'utf8');
+  assert.match(decisions, /— User\n\n\*\*Decision:\*\* Use SQLite/);
+  assert.doesNotMatch(decisions, /— Planner/);
+});
+
+test('the Planner fills in only what a partial manifest leaves out', async t => {
+  const { file, plannerCalls, provider } = setup(t, `tech_stack:\n  backend: Express\n  language: JavaScript\n${ROLES}`);
+  const { result } = await swarm(t, 'Build a todo app', { provider, manifest: file });
+  assert.equal(result.status, 'completed');
+  assert.equal(plannerCalls.length, 1);
+  assert.match(plannerCalls[0], /fill in only: project_name, tech_stack\.frontend, tech_stack\.database, tech_stack\.css_framework, decisions\./);
+  // The team's roles and stack stay; the gaps come from the Planner
+  assert.deepEqual(result.manifest.roles.map(r => r.id), ['api', 'web']);
+  assert.equal(result.manifest.tech_stack.backend, 'Express');
+  assert.equal(result.manifest.tech_stack.language, 'JavaScript');
+  assert.equal(result.manifest.tech_stack.frontend, 'Vue');
+  assert.equal(result.manifest.project_name, 'Generated');
+  assert.match(fs.readFileSync(path.join(result.outputPath, 'DECISIONS.md'), 'utf8'), /\*\*Rationale:\*\* .*swarm\.yaml; Planner fills in project_name/);
+});
+
+test('an invalid manifest is rejected before the Planner runs', async t => {
+  const { file, plannerCalls, provider } = setup(t, COMPLETE.replace('depends_on: [api]', 'depends_on: [db]'));
+  const { error } = await swarm(t, null, { provider, manifest: file });
+  assert.match(error.message, new RegExp(`^Invalid manifest ${file.replace(/[.\\]/g, '\\$&')}:\n  - web depends on unknown role "db"`));
+  assert.deepEqual(plannerCalls, []);
+});
+
+test('manifests that are not a mapping or use unsupported YAML name the problem', async t => {
+  const list = setup(t, '- api\n- web\n');
+  assert.match((await swarm(t, null, { provider: list.provider, manifest: list.file })).error.message, /must be a mapping/);
+  const anchors = setup(t, COMPLETE.replace('project_name: Todo', 'project_name: &name Todo'));
+  assert.match((await swarm(t, null, { provider: anchors.provider, manifest: anchors.file })).error.message, /line 2/);
+  const missing = await swarm(t, null, { provider: 'mock', manifest: path.join(tempDir(t), 'none.yaml') });
+  assert.match(missing.error.message, /^Manifest not found: /);
+});
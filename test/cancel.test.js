@@ -0,0 +1,121 @@
+// Cancelling a run: --deadline and runSwarm's AbortSignal stop in-flight requests and leave the run
+// aborted and resumable; a provider that throws instead of answering never keeps the process alive
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, ORCHESTRATOR, swarm, tempDir, manifestWith, teamProvider, runNode, projectDir, readTasks, readEvents, readSummary } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] },
+  { id: 'jobs', outputs: ['jobs.js'], depends_on: ['web'] }
+]);
+
+// A team whose web role never answers; `signals` collects the signal of each of its requests
+function stuckTeam(onRequest = () => {}) {
+  const signals = [];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    if (params.agent !== 'web') return next(params);
+    signals.push(params.signal);
+    onRequest(params);
+    return new Promise(() => {});
+  });
+  return { signals, provider };
+}
+
+// tasks.json, the role events and the summary of a cancelled run
+function assertAborted(dir, reason) {
+  const tasksDB = readTasks(dir);
+  assert.equal(tasksDB.status, 'aborted');
+  assert.deepEqual({ ...tasksDB.cancelled, at: undefined }, { reason, stage: 'roles', at: undefined });
+  assert.deepEqual(tasksDB.completed, ['api']);
+  assert.deepEqual(tasksDB.tasks.map(t => [t.roleId, t.status]), [['api', 'done'], ['web', 'cancelled']]);
+  const events = readEvents(dir);
+  assert.deepEqual(events.filter(e => e.type === 'role_cancelled').map(e => [e.role, e.error]), [['web', reason], ['jobs', reason]]);
+  assert.equal(events.find(e => e.type === 'run_finished').status, 'aborted');
+  const summary = readSummary(dir);
+  assert.match(summary, new RegExp(`\\*\\*Status:\\*\\* aborted: ${reason}`));
+  assert.match(summary, /\| Web \(web\) \| .*cancelled.* \| .*while running/);
+  assert.match(summary, /\| Jobs \(jobs\) \| .*cancelled.* \| .*before it started/);
+  assert.match(summary, new RegExp(`## Cancelled\\n\\n\\*\\*Reason:\\*\\* ${reason}\\n\\*\\*Stage:\\*\\* roles\\n\\nResume with \`orchestrator\\.js resume ${path.basename(dir)}\``));
+  assert.ok(fs.existsSync(path.join(dir, 'files', 'api', 'server.js')), 'finished roles are kept');
+}
+
+test('a deadline cuts off a request the provider never answers and leaves the run aborted', async t => {
+  const { signals, provider } = stuckTeam();
+  const { error, workspace } = await swarm(t, 'Build an app', { provider, deadline: '200ms' });
+  assert.equal(error.message, 'Deadline of 200ms reached');
+  assert.equal(error.aborted, true);
+  assert.equal(signals.length, 1, 'a cancellation is not retried');
+  assert.equal(signals[0].reason, error);
+  assertAborted(projectDir(workspace, error.projectId), 'Deadline of 200ms reached');
+});
+
+test('aborting the AbortSignal cancels the in-flight request; resume finishes the run', async t => {
+  const workspace = tempDir(t);
+  const controller = new AbortController();
+  const { signals, provider } = stuckTeam(params => setImmediate(() => {
+    assert.equal(params.signal.aborted, false);
+    controller.abort();
+  }));
+  const { error } = await swarm(t, 'Build an app', { workspace, provider, signal: controller.signal });
+  assert.equal(error.message, 'Run aborted');
+  assert.equal(error.aborted, true);
+  assert.equal(signals.length, 1);
+  assert.equal(signals[0].aborted, true);
+  const dir = projectDir(workspace, error.projectId);
+  assertAborted(dir, 'Run aborted');
+
+  const calls = [];
+  const team = teamProvider(MANIFEST, (params, next) => {
+    calls.push(params.agent);
+    return next(params);
+  });
+  const { result } = await swarm(t, null, { workspace, provider: team, resume: error.projectId });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(calls, ['web', 'jobs']);
+  assert.deepEqual(readTasks(dir).completed, ['api', 'web', 'jobs']);
+});
+
+test('a signal aborted before the run starts cancels it before the Planner is asked', async t => {
+  const { error, workspace } = await swarm(t, 'Build an app', { provider: teamProvider(MANIFEST), signal: AbortSignal.abort() });
+  assert.equal(error.message, 'Run aborted');
+  const dir = projectDir(workspace, error.projectId);
+  assert.equal(readTasks(dir).status, 'aborted');
+  assert.equal(readEvents(dir).some(e => e.type === 'role_started'), false);
+  assert.match(readSummary(dir), /\*\*Status:\*\* aborted/);
+});
+
+// runSwarm in a child process, so a leaked request timer shows up as a process that does not exit
+// (runNode gives up after a minute; the request timeout is five)
+function runInChild(t, options) {
+  const workspace = tempDir(t);
+  const script = `
+    require(${JSON.stringify(ORCHESTRATOR)})
+      .runSwarm('Build an app', { workspace: ${JSON.stringify(workspace)}, logger: null, SWARM_RETRY_DELAY_MS: 0, SWARM_LEARNINGS_LIMIT: 0, ${options} })
+      .then(result => console.log(result.status), err => console.log(err.message));`;
+  const started = Date.now();
+  const run = runNode(['-e', script]);
+  assert.equal(run.status, 0, run.output);
+  assert.ok(Date.now() - started < 30000, `took ${Date.now() - started}ms`);
+  return { workspace, output: run.output.trim() };
+}
+
+test('a provider that throws, or cannot be created, fails the run without keeping the process alive', t => {
+  const thrown = runInChild(t, `provider: { name: 'sync', complete() { throw Object.assign(new Error('Provider broke'), { statusCode: 400 }); } }`);
+  assert.equal(thrown.output, 'Provider broke');
+  const [id] = fs.readdirSync(path.join(thrown.workspace, 'swarm-projects'));
+  assert.equal(readEvents(projectDir(thrown.workspace, id)).find(e => e.type === 'run_finished').status, 'failed');
+
+  const missing = path.join(FIXTURES, 'missing');
+  assert.equal(runInChild(t, `replayDir: ${JSON.stringify(missing)}`).output, `Fixture directory ${missing} not found`);
+  assert.equal(runInChild(t, `provider: 'replay'`).output, 'SWARM_PROVIDER=replay needs SWARM_REPLAY_DIR (or --replay <dir>)');
+});
+
+test('an invalid fault script fails every attempt instead of being dropped after the first', t => {
+  const faults = path.join(tempDir(t), 'faults.yaml');
+  fs.writeFileSync(faults, '- fault: explode\n');
+  const { output } = runInChild(t, `provider: 'mock', faults: ${JSON.stringify(faults)}`);
+  assert.equal(output, `Fault script ${faults}, entry 1: fault must be one of error, network, timeout, truncate, malformed_json, no_file_blocks, reply`);
+});
@@ -0,0 +1,114 @@
+// The command line: help, plan, run flags, layered configuration, list, show and clean
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, runCli, projectDir, readTasks, readEvents } = require('./helpers');
+
+const MOCK = { MOCK: '1' };
+
+// A run directory with only a tasks.json, last modified `daysAgo` days ago
+function fakeRun(workspace, id, status, daysAgo = 0) {
+  const dir = projectDir(workspace, id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'tasks.json'), JSON.stringify({ status, prompt: `Prompt of ${id}`, tasks: [], completed: [] }));
+  const time = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  fs.utimesSync(dir, time, time);
+  return dir;
+}
+
+const runId = output => output.match(/swarm-projects\/(swarm-[\w-]+)/)[1];
+
+test('help prints the usage; a command without its argument prints it and fails', t => {
+  const workspace = tempDir(t);
+  const help = runCli(workspace, ['help']);
+  assert.equal(help.status, 0);
+  assert.match(help.output, /^Usage: orchestrator\.js <command> \[options\]/);
+  assert.equal(runCli(workspace, ['--help']).output, help.output);
+  ['plan', 'evolve swarm-1', 'export'].forEach(args => {
+    const { status, output } = runCli(workspace, args.split(' '));
+    assert.equal(status, 1, args);
+    assert.match(output, /^Usage: orchestrator\.js/, args);
+  });
+});
+
+test('plan prints the manifest and leaves the run planned', t => {
+  const workspace = tempDir(t);
+  const { status, output } = runCli(workspace, ['plan', 'Build a todo API'], MOCK);
+  assert.equal(status, 0, output);
+  assert.match(output, /project_name: /);
+  assert.match(output, /roles:\n\s+- id: backend-dev/);
+  const dir = projectDir(workspace, runId(output));
+  assert.equal(readTasks(dir).status, 'planned');
+  assert.equal(readEvents(dir).filter(e => e.type === 'role_started').length, 0);
+});
+
+test('run takes the output directory, concurrency and role selection as flags', t => {
+  const workspace = tempDir(t);
+  const outputDir = path.join(workspace, 'runs');
+  const { status, output } = runCli(workspace, ['run', 'Build a todo API', '--output-dir', outputDir, '--concurrency', '1', '--exclude-roles', 'devops'], MOCK);
+  assert.equal(status, 0, output);
+  const [id] = fs.readdirSync(outputDir);
+  const dir = path.join(outputDir, id);
+  const events = readEvents(dir);
+  assert.deepEqual(events.filter(e => e.type === 'role_skipped').map(e => [e.role, e.reason]), [['devops', 'excluded']]);
+  assert.equal(events.some(e => e.type === 'role_started' && e.role === 'devops'), false);
+  assert.equal(readTasks(dir).status, 'completed');
+  assert.equal(fs.existsSync(path.join(workspace, 'swarm-projects')), false);
+});
+
+test('flags beat .env, which beats swarm.config.json', t => {
+  const workspace = tempDir(t);
+  const config = path.join(workspace, 'swarm.config.json');
+  fs.writeFileSync(config, JSON.stringify({ concurrency: 'abc' }));
+  const run = (...flags) => runCli(workspace, ['run', 'Build a todo API', '--config', config, ...flags], MOCK);
+
+  assert.match(run().output, /Invalid concurrency "abc"/);
+  fs.writeFileSync(path.join(workspace, '.env'), 'SWARM_CONCURRENCY=2\n');
+  assert.equal(run().status, 0);
+  const flagged = run('--concurrency', 'zero');
+  assert.equal(flagged.status, 1);
+  assert.match(flagged.output, /Invalid concurrency "zero"/);
+});
+
+test('list shows each run with its status, and show prints its summary and decisions', t => {
+  const workspace = tempDir(t);
+  const { output } = runCli(workspace, ['run', 'Build a todo API'], MOCK);
+  const id = runId(output);
+  fakeRun(workspace, 'swarm-2020-01-01T00-00-00', 'failed');
+
+  const list = runCli(workspace, ['list']).output.trim().split('\n');
+  assert.match(list[0], /^ID\s+STATUS\s+ROLES\s+PROJECT\s+PROMPT$/);
+  assert.match(list[1], new RegExp(`^${id}\\s+completed\\s+5/5\\s+.+\\s+Build a todo API$`));
+  assert.match(list[2], /^swarm-2020-01-01T00-00-00\s+failed\s+-\s+-\s+Prompt of swarm-2020-01-01T00-00-00$/);
+
+  const shown = runCli(workspace, ['show', id]);
+  assert.equal(shown.status, 0);
+  assert.match(shown.output, /^# Swarm Execution Summary/);
+  assert.match(shown.output, /\*\*Decision:\*\* Assigned 5 roles/);
+  const missing = runCli(workspace, ['show', 'swarm-missing']);
+  assert.equal(missing.status, 1);
+  assert.match(missing.output, /No run swarm-missing in /);
+  assert.match(runCli(tempDir(t), ['list']).output, /^No runs in /);
+});
+
+test('clean keeps the newest runs and removes old ones, or previews with --dry-run', t => {
+  const workspace = tempDir(t);
+  const ids = ['swarm-2026-01-01T00-00-00', 'swarm-2026-01-02T00-00-00', 'swarm-2026-01-03T00-00-00', 'swarm-2026-01-04T00-00-00'];
+  ids.forEach((id, i) => fakeRun(workspace, id, 'completed', 40 - i * 10));
+  const left = () => fs.readdirSync(path.join(workspace, 'swarm-projects')).sort();
+
+  const preview = runCli(workspace, ['clean', '--keep', '1', '--dry-run']);
+  assert.match(preview.output, /Would remove swarm-2026-01-03T00-00-00 \(completed\)/);
+  assert.match(preview.output, /3 run\(s\) would be removed\./);
+  assert.deepEqual(left(), ids);
+
+  assert.match(runCli(workspace, ['clean', '--older-than', '25']).output, /2 run\(s\) removed\./);
+  assert.deepEqual(left(), ids.slice(2));
+  assert.match(runCli(workspace, ['clean', '--keep', '1']).output, /Removing swarm-2026-01-03T00-00-00/);
+  assert.deepEqual(left(), ids.slice(3));
+
+  const usage = runCli(workspace, ['clean']);
+  assert.equal(usage.status, 1);
+  assert.match(usage.output, /Usage: orchestrator\.js clean --keep <N> \| --older-than <days>/);
+});
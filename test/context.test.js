@@ -0,0 +1,63 @@
+// Upstream context: what a role is shown of its dependencies' work, within SWARM_CONTEXT_BUDGET
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { swarm, manifestWith, teamProvider, fileReply, reply } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'db', outputs: ['db.js', 'package.json'] },
+  { id: 'api', outputs: ['server.js', 'config.js'], depends_on: ['db'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] }
+]);
+
+// Two routes and an export among two hundred lines of body
+const SERVER = [
+  "const express = require('express');",
+  'const app = express();',
+  ...Array.from({ length: 200 }, (_, i) => `// handler detail ${i}`),
+  "app.get('/todos', (req, res) => res.json(todos));",
+  "app.post('/todos', (req, res) => res.status(201).end());",
+  'module.exports = app;'
+].join('\n');
+
+const FILES = {
+  db: { 'db.js': 'module.exports = { connect: () => "sqlite-handle" };', 'package.json': '{ "name": "app" }' },
+  api: { 'server.js': SERVER, 'config.js': 'module.exports = { port: 3000 };' },
+  web: { 'public/app.js': "fetch('/todos');" }
+};
+
+// Runs the team and returns everything web was sent
+async function webPrompt(t, options = {}) {
+  let prompt;
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    if (!FILES[params.agent]) return next(params);
+    if (params.agent === 'web') prompt = params.messages.map(m => m.content).join('\n');
+    const decisions = params.agent === 'api' ? ['- [Decision]: Use Express', '- [Reason]: Familiar'] : [];
+    return Promise.resolve(reply(fileReply(FILES[params.agent], decisions)));
+  });
+  const { result } = await swarm(t, 'Build an app', { provider, ...options });
+  assert.equal(result.status, 'completed');
+  return prompt;
+}
+
+test('a role sees its direct dependencies only, with their decisions', async t => {
+  const prompt = await webPrompt(t);
+  assert.match(prompt, /### Api \(api\)\nDecisions:\n- Use Express \(Familiar\)\n/);
+  assert.match(prompt, /--- config\.js \(full\) ---\nmodule\.exports = \{ port: 3000 \};\n/);
+  assert.match(prompt, /--- server\.js \(full\) ---\n/);
+  assert.match(prompt, /handler detail 199/);
+  // db is api's dependency, not web's
+  assert.doesNotMatch(prompt, /### Db \(db\)|sqlite-handle/);
+});
+
+test('files over their share of the budget shrink to their API surface', async t => {
+  const prompt = await webPrompt(t, { SWARM_CONTEXT_BUDGET: 400 });
+  assert.match(prompt, /--- config\.js \(full\) ---/);
+  assert.match(prompt, /--- server\.js \(API surface, 3 of 205 lines\) ---\napp\.get\('\/todos'.*\napp\.post\('\/todos'.*\nmodule\.exports = app;\n/);
+  assert.doesNotMatch(prompt, /handler detail/);
+});
+
+test('a tight budget truncates the API surface at a line boundary', async t => {
+  const prompt = await webPrompt(t, { SWARM_CONTEXT_BUDGET: 120 });
+  assert.match(prompt, /--- config\.js \(full\) ---/);
+  assert.match(prompt, /--- server\.js \(API surface, truncated; 205 lines total\) ---\napp\.get\('\/todos', \(req, res\) => res\.json\(todos\)\);\n(?!app\.post)/);
+});
@@ -0,0 +1,61 @@
+// Continuations: replies cut off at the token limit are continued and stitched, up to SWARM_MAX_CONTINUATIONS
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { replay, swarm, manifestWith, teamProvider, fileReply, outputContent, reply, attempts } = require('./helpers');
+
+const task = (result, roleId) => result.tasks.find(t => t.roleId === roleId);
+
+test('truncate: a cut-off reply is continued and stitched', async t => {
+  const { result } = await replay(t, 'truncate');
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'frontend-dev').attempts), ['initial:success']);
+  assert.equal(result.usage.byAgent['frontend-dev'].calls, 2);
+  assert.deepEqual(task(result, 'frontend-dev').files, ['public/index.html', 'styles.css', 'app.js']);
+  assert.match(fs.readFileSync(path.join(result.outputPath, 'public/index.html'), 'utf8'), /<\/html>$/);
+});
+
+const MANIFEST = manifestWith([{ id: 'api', outputs: ['server.js', 'package.json'] }]);
+const SERVER = "const express = require('express');\nmodule.exports = express();";
+
+// The api role answers with each of `replies` in turn, then as the team would; `requests` keeps what it was sent
+function cutOff(replies) {
+  const requests = [];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    if (params.agent !== 'api') return next(params);
+    requests.push(params.messages);
+    return requests.length <= replies.length ? Promise.resolve(replies[requests.length - 1]) : next(params);
+  });
+  return { requests, provider };
+}
+
+test('an unclosed FILE block is continued even when the model says it stopped', async t => {
+  const { requests, provider } = cutOff([
+    reply(`${fileReply({ 'package.json': outputContent('package.json', 'api') })}\n\n=== FILE: server.js ===\nconst express`),
+    // The continuation restarts the unfinished file, which replaces the partial one
+    reply(`=== FILE: server.js ===\n${SERVER}\n=== END FILE ===`)
+  ]);
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(result.status, 'completed');
+  assert.equal(requests.length, 2);
+  const [assistant, user] = requests[1].slice(-2);
+  assert.match(assistant.content, /=== FILE: server\.js ===\nconst express$/);
+  assert.match(user.content, /^Your reply was cut off\. Continue exactly where you stopped/);
+  assert.equal(fs.readFileSync(path.join(result.outputPath, 'server.js'), 'utf8'), SERVER);
+  assert.deepEqual(result.usage.calls.filter(c => c.agent === 'api').map(c => c.continuation), [0, 1]);
+  assert.deepEqual(attempts(task(result, 'api').attempts), ['initial:success']);
+});
+
+test('a reply still cut off after the last continuation falls back to one request per file', async t => {
+  const partial = reply('=== FILE: server.js ===\nconst', 'length');
+  const { requests, provider } = cutOff([partial, reply(' express', 'length')]);
+  const { result } = await swarm(t, 'Build an app', { provider, SWARM_MAX_CONTINUATIONS: 1 });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'api').attempts), ['initial:failed:truncated', 'split_outputs:success']);
+  assert.match(task(result, 'api').attempts[0].error, /^Output truncated after 1 continuation\(s\); server\.js is incomplete/);
+  // Two for the cut-off reply, then one per output
+  assert.equal(requests.length, 4);
+  assert.match(requests[2][1].content, /write ONLY the file server\.js/);
+  assert.match(requests[3][1].content, /write ONLY the file package\.json/);
+});
@@ -0,0 +1,133 @@
+// Decision records: DECISIONS.md and DECISIONS.json, contradictions with the manifest's tech_stack and
+// with other roles, --resolve-conflicts and --adr
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractAndRecordDecisions } = require('../orchestrator.js');
+const { swarm, tempDir, manifestWith, teamProvider, reply, fileReply, outputContent, readEvents, readSummary } = require('./helpers');
+
+// tech_stack.database is None; tests comes after web, which comes after api
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] },
+  { id: 'tests', outputs: ['test/api.test.js'], depends_on: ['web'] }
+]);
+
+const DECISIONS = {
+  api: ['- [Decision]: Use SQLite for storage', '- [Category]: database', '- [Reason]: Data survives restarts'],
+  web: ['- [Decision]: Use Mocha for the tests', '- [Category]: testing', '- [Reason]: Familiar'],
+  tests: ['- [Decision]: Use Jest for the tests', '- [Category]: testing', '- [Reason]: Snapshots']
+};
+
+// Workers write their outputs and DECISIONS; conflict fix-ups answer with `fixes[role]`
+function deciders(fixes = {}) {
+  const asked = [];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    const role = MANIFEST.roles.find(r => r.id === params.agent);
+    if (!role) return next(params);
+    const task = params.messages[params.messages.length - 1].content;
+    if (task.includes("Some of your decisions contradict the project's")) {
+      asked.push([role.id, task.match(/contradict the project's:\n\n(.*)\n/)[1]]);
+      return Promise.resolve(reply(fixes[role.id]));
+    }
+    return Promise.resolve(reply(fileReply(Object.fromEntries(role.outputs.map(out => [out, outputContent(out, role.id)])), DECISIONS[role.id])));
+  });
+  return { provider, asked };
+}
+
+const readDecisions = dir => JSON.parse(fs.readFileSync(path.join(dir, 'DECISIONS.json'), 'utf8'));
+const byAgent = (data, agent) => data.decisions.filter(d => d.agent === agent);
+
+test('extractAndRecordDecisions records complete decisions and flags conflicts', t => {
+  const dir = tempDir(t);
+  const workspace = {
+    projectId: 'test',
+    projectDir: dir,
+    decisionsPath: path.join(dir, 'DECISIONS.md'),
+    decisionsJsonPath: path.join(dir, 'DECISIONS.json'),
+    learningsDir: path.join(dir, '.learnings'),
+    eventsPath: path.join(dir, 'events.jsonl'),
+    techStack: { backend: 'Express', frontend: 'React', language: 'JavaScript', database: 'SQLite', css_framework: 'Plain CSS' }
+  };
+  fs.mkdirSync(workspace.learningsDir);
+  const output = `=== FILE: server.js ===
+x
+=== END FILE ===
+
+DECISIONS MADE:
+- [Decision]: Use Postgres for storage
+- [Category]: database
+- [Reason]: Concurrent writes
+
+- [Decision]: Validate input with a schema
+- [Reason]: Reject bad payloads early
+
+- [Decision]: A decision without a reason`;
+  const recorded = extractAndRecordDecisions(workspace, 'backend-dev', output);
+  assert.deepEqual(recorded, [
+    { decision: 'Use Postgres for storage', reason: 'Concurrent writes', category: 'database' },
+    { decision: 'Validate input with a schema', reason: 'Reject bad payloads early', category: 'other' }
+  ]);
+  const data = JSON.parse(fs.readFileSync(workspace.decisionsJsonPath, 'utf8'));
+  assert.deepEqual(data.decisions.map(d => [d.id, d.agent, d.choice]), [['D1', 'backend-dev', 'Postgres'], ['D2', 'backend-dev', null]]);
+  assert.deepEqual(data.conflicts.map(c => [c.decision, c.expected]), [['D1', 'SQLite']]);
+  assert.match(fs.readFileSync(workspace.decisionsPath, 'utf8'), /\*\*Decision:\*\* Use Postgres for storage/);
+  assert.deepEqual(extractAndRecordDecisions(workspace, 'qa', 'No decisions here.'), []);
+});
+
+test('choices against the tech_stack or another role are flagged in every record of the run', async t => {
+  const { result } = await swarm(t, 'Build an app', { provider: deciders().provider });
+  assert.equal(result.status, 'completed');
+  const data = readDecisions(result.outputPath);
+  const [sqlite] = byAgent(data, 'api');
+  const [mocha] = byAgent(data, 'web');
+  const [jest] = byAgent(data, 'tests');
+  assert.deepEqual({ ...sqlite, at: null }, { id: sqlite.id, agent: 'api', category: 'database', subject: 'Use SQLite for storage', choice: 'SQLite', rationale: 'Data survives restarts', at: null });
+  assert.deepEqual([mocha.choice, jest.choice], ['Mocha', 'Jest']);
+  assert.deepEqual(data.conflicts, [
+    { id: 'C1', decision: sqlite.id, agent: 'api', category: 'database', choice: 'SQLite', conflictsWith: 'tech_stack.database', expected: 'None', message: "api chose SQLite for database, but the manifest's tech_stack.database is None", status: 'open' },
+    { id: 'C2', decision: jest.id, agent: 'tests', category: 'testing', choice: 'Jest', conflictsWith: mocha.id, expected: 'Mocha', message: `tests chose Jest for testing, but web chose Mocha (${mocha.id})`, status: 'open' }
+  ]);
+
+  assert.match(fs.readFileSync(path.join(result.outputPath, 'DECISIONS.md'), 'utf8'),
+    /\*\*Decision:\*\* Use SQLite for storage\n\n\*\*Category:\*\* database \(SQLite\)\n\n\*\*Rationale:\*\* Data survives restarts\n\n\*\*Conflict:\*\* api chose SQLite/);
+  const summary = readSummary(result.outputPath);
+  assert.match(summary, new RegExp(`\\| C1 \\| ${sqlite.id} \\| api \\| database \\| SQLite \\| tech_stack\\.database \\(None\\) \\| open \\|`));
+  assert.match(summary, new RegExp(`\\| C2 \\| ${jest.id} \\| tests \\| testing \\| Jest \\| ${mocha.id} \\(Mocha\\) \\| open \\|`));
+  assert.match(summary, /With `--resolve-conflicts`/);
+  assert.deepEqual(readEvents(result.outputPath).filter(e => e.type === 'decision_conflict').map(e => [e.id, e.agent, e.expected]), [['C1', 'api', 'None'], ['C2', 'tests', 'Mocha']]);
+  assert.equal(fs.existsSync(path.join(result.outputPath, 'docs', 'adr')), false);
+});
+
+test('--resolve-conflicts asks each conflicting role once; --adr marks the resolved record superseded', async t => {
+  const { provider, asked } = deciders({
+    api: fileReply({ 'server.js': 'module.exports = new Map();' }, ['- [Decision]: Keep the data in-memory', '- [Category]: database', '- [Reason]: The stack has no database']),
+    tests: fileReply({ 'test/api.test.js': '// still Jest' }, ['- [Decision]: Use Jest after all', '- [Category]: testing', '- [Reason]: Snapshots'])
+  });
+  const { result } = await swarm(t, 'Build an app', { provider, resolveConflicts: true, adr: true });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(asked, [
+    ['api', "- api chose SQLite for database, but the manifest's tech_stack.database is None; use None"],
+    ['tests', `- tests chose Jest for testing, but web chose Mocha (${byAgent(readDecisions(result.outputPath), 'web')[0].id}); use Mocha`]
+  ]);
+
+  const data = readDecisions(result.outputPath);
+  const [sqlite, inMemory] = byAgent(data, 'api');
+  assert.equal(inMemory.choice, 'None');
+  // Restating Jest leaves C2 unresolved and is a conflict of its own
+  assert.deepEqual(data.conflicts.map(c => [c.id, c.status, c.resolvedBy]), [['C1', 'resolved', inMemory.id], ['C2', 'unresolved', undefined], ['C3', 'open', undefined]]);
+  assert.equal(fs.readFileSync(path.join(result.outputPath, 'server.js'), 'utf8').trim(), 'module.exports = new Map();');
+  assert.match(readSummary(result.outputPath), new RegExp(`\\| C1 \\| ${sqlite.id} \\| api \\| database \\| SQLite \\| tech_stack\\.database \\(None\\) \\| resolved by ${inMemory.id} \\|`));
+  assert.doesNotMatch(readSummary(result.outputPath), /With `--resolve-conflicts`/);
+
+  const adrDir = path.join(result.outputPath, 'docs', 'adr');
+  const adrs = fs.readdirSync(adrDir).sort();
+  assert.equal(adrs.length, data.decisions.length);
+  const number = id => id.slice(1).padStart(4, '0');
+  assert.ok(adrs.includes(`${number(sqlite.id)}-use-sqlite-for-storage.md`), adrs.join(', '));
+  const superseded = fs.readFileSync(path.join(adrDir, `${number(sqlite.id)}-use-sqlite-for-storage.md`), 'utf8');
+  assert.match(superseded, new RegExp(`^# ${sqlite.id.slice(1)}\\. Use SQLite for storage\\n\\nDate: \\d{4}-\\d{2}-\\d{2}\\nStatus: Superseded by ADR ${inMemory.id.slice(1)}\\nAgent: api\\nCategory: database \\(SQLite\\)\\n`));
+  assert.match(superseded, /## Context\n\nData survives restarts\n\n## Decision\n\nUse SQLite for storage\n\n## Conflicts\n\n- api chose SQLite/);
+  assert.match(fs.readFileSync(path.join(adrDir, `${number(inMemory.id)}-keep-the-data-in-memory.md`), 'utf8'), /Status: Accepted\n/);
+});
@@ -0,0 +1,136 @@
+// events.jsonl and the live-progress server: every stage is an event, numbered by `seq`, and --serve
+// replays them over SSE and folds them into /status while the run goes on
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { swarm, tempDir, manifestWith, teamProvider, projectDir, readEvents, sleep } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] }
+]);
+
+// GET a path from the server; resolves to { status, type, body }
+function get(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname, agent: false }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+// Open /events; resolves once connected to { messages }, a promise of the { id, event } messages
+// received until the server ends the stream
+function openStream(port, lastEventId) {
+  const headers = lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {};
+  const parse = body => body.split('\n\n').filter(m => m.startsWith('id: ')).map(m => {
+    const [, id, data] = m.match(/^id: (\d+)\ndata: (.*)$/);
+    return { id: Number(id), event: JSON.parse(data) };
+  });
+  return new Promise((connected, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/events', headers, agent: false }, res => {
+      assert.equal(res.headers['content-type'], 'text/event-stream');
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      connected({ messages: new Promise(ended => res.on('end', () => ended(parse(body)))) });
+    }).on('error', reject);
+  });
+}
+
+const seqs = events => events.map(e => e.seq);
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test('every stage of a run is an event, numbered from 1', async t => {
+  const { result } = await swarm(t, 'Build an app', { provider: teamProvider(MANIFEST) });
+  const events = readEvents(result.outputPath);
+  assert.deepEqual(seqs(events), range(1, events.length));
+  events.forEach(e => assert.ok(!Number.isNaN(Date.parse(e.at)), `${e.type} has a time`));
+  const types = events.map(e => e.type);
+  ['run_started', 'planner_started', 'planner_finished', 'manifest_ready', 'decision_recorded', 'validation_started',
+    'secret_scan_finished', 'assembly_started', 'assembly_finished'].forEach(type => assert.ok(types.includes(type), type));
+  assert.deepEqual(events[0], { seq: 1, at: events[0].at, type: 'run_started', command: 'run', projectId: result.projectId, prompt: 'Build an app' });
+  assert.equal(events[events.length - 1].type, 'run_finished');
+  assert.equal(events[events.length - 1].status, 'completed');
+  assert.deepEqual(events.find(e => e.type === 'manifest_ready').roles.map(r => [r.id, r.depends_on, r.outputs]),
+    [['api', [], ['server.js', 'package.json']], ['web', ['api'], ['public/app.js']]]);
+
+  // Each role goes queued, started, succeeded, with its files in between
+  const web = events.filter(e => e.role === 'web').map(e => e.type === 'file_written' ? e.file : e.type);
+  assert.deepEqual(web, ['role_queued', 'role_started', 'public/app.js', 'role_succeeded']);
+  assert.ok(types.indexOf('role_succeeded') < events.findIndex(e => e.type === 'role_started' && e.role === 'web'));
+});
+
+test('seq keeps counting when a failed run is resumed', async t => {
+  const workspace = tempDir(t);
+  const failing = teamProvider(MANIFEST, async (params, next) => {
+    if (params.agent === 'web') throw Object.assign(new Error('Invalid request'), { statusCode: 400 });
+    return next(params);
+  });
+  const { error } = await swarm(t, 'Build an app', { workspace, provider: failing });
+  const dir = projectDir(workspace, error.projectId);
+  const first = readEvents(dir);
+  assert.deepEqual(first.slice(-2).map(e => [e.type, e.role || e.status]), [['role_failed', 'web'], ['run_finished', 'failed']]);
+
+  await swarm(t, null, { workspace, provider: teamProvider(MANIFEST), resume: error.projectId });
+  const events = readEvents(dir);
+  assert.deepEqual(seqs(events), range(1, events.length));
+  const resumed = events.slice(first.length);
+  assert.deepEqual(resumed[0], { ...resumed[0], seq: first.length + 1, type: 'run_started', command: 'resume' });
+  assert.deepEqual(resumed.filter(e => e.type === 'role_skipped').map(e => [e.role, e.reason]), [['api', 'completed']]);
+});
+
+test('--serve streams the events over SSE, replays from Last-Event-ID and serves /status', async t => {
+  let release;
+  const webGate = new Promise(resolve => { release = resolve; });
+  let webStarted;
+  const started = new Promise(resolve => { webStarted = resolve; });
+  let port;
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    if (params.agent === 'web') {
+      webStarted();
+      await webGate;
+    }
+    return next(params);
+  });
+  const logger = line => {
+    const match = line.match(/Live progress at http:\/\/127\.0\.0\.1:(\d+)\//);
+    if (match) port = Number(match[1]);
+  };
+  const run = swarm(t, 'Build an app', { provider, logger, serve: true, servePort: 0 });
+
+  await started;
+  await sleep(600); // the server polls events.jsonl every 500ms
+  const status = await get(port, '/status');
+  assert.equal(status.type, 'application/json');
+  const state = JSON.parse(status.body);
+  assert.deepEqual([state.status, state.stage, state.command, state.project, state.prompt], ['running', 'roles', 'run', 'Test App', 'Build an app']);
+  assert.deepEqual(state.roles.map(r => [r.id, r.state, r.files]), [['api', 'done', 2], ['web', 'running', 0]]);
+  assert.equal(state.files, 2);
+  assert.ok(state.decisions > 0);
+  assert.equal(state.recent[state.recent.length - 1].type, 'role_started');
+
+  const page = await get(port, '/');
+  assert.equal(page.type, 'text/html; charset=utf-8');
+  assert.match(page.body, /<html/i);
+  assert.equal((await get(port, '/missing')).status, 404);
+
+  // Two clients: one from the start, one reconnecting after event 5; both stay open until the run ends
+  const full = await openStream(port);
+  const reconnected = await openStream(port, 5);
+  release();
+  const { result } = await run;
+  assert.equal(result.status, 'completed');
+
+  const events = readEvents(result.outputPath);
+  const streamed = await full.messages;
+  assert.deepEqual(streamed.map(m => m.id), seqs(events));
+  assert.deepEqual(streamed.map(m => m.event), events);
+  assert.deepEqual((await reconnected.messages).map(m => m.id), range(6, events.length));
+  assert.equal(streamed[streamed.length - 1].event.type, 'run_finished');
+  // Closed with the run
+  await assert.rejects(get(port, '/status'), { code: 'ECONNREFUSED' });
+});
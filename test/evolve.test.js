@@ -0,0 +1,140 @@
+// Evolve: a change request applied to a finished run through the CLI, with the mock provider and
+// scripted replies
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { applyUnifiedDiff, parseYaml } = require('../orchestrator.js');
+const { tempDir, runCli, projectDir, readTasks, readEvents, readSummary, attempts } = require('./helpers');
+
+const MOCK = { MOCK: '1' };
+const FIRST_LINE = "const express = require('express');";
+const ADDED_LINE = '// Pagination: ?page= and ?limit= on the stats endpoint';
+
+// A completed mock run; resolves to its workspace and project directory
+function finishedRun(t) {
+  const workspace = tempDir(t);
+  const { status, output } = runCli(workspace, ['run', 'Build a todo API'], MOCK);
+  assert.equal(status, 0, output);
+  const projectId = output.match(/swarm-projects\/(swarm-[\w-]+)/)[1];
+  return { workspace, projectId, dir: projectDir(workspace, projectId) };
+}
+
+// Evolve with `faults` (a list of scripted replies and errors) in front of the mock
+function evolve(run, change, faults = null) {
+  const args = ['evolve', run.projectId, change];
+  if (faults) {
+    const file = path.join(run.workspace, `faults-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify(faults));
+    args.push('--faults', file);
+  }
+  return runCli(run.workspace, args, MOCK);
+}
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf8');
+
+test('applyUnifiedDiff applies hunks, tolerating shifted line numbers', () => {
+  const original = 'a\nb\nc\nd\ne\n';
+  assert.equal(applyUnifiedDiff(original, '@@ -2,2 +2,3 @@\n b\n+b2\n c\n@@ -4,1 +5,1 @@\n-d\n+D\n'), 'a\nb\nb2\nc\nD\ne\n');
+  assert.equal(applyUnifiedDiff(original, '@@ -1,1 +1,1 @@\n-e\n+E\n'), 'a\nb\nc\nd\nE\n');
+  assert.equal(applyUnifiedDiff('', '@@ -0,0 +1,2 @@\n+one\n+two\n'), 'one\ntwo\n');
+});
+
+test('applyUnifiedDiff rejects diffs that do not match', () => {
+  assert.throws(() => applyUnifiedDiff('a\nb\n', '@@ -1,1 +1,1 @@\n-z\n+y\n'), /hunk 1 \(line 1\) does not match/);
+  assert.throws(() => applyUnifiedDiff('a\n', 'just text'), /no hunks/);
+});
+
+test('a change is planned, patched in place and staged under evolutions/NNN', t => {
+  const run = finishedRun(t);
+  const original = read(run.dir, 'server.js');
+  const { status, output } = evolve(run, 'Add pagination to the stats endpoint');
+  assert.equal(status, 0, output);
+
+  assert.equal(read(run.dir, 'server.js'), original.replace(FIRST_LINE, `${FIRST_LINE}\n${ADDED_LINE}`));
+  assert.equal(read(run.dir, 'files/backend-dev/server.js'), read(run.dir, 'server.js'));
+  const stage = path.join(run.dir, 'evolutions', '001');
+  assert.equal(read(stage, 'before/server.js'), original);
+  assert.equal(read(stage, 'backend-dev/server.js'), read(run.dir, 'server.js'));
+
+  const change = JSON.parse(read(stage, 'change.json'));
+  assert.equal(change.status, 'completed');
+  assert.equal(change.plan.summary, 'Add pagination to the stats endpoint');
+  assert.deepEqual(change.roles.map(r => [r.roleId, r.status, r.files]), [['backend-dev', 'done', ['server.js']]]);
+  assert.deepEqual(readTasks(run.dir).evolutions, [change]);
+  // The rest of the project is untouched
+  assert.equal(readTasks(run.dir).status, 'completed');
+
+  const events = readEvents(run.dir);
+  assert.deepEqual(events.filter(e => e.type.startsWith('evolution_')).map(e => [e.type, e.iteration, e.status]),
+    [['evolution_started', 1, undefined], ['evolution_finished', 1, 'completed']]);
+  assert.match(readSummary(run.dir), /## Evolution 1\n\n\*\*Change:\*\* Add pagination to the stats endpoint\n\*\*Status:\*\* completed/);
+  assert.match(readSummary(run.dir), /\| backend-dev \| ✓ done \| server\.js \| 1 \|/);
+  assert.match(read(run.dir, 'DECISIONS.md'), /\*\*Decision:\*\* Change 1: Add pagination to the stats endpoint/);
+
+  // The next change gets the next directory and keeps this one
+  assert.equal(evolve(run, 'Paginate again').status, 0);
+  assert.equal(read(path.join(run.dir, 'evolutions', '002'), 'before/server.js'), read(stage, 'backend-dev/server.js'));
+  assert.equal(readTasks(run.dir).evolutions.length, 2);
+});
+
+test('new files and new roles join the manifest', t => {
+  const run = finishedRun(t);
+  const plan = {
+    summary: 'Add a stats route and API docs',
+    roles: [
+      { id: 'backend-dev', task: 'Add the stats route', files: ['server.js', 'routes/stats.js'], depends_on: [] },
+      { id: 'docs-writer', task: 'Document the API', files: ['docs/API.md'], depends_on: ['backend-dev'] }
+    ],
+    new_roles: [{ id: 'docs-writer', name: 'DocsWriter' }],
+    decisions: []
+  };
+  const { status, output } = evolve(run, 'Add stats and docs', [
+    { agent: 'planner', fault: 'reply', content: JSON.stringify(plan) },
+    {
+      agent: 'backend-dev',
+      fault: 'reply',
+      content: `=== PATCH: server.js ===\n@@ -1,1 +1,2 @@\n ${FIRST_LINE}\n+const stats = require('./routes/stats');\n=== END PATCH ===\n\n=== FILE: routes/stats.js ===\nmodule.exports = (req, res) => res.json({});\n=== END FILE ===`
+    },
+    { agent: 'docs-writer', fault: 'reply', content: '=== FILE: docs/API.md ===\n# API\n\nGET /api/stats\n=== END FILE ===' }
+  ]);
+  assert.equal(status, 0, output);
+  assert.match(read(run.dir, 'server.js'), /^const express = require\('express'\);\nconst stats = require\('\.\/routes\/stats'\);\n/);
+  assert.equal(read(run.dir, 'routes/stats.js'), 'module.exports = (req, res) => res.json({});');
+  assert.equal(read(run.dir, 'docs/API.md'), '# API\n\nGET /api/stats');
+  assert.equal(read(run.dir, 'files/docs-writer/docs/API.md'), '# API\n\nGET /api/stats');
+  // New files have no original to keep
+  assert.equal(fs.existsSync(path.join(run.dir, 'evolutions/001/before/routes/stats.js')), false);
+
+  const manifest = parseYaml(read(run.dir, 'swarm.yaml'));
+  assert.ok(manifest.roles.find(r => r.id === 'backend-dev').outputs.includes('routes/stats.js'));
+  assert.deepEqual(manifest.roles.find(r => r.id === 'docs-writer'), { id: 'docs-writer', name: 'DocsWriter', outputs: ['docs/API.md'], depends_on: [] });
+  assert.deepEqual(readTasks(run.dir).evolutions[0].roles.map(r => r.roleId), ['backend-dev', 'docs-writer']);
+});
+
+test('a patch that does not apply is retried as full files', t => {
+  const run = finishedRun(t);
+  const { status, output } = evolve(run, 'Add pagination', [
+    { agent: 'backend-dev', call: 1, fault: 'reply', content: '=== PATCH: server.js ===\n@@ -1,1 +1,2 @@\n not in the file\n+x\n=== END PATCH ===' }
+  ]);
+  assert.equal(status, 0, output);
+  const [role] = readTasks(run.dir).evolutions[0].roles;
+  assert.deepEqual(attempts(role.attempts), ['initial:failed:patch_failed', 'full_files:success']);
+  assert.match(role.attempts[0].error, /Patch for server\.js does not apply: hunk 1 \(line 1\) does not match/);
+  assert.ok(read(run.dir, 'server.js').startsWith(`${FIRST_LINE}\n${ADDED_LINE}\n`));
+});
+
+test('a change plan naming an unknown role fails the evolution and leaves the project as it was', t => {
+  const run = finishedRun(t);
+  const original = read(run.dir, 'server.js');
+  const plan = { summary: 'Bad plan', roles: [{ id: 'ghost', task: 'x', files: ['server.js'] }] };
+  const { status, output } = evolve(run, 'Haunt it', [{ agent: 'planner', fault: 'reply', content: JSON.stringify(plan) }]);
+  assert.equal(status, 1);
+  assert.match(output, /Planner could not produce a valid change plan after 3 rounds/);
+  assert.match(output, /ghost: unknown role \(add it to new_roles to create it\)/);
+  assert.equal(read(run.dir, 'server.js'), original);
+  const [change] = readTasks(run.dir).evolutions;
+  assert.equal(change.status, 'failed');
+  assert.equal(change.planner.validation.length, 3);
+  assert.match(readSummary(run.dir), /## Evolution 1\n\n\*\*Change:\*\* Haunt it\n\*\*Status:\*\* failed/);
+});
@@ -0,0 +1,170 @@
+// The exported tree: its git history (one commit per role, then assembly, evolve and update
+// commits) and its zip and tar.gz archives, read back with the system's unzip, tar and git
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { runSwarm } = require('../orchestrator.js');
+const { FIXTURES, ORCHESTRATOR, swarm, tempDir, manifestWith, teamProvider, reply, fileReply, outputContent, runNode, runCli, projectDir, readTasks, readSummary } = require('./helpers');
+
+const TOOLS = ['unzip', 'tar', 'git'].filter(tool => spawnSync(tool, ['--version'], { stdio: 'ignore' }).error);
+const NO_GIT = TOOLS.includes('git') ? 'git not installed' : false;
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] }
+]);
+
+// Longer than tar's 100-byte name field, so it needs the ustar prefix
+const LONG_PATH = `src/${'deeply-nested-directory/'.repeat(4)}with-a-file-name-long-enough-to-need-the-prefix.js`;
+
+// Every file under dir, relative and sorted, skipping .git
+function listFiles(dir, rel = '') {
+  return fs.readdirSync(path.join(dir, rel), { withFileTypes: true }).flatMap(entry => {
+    const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.name === '.git') return [];
+    return entry.isDirectory() ? listFiles(dir, relPath) : [relPath];
+  }).sort();
+}
+
+// A UTF-8 locale, so tar lists non-ASCII names as they are rather than escaped
+const run = (command, args, options = {}) => execFileSync(command, args, { encoding: 'utf8', timeout: 60000, env: { ...process.env, LC_ALL: 'C.UTF-8' }, ...options });
+
+// Both archives hold exactly the tree under <slug>/, byte for byte and with the same modes
+function assertArchivesMatch(t, exported) {
+  const slug = path.basename(exported.path);
+  const files = listFiles(exported.path);
+  const [zip, tarGz] = exported.archives;
+  assert.deepEqual(exported.archives.map(a => path.basename(a)), [`${slug}.zip`, `${slug}.tar.gz`]);
+
+  assert.match(run('unzip', ['-t', zip]), /No errors detected/);
+  assert.deepEqual(run('unzip', ['-Z1', zip]).trim().split('\n').sort(), files.map(f => `${slug}/${f}`).sort());
+  assert.deepEqual(run('tar', ['-tzf', tarGz]).trim().split('\n').sort(), files.map(f => `${slug}/${f}`).sort());
+
+  [['unzip', ['-q', zip, '-d']], ['tar', ['-xzf', tarGz, '-C']]].forEach(([tool, args]) => {
+    const dir = tempDir(t);
+    run(tool, [...args, dir]);
+    assert.deepEqual(listFiles(path.join(dir, slug)), files, tool);
+    files.forEach(file => {
+      const original = path.join(exported.path, file);
+      const extracted = path.join(dir, slug, file);
+      assert.ok(fs.readFileSync(extracted).equals(fs.readFileSync(original)), `${tool}: ${file}`);
+      assert.equal(fs.statSync(extracted).mode & 0o777, fs.statSync(original).mode & 0o777, `${tool}: mode of ${file}`);
+    });
+  });
+}
+
+test('exported archives read back with unzip and tar', { skip: TOOLS.length ? `${TOOLS.join(', ')} not installed` : false }, async t => {
+  const workspace = tempDir(t);
+  const result = await runSwarm('Build a todo API', {
+    workspace,
+    replayDir: FIXTURES,
+    export: true,
+    SWARM_LEARNINGS_LIMIT: 0,
+    logger: null
+  });
+  assert.equal(result.status, 'completed');
+  assert.ok(result.export.commits > 1, 'one commit per role plus assembly');
+  assert.equal(run('git', ['-C', result.export.path, 'status', '--porcelain']), '');
+  assertArchivesMatch(t, result.export);
+
+  // Re-export with files that exercise the formats' edge cases: a long path, a non-ASCII name,
+  // an executable, an empty file and one large enough to deflate across many blocks
+  const added = {
+    [LONG_PATH]: 'module.exports = 1;\n',
+    'docs/café ☕.md': '# Café\n',
+    'scripts/start.sh': '#!/bin/sh\nnode server.js\n',
+    'empty.txt': '',
+    'data/large.json': JSON.stringify(Array.from({ length: 5000 }, (_, i) => ({ id: i, title: `Todo ${i}` })))
+  };
+  Object.entries(added).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(result.outputPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(result.outputPath, file), content);
+  });
+  fs.chmodSync(path.join(result.outputPath, 'scripts/start.sh'), 0o755);
+  run(process.execPath, [ORCHESTRATOR, 'export', result.projectId, '--workspace', workspace], { env: { PATH: process.env.PATH } });
+
+  const exported = JSON.parse(fs.readFileSync(path.join(result.outputPath, 'tasks.json'), 'utf8')).export;
+  assert.equal(exported.commits, result.export.commits + 1);
+  assert.match(run('git', ['-C', exported.path, 'log', '-1', '--format=%s']), /^Update project files/);
+  Object.keys(added).forEach(file => assert.ok(listFiles(exported.path).includes(file), file));
+  assertArchivesMatch(t, exported);
+});
+
+// Commits of the exported tree, oldest first, as 'author <email>|subject'
+const history = dir => run('git', ['-C', dir, 'log', '--reverse', '--format=%an <%ae>|%s']).trim().split('\n');
+
+test('the export is a git history with one commit per role, without the run\'s bookkeeping', { skip: NO_GIT }, async t => {
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    if (params.agent !== 'api') return next(params);
+    return Promise.resolve(reply(fileReply({ 'server.js': outputContent('server.js', 'api'), 'package.json': outputContent('package.json', 'api') },
+      ['- [Decision]: Keep the data in memory', '- [Reason]: No database in the stack'])));
+  });
+  const { result } = await swarm(t, 'Build an app', { provider, export: true, exportDir: 'dist', archives: 'none' });
+  assert.equal(result.status, 'completed');
+  const tree = path.join(result.outputPath, 'dist', 'test-app');
+  assert.deepEqual(result.export, { ...result.export, path: tree, roles: ['api', 'web'], commits: 3, newCommits: 3, archives: [] });
+
+  assert.equal(run('git', ['-C', tree, 'branch', '--show-current']).trim(), 'main');
+  assert.deepEqual(history(tree), [
+    'Api <api@swarm.local>|Api: server.js, package.json',
+    'Web <web@swarm.local>|Web: public/app.js',
+    'Swarm Orchestrator <orchestrator@swarm.local>|Assemble project'
+  ]);
+  assert.equal(run('git', ['-C', tree, 'log', '-1', '--format=%b', 'HEAD~2']).trim(), 'Decisions:\n- Keep the data in memory\n  Reason: No database in the stack');
+  assert.equal(run('git', ['-C', tree, 'log', '-1', '--format=%b', 'HEAD~1']).trim(), 'No decisions recorded.');
+  const tracked = run('git', ['-C', tree, 'ls-files']).trim().split('\n');
+  assert.deepEqual(tracked, listFiles(tree));
+  ['server.js', 'public/app.js', 'README.md'].forEach(file => assert.ok(tracked.includes(file), file));
+  ['swarm.yaml', 'tasks.json', 'events.jsonl', 'DECISIONS.md', 'SWARM_SUMMARY.md'].forEach(file => assert.ok(!tracked.includes(file), file));
+  assert.ok(!tracked.some(file => /^(files|\.learnings|dist)\//.test(file)), tracked.join(', '));
+  assert.match(readSummary(result.outputPath), /## Export\n\n\*\*Path:\*\* `dist\/test-app` \(\d+ files\)\n\*\*History:\*\* 3 commit\(s\), 3 new, HEAD [0-9a-f]+\n\*\*Archives:\*\* none\n/);
+});
+
+test('evolve adds an Evolve commit to the same history', { skip: NO_GIT }, t => {
+  const workspace = tempDir(t);
+  const first = runCli(workspace, ['run', 'Build a todo API', '--export', '--archives', 'zip'], { MOCK: '1' });
+  assert.equal(first.status, 0, first.output);
+  const projectId = first.output.match(/swarm-projects\/(swarm-[\w-]+)/)[1];
+  const { export: exported } = readTasks(projectDir(workspace, projectId));
+  assert.deepEqual(exported.archives.map(a => path.basename(a)), [`${path.basename(exported.path)}.zip`]);
+  const before = history(exported.path);
+
+  const evolved = runCli(workspace, ['evolve', projectId, 'Add pagination', '--export'], { MOCK: '1' });
+  assert.equal(evolved.status, 0, evolved.output);
+  const after = readTasks(projectDir(workspace, projectId)).export;
+  assert.equal(after.path, exported.path);
+  assert.deepEqual(after.evolutions, [1]);
+  assert.deepEqual(history(after.path).slice(0, before.length), before);
+  assert.deepEqual(history(after.path).slice(before.length), ['Swarm Orchestrator <orchestrator@swarm.local>|Evolve: Add pagination']);
+  assert.match(run('git', ['-C', after.path, 'log', '-1', '--format=%b']), /^Change 1: Add pagination\n/);
+  assert.match(run('git', ['-C', after.path, 'show', '--stat', '--format=', 'HEAD']), /server\.js/);
+});
+
+test('export refuses a run that did not complete, and archive formats it does not know', async t => {
+  const workspace = tempDir(t);
+  const dir = projectDir(workspace, 'swarm-2026-01-01T00-00-00');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'tasks.json'), JSON.stringify({ status: 'failed', prompt: 'Build an app', tasks: [], completed: [] }));
+  const refused = runCli(workspace, ['export', 'swarm-2026-01-01T00-00-00']);
+  assert.equal(refused.status, 1);
+  assert.match(refused.output, /Cannot export swarm-2026-01-01T00-00-00: the run is failed; finish it with `resume swarm-2026-01-01T00-00-00` first/);
+
+  const { error } = await swarm(t, 'Build an app', { provider: teamProvider(MANIFEST), export: true, archives: 'zip,rar' });
+  assert.equal(error.message, 'Invalid SWARM_EXPORT_ARCHIVES "zip,rar"; expected zip, tar.gz (comma-separated) or none');
+});
+
+test('without git the tree and archives are still written, with no history', t => {
+  const workspace = tempDir(t);
+  // An empty PATH: node is started by its full path, git cannot be found
+  const { status, output } = runNode([ORCHESTRATOR, 'run', 'Build a todo API', '--export', '--workspace', workspace], { MOCK: '1', PATH: tempDir(t) });
+  assert.equal(status, 0, output);
+  assert.match(output, /git not found; exporting without history/);
+  const dir = projectDir(workspace, output.match(/swarm-projects\/(swarm-[\w-]+)/)[1]);
+  const { export: exported } = readTasks(dir);
+  assert.equal(fs.existsSync(path.join(exported.path, '.git')), false);
+  assert.ok(fs.existsSync(path.join(exported.path, 'server.js')));
+  assert.deepEqual(exported.archives.map(a => path.extname(a)), ['.zip', '.gz']);
+  assert.match(readSummary(dir), /\*\*History:\*\* none \(git not found\)/);
+});
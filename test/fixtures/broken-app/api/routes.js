@@ -0,0 +1,9 @@
+const express = require('express');
+
+module.exports = db => {
+  const router = express.Router();
+  router.get('/items', (req, res) => {
+    res.json(db.all();
+  });
+  return router;
+};
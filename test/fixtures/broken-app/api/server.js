@@ -0,0 +1,9 @@
+const express = require('express');
+const cors = require('cors');
+const db = require('./lib/db');
+const routes = require('./routes');
+
+const app = express();
+app.use(cors());
+app.use('/api', routes(db));
+app.listen(process.env.PORT || 3000);
@@ -0,0 +1,5 @@
+fetch('/api/items')
+  .then(res => res.json())
+  .then(items => {
+    document.getElementById('items').innerHTML = items.map(i => `<li>${i.name}</li>`).join('');
+  });
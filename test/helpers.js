@@ -0,0 +1,142 @@
+// Shared by the test files: temporary workspaces, runs through runSwarm or the CLI, scripted providers
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { runSwarm, createMockProvider } = require('../orchestrator.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'todo-api');
+const FAULTS = path.join(__dirname, 'fixtures', 'faults');
+const ORCHESTRATOR = path.join(__dirname, '..', 'orchestrator.js');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swarm-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// One runSwarm call in a fresh workspace (or options.workspace), so learnings from earlier tests
+// never change the prompts. Resolves to { workspace, result } or { workspace, error }.
+async function swarm(t, prompt, options = {}) {
+  const workspace = options.workspace || tempDir(t);
+  try {
+    return {
+      workspace,
+      result: await runSwarm(prompt, { SWARM_RETRY_DELAY_MS: 0, SWARM_LEARNINGS_LIMIT: 0, logger: null, ...options, workspace })
+    };
+  } catch (error) {
+    return { workspace, error };
+  }
+}
+
+// The recorded todo-api run, optionally under a fault script from fixtures/faults
+function replay(t, faults = null, options = {}) {
+  return swarm(t, 'Build a todo API', { replayDir: FIXTURES, faults: faults && path.join(FAULTS, `${faults}.yaml`), ...options });
+}
+
+// The mock provider with `answer(params, next)` in front of it: return a response to replace the
+// mock's, or call next(params) for the mock's own
+function scriptedProvider(answer) {
+  const mock = createMockProvider();
+  return { name: 'scripted', complete: params => answer(params, p => mock.complete(p)) };
+}
+
+function reply(content, finishReason = 'stop') {
+  return { content, finishReason, usage: { prompt_tokens: 10, completion_tokens: 10 }, model: 'mock' };
+}
+
+// A valid Node.js manifest with these roles ({ id, outputs, depends_on }); names come from the ids
+function manifestWith(roles, extra = {}) {
+  return {
+    project_name: 'Test App',
+    tech_stack: { backend: 'Express', frontend: 'React', language: 'JavaScript', database: 'None', css_framework: 'Plain CSS' },
+    roles: roles.map(r => ({ name: r.id.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(''), depends_on: [], ...r })),
+    shared_files: [],
+    file_owners: {},
+    constraints: [],
+    decisions: [],
+    ...extra
+  };
+}
+
+// A worker reply: one FILE block per { path: content } entry, then `decisions` lines if given
+function fileReply(files, decisions = []) {
+  const blocks = Object.entries(files).map(([file, content]) => `=== FILE: ${file} ===\n${content}\n=== END FILE ===`);
+  return blocks.join('\n\n') + (decisions.length ? `\n\nDECISIONS MADE:\n${decisions.join('\n')}` : '');
+}
+
+// Content a team worker writes for an output: valid JSON for .json files, a module otherwise
+function outputContent(file, roleId) {
+  return file.endsWith('.json') ? JSON.stringify({ name: 'test-app', writtenBy: roleId }) : `module.exports = ${JSON.stringify(`${file} by ${roleId}`)};`;
+}
+
+// Plays a whole team: the Planner returns `manifest`, each worker one FILE block per output, any other
+// agent (the merger) the mock's reply. `answer(params, next)` can replace any of them.
+function teamProvider(manifest, answer = (params, next) => next(params)) {
+  const mock = createMockProvider();
+  const team = params => {
+    if (params.agent === 'planner') return Promise.resolve(reply(JSON.stringify(manifest)));
+    const role = manifest.roles.find(r => r.id === params.agent);
+    if (!role) return mock.complete(params);
+    return Promise.resolve(reply(fileReply(Object.fromEntries(role.outputs.map(out => [out, outputContent(out, role.id)])))));
+  };
+  return { name: 'team', complete: params => answer(params, team) };
+}
+
+// Node in a child process with the given environment; resolves to { status, output }
+function runNode(args, env = {}) {
+  try {
+    return { status: 0, output: execFileSync(process.execPath, args, { env: { PATH: process.env.PATH, ...env }, encoding: 'utf8', timeout: 60000, stdio: 'pipe' }) };
+  } catch (err) {
+    return { status: err.status, output: `${err.stdout}${err.stderr}` };
+  }
+}
+
+// The CLI against a workspace
+function runCli(workspace, args, env = {}) {
+  return runNode([ORCHESTRATOR, ...args, '--workspace', workspace], env);
+}
+
+function projectDir(workspace, projectId) {
+  return path.join(workspace, 'swarm-projects', projectId);
+}
+
+function readTasks(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'tasks.json'), 'utf8'));
+}
+
+function readEvents(dir) {
+  return fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function readSummary(dir) {
+  return fs.readFileSync(path.join(dir, 'SWARM_SUMMARY.md'), 'utf8');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Summary of retry attempts, e.g. ['initial:failed:transient', 'backoff:success']
+const attempts = list => list.map(a => `${a.strategy}:${a.status}${a.errorType ? `:${a.errorType}` : ''}`);
+
+module.exports = {
+  FIXTURES,
+  FAULTS,
+  ORCHESTRATOR,
+  tempDir,
+  swarm,
+  replay,
+  scriptedProvider,
+  reply,
+  manifestWith,
+  fileReply,
+  outputContent,
+  teamProvider,
+  runNode,
+  runCli,
+  projectDir,
+  readTasks,
+  readEvents,
+  readSummary,
+  sleep,
+  attempts
+};
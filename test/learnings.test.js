@@ -0,0 +1,118 @@
+// The cross-run learnings store: one entry per recurring pattern, fed back into later prompts and
+// reviewed with the `learnings` command
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, tempDir, manifestWith, teamProvider, runCli, readSummary } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'] }
+]);
+
+const storePath = workspace => path.join(workspace, '.learnings', 'learnings.jsonl');
+const readStore = workspace => fs.readFileSync(storePath(workspace), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+// Write store entries, filling in the fields each one needs
+function seed(workspace, entries) {
+  fs.mkdirSync(path.dirname(storePath(workspace)), { recursive: true });
+  const at = '2026-01-01T00:00:00.000Z';
+  fs.writeFileSync(storePath(workspace), entries.map(e => JSON.stringify({
+    type: 'error', role: null, detail: '', stack: [], status: 'active', count: e.runs, projects: [], firstSeen: at, lastSeen: at, ...e
+  }) + '\n').join(''));
+}
+
+// Every message each agent was sent, joined; `failOnce` makes those roles fail their first request
+async function prompts(t, workspace, options = {}, failOnce = []) {
+  const sent = {};
+  const failed = new Set();
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    sent[params.agent] = params.messages.map(m => m.content).join('\n');
+    if (failOnce.includes(params.agent) && !failed.has(params.agent)) {
+      failed.add(params.agent);
+      throw Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+    }
+    return next(params);
+  });
+  const { result } = await swarm(t, 'Build an app', { workspace, provider, SWARM_LEARNINGS_LIMIT: 5, ...options });
+  assert.equal(result.status, 'completed');
+  return { sent, result };
+}
+
+const lessons = prompt => (prompt.match(/Lessons from earlier runs \(avoid repeating these\):\n((?:- .*\n?)*)/)?.[1] || '').trim().split('\n').filter(Boolean);
+
+test('the same pattern from two runs is one entry, fed back once it recurs', async t => {
+  const workspace = tempDir(t);
+  const first = await prompts(t, workspace, {}, ['api']);
+  const [entry] = readStore(workspace);
+  assert.equal(entry.title, 'api recovered via backoff');
+  assert.deepEqual([entry.count, entry.runs, entry.projects], [1, 1, [first.result.projectId]]);
+
+  const second = await prompts(t, workspace, {}, ['api']);
+  // Seen in one run only: not repeated yet
+  assert.deepEqual(lessons(second.sent.api), []);
+  const store = readStore(workspace);
+  assert.equal(store.length, 1);
+  assert.equal(store[0].id, entry.id);
+  assert.deepEqual([store[0].count, store[0].runs, store[0].projects], [2, 2, [first.result.projectId, second.result.projectId]]);
+  assert.deepEqual(store[0].stack, ['Express', 'React', 'JavaScript', 'Plain CSS']);
+
+  const third = await prompts(t, workspace);
+  assert.deepEqual(lessons(third.sent.api), ['- api recovered via backoff: Failed 1 time(s) (transient) before succeeding with the backoff strategy.']);
+  assert.deepEqual(lessons(third.sent.web), []);
+  assert.deepEqual(lessons(third.sent.planner), []);
+  assert.match(readSummary(third.result.outputPath), new RegExp(`- Applied from earlier runs: ${entry.id}`));
+});
+
+test('prompts get promoted entries first, then the closest stack, up to the limit', async t => {
+  const workspace = tempDir(t);
+  seed(workspace, [
+    { id: 'a0000001', agent: 'api', title: 'Promoted after one run', runs: 1, status: 'promoted' },
+    { id: 'a0000002', agent: 'api', title: 'Same stack', runs: 2, stack: ['Express', 'JavaScript'] },
+    { id: 'a0000003', agent: 'api', title: 'Recurring elsewhere', runs: 9, stack: ['Express', 'Python'] },
+    { id: 'a0000004', agent: 'api', title: 'Seen once', runs: 1 },
+    { id: 'a0000005', agent: 'api', title: 'Retired', runs: 9, status: 'retired' },
+    { id: 'a0000006', agent: 'api', title: 'Another stack', runs: 9, stack: ['Go'] },
+    { id: 'a0000007', agent: 'api', type: 'feature_request', title: 'A wish', runs: 9 },
+    { id: 'a0000008', agent: 'Orchestrator', role: 'web', title: 'For web', runs: 2 },
+    { id: 'a0000009', agent: 'Planner', title: 'For the Planner', runs: 2, detail: 'Plan\n  smaller roles' }
+  ]);
+  const { sent } = await prompts(t, workspace);
+  assert.deepEqual(lessons(sent.api), ['- Promoted after one run', '- Same stack', '- Recurring elsewhere']);
+  assert.deepEqual(lessons(sent.web), ['- For web']);
+  assert.deepEqual(lessons(sent.planner), ['- For the Planner: Plan smaller roles']);
+
+  const limited = await prompts(t, workspace, { SWARM_LEARNINGS_LIMIT: 2 });
+  assert.deepEqual(lessons(limited.sent.api), ['- Promoted after one run', '- Same stack']);
+  const disabled = await prompts(t, workspace, { SWARM_LEARNINGS_LIMIT: 0 });
+  assert.doesNotMatch(disabled.sent.api, /Lessons from earlier runs/);
+});
+
+test('the learnings command lists, shows, promotes, retires and reactivates entries', t => {
+  const workspace = tempDir(t);
+  seed(workspace, [
+    { id: 'b0000001', agent: 'Orchestrator', role: 'api', type: 'best_practice', title: 'api recovered via backoff', runs: 3 },
+    { id: 'b0000002', agent: 'web', title: 'Missing file public/app.js', runs: 1 },
+    { id: 'b0000003', agent: 'web', title: 'Old problem', runs: 5, status: 'retired' }
+  ]);
+  const list = runCli(workspace, ['learnings']).output.trim().split('\n');
+  assert.match(list[0], /^ID\s+STATUS\s+RUNS\s+SEEN\s+AGENT\s+TYPE\s+TITLE$/);
+  assert.match(list[1], /^b0000001\s+active\s+3\s+3\s+Orchestrator\/api\s+best_practice\s+api recovered via backoff$/);
+  assert.match(list[2], /^b0000002\s+active\s+1/);
+  assert.equal(list.length, 3);
+  assert.match(runCli(workspace, ['learnings', 'list', '--all']).output, /b0000003\s+retired/);
+  assert.doesNotMatch(runCli(workspace, ['learnings', 'list', '--role', 'web']).output, /b0000001/);
+
+  assert.equal(JSON.parse(runCli(workspace, ['learnings', 'show', 'b0000002']).output).title, 'Missing file public/app.js');
+  assert.match(runCli(workspace, ['learnings', 'promote', 'b0000002']).output, /^b0000002 is now promoted: Missing file public\/app\.js/);
+  assert.match(runCli(workspace, ['learnings', 'retire', 'b0000001']).output, /is now retired/);
+  assert.match(runCli(workspace, ['learnings', 'activate', 'b0000003']).output, /is now active/);
+  assert.deepEqual(readStore(workspace).map(e => e.status), ['retired', 'promoted', 'active']);
+
+  const missing = runCli(workspace, ['learnings', 'promote', 'ffffffff']);
+  assert.equal(missing.status, 1);
+  assert.match(missing.output, /No learning ffffffff in /);
+  assert.match(runCli(workspace, ['learnings', 'bogus', 'b0000001']).output, /Usage: orchestrator\.js learnings \[list/);
+  assert.match(runCli(tempDir(t), ['learnings']).output, /^No learnings in /);
+});
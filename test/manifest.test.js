@@ -0,0 +1,85 @@
+// The manifest: validateManifest's checks and the Planner's repair rounds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateManifest } = require('../orchestrator.js');
+const { swarm, manifestWith, teamProvider, reply, projectDir, readTasks, readSummary } = require('./helpers');
+
+const manifest = (overrides = {}) => ({
+  project_name: 'Todo',
+  tech_stack: { backend: 'Express', frontend: 'React', language: 'JavaScript', database: 'SQLite', css_framework: 'Plain CSS' },
+  roles: [
+    { id: 'backend-dev', name: 'BackendDev', outputs: ['server.js', 'package.json'], depends_on: [] },
+    { id: 'qa', name: 'QAEngineer', outputs: ['test/api.test.js'], depends_on: ['backend-dev'] }
+  ],
+  shared_files: ['README.md'],
+  file_owners: {},
+  ...overrides
+});
+
+test('validateManifest accepts a valid manifest', () => {
+  assert.deepEqual(validateManifest(manifest()), []);
+});
+
+test('validateManifest lists every problem', () => {
+  const errors = validateManifest(manifest({
+    tech_stack: { backend: 'Express', frontend: 'React', language: 'JavaScript', database: 'Oracle', css_framework: 'Plain CSS' },
+    roles: [
+      { id: 'backend-dev', name: 'BackendDev', outputs: ['server.js', 'package.json'], depends_on: ['qa'] },
+      { id: 'qa', name: 'QAEngineer', outputs: ['server.js', '/etc/passwd'], depends_on: ['backend-dev', 'docs'] }
+    ]
+  }));
+  assert.ok(errors.some(e => /^tech_stack\.database is "Oracle"/.test(e)), errors.join('\n'));
+  assert.ok(errors.includes('Output "server.js" is claimed by both backend-dev and qa; give it one owner (file_owners) or list it in shared_files'));
+  assert.ok(errors.includes('qa: output "/etc/passwd" must be a relative path inside the project'));
+  assert.ok(errors.includes('qa depends on unknown role "docs"'));
+  assert.ok(errors.some(e => e.startsWith('Dependency cycle: ')), errors.join('\n'));
+});
+
+const VALID = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] }
+]);
+// Both roles claim server.js and web depends on a role that does not exist
+const INVALID = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['server.js', 'public/app.js'], depends_on: ['api', 'db'] }
+]);
+
+// The Planner answers with each of `manifests` in turn; `requests` keeps what it was sent
+function planner(manifests) {
+  const requests = [];
+  const provider = teamProvider(VALID, (params, next) => {
+    if (params.agent !== 'planner') return next(params);
+    requests.push(params.messages);
+    return Promise.resolve(reply(JSON.stringify(manifests[Math.min(requests.length, manifests.length) - 1])));
+  });
+  return { requests, provider };
+}
+
+test('an invalid manifest goes back to the Planner with its problems', async t => {
+  const { requests, provider } = planner([INVALID, VALID]);
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(result.manifest.roles.map(r => r.id), ['api', 'web']);
+  assert.equal(requests.length, 2);
+  const repair = requests[1][requests[1].length - 1].content;
+  assert.match(repair, /^That manifest is invalid:/);
+  assert.match(repair, /- web depends on unknown role "db"/);
+  assert.match(repair, /- Output "server.js" is claimed by both api and web/);
+
+  const { planner: record } = readTasks(result.outputPath);
+  assert.equal(record.validation.length, 1);
+  assert.equal(record.validation[0].round, 1);
+  const summary = readSummary(result.outputPath);
+  assert.match(summary, /## Manifest Repairs\n\n\*\*Round 1:\*\*\n- /);
+  assert.match(summary, /- web depends on unknown role "db"/);
+});
+
+test('the run stops once the repair rounds are used up', async t => {
+  const { requests, provider } = planner([INVALID]);
+  const { error, workspace } = await swarm(t, 'Build an app', { provider, SWARM_PLANNER_REPAIRS: 1 });
+  assert.match(error.message, /Planner could not produce a valid manifest after 2 rounds/);
+  assert.equal(requests.length, 2);
+  const { planner: record } = readTasks(projectDir(workspace, error.projectId));
+  assert.deepEqual(record.validation.map(v => v.round), [1, 2]);
+});
@@ -0,0 +1,93 @@
+// Assembly conflicts: how a file written by several roles is resolved, and how each resolution is reported
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, manifestWith, teamProvider, fileReply, reply, readTasks, readEvents, readSummary } = require('./helpers');
+
+const PACKAGES = {
+  api: { name: 'todo', description: 'The API', scripts: { start: 'node server.js' }, dependencies: { express: '^4.18.0' }, keywords: ['api'] },
+  web: { name: 'todo', description: 'The web app', scripts: { build: 'vite build' }, dependencies: { express: '^4.19.2', react: '^18.2.0' }, keywords: ['web', 'api'] }
+};
+
+// api and web both write package.json and README.md; `readmes` gives each role's README
+function team({ readmes = { api: '# Todo\n\nAPI notes', web: '# Todo\n\nWeb notes' }, owners = {}, merger } = {}) {
+  const manifest = manifestWith([
+    { id: 'api', outputs: ['server.js', 'package.json', 'README.md'] },
+    { id: 'web', outputs: ['public/app.js', 'package.json', 'README.md'] }
+  ], { shared_files: ['package.json', 'README.md'], file_owners: owners });
+  const mergeRequests = [];
+  const provider = teamProvider(manifest, (params, next) => {
+    if (params.agent === 'merger') {
+      mergeRequests.push(params.messages[1].content);
+      return merger(params);
+    }
+    if (params.agent === 'planner') return next(params);
+    const own = params.agent === 'api' ? { 'server.js': 'module.exports = 1;' } : { 'public/app.js': 'module.exports = 2;' };
+    return Promise.resolve(reply(fileReply({ ...own, 'package.json': JSON.stringify(PACKAGES[params.agent]), 'README.md': readmes[params.agent] })));
+  });
+  return { provider, mergeRequests };
+}
+
+const conflict = (result, file) => readTasks(result.outputPath).assembly.conflicts.find(c => c.file === file);
+const read = (result, file) => fs.readFileSync(path.join(result.outputPath, file), 'utf8');
+
+test('JSON files are deep-merged; scalar clashes keep the first version and dependency ranges the higher', async t => {
+  const { provider } = team({ readmes: { api: '# Todo', web: '# Todo' } });
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(JSON.parse(read(result, 'package.json')), {
+    name: 'todo',
+    description: 'The API',
+    scripts: { start: 'node server.js', build: 'vite build' },
+    dependencies: { express: '^4.19.2', react: '^18.2.0' },
+    keywords: ['api', 'web']
+  });
+  const merged = conflict(result, 'package.json');
+  assert.equal(merged.resolution, 'json_merge');
+  assert.deepEqual(merged.notes, [
+    'description: kept "The API", dropped "The web app" from web',
+    'dependencies.express: ^4.18.0 vs ^4.19.2 (web) → ^4.19.2'
+  ]);
+  // Identical copies are not a conflict
+  assert.equal(conflict(result, 'README.md'), undefined);
+  assert.equal(read(result, 'README.md'), '# Todo');
+  assert.match(fs.readFileSync(path.join(result.outputPath, 'DECISIONS.md'), 'utf8'), /Resolved conflict on package\.json \(api, web\) by json_merge/);
+});
+
+test('the file owner wins: its JSON values first, its text as is', async t => {
+  const { provider, mergeRequests } = team({ owners: { 'package.json': 'web', 'README.md': 'web' }, merger: () => assert.fail('no merge') });
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(JSON.parse(read(result, 'package.json')).description, 'The web app');
+  assert.equal(read(result, 'README.md'), '# Todo\n\nWeb notes');
+  assert.equal(conflict(result, 'README.md').resolution, 'owner (web)');
+  assert.deepEqual(conflict(result, 'README.md').notes, ['Dropped versions from api']);
+  assert.deepEqual(mergeRequests, []);
+  assert.match(readSummary(result.outputPath), /\| `README\.md` \| api, web \| owner \(web\) \| Dropped versions from api \|/);
+});
+
+test('text without an owner goes through a model merge', async t => {
+  const { provider, mergeRequests } = team({ merger: () => Promise.resolve(reply(fileReply({ 'README.md': '# Todo\n\nAPI notes\n\nWeb notes' }))) });
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(read(result, 'README.md'), '# Todo\n\nAPI notes\n\nWeb notes');
+  assert.equal(conflict(result, 'README.md').resolution, 'model_merge');
+  assert.equal(mergeRequests.length, 1);
+  assert.match(mergeRequests[0], /Version from api:\n=== FILE: README\.md ===\n# Todo\n\nAPI notes\n=== END FILE ===\n\nVersion from web:/);
+  assert.doesNotMatch(readSummary(result.outputPath), /WARNING/);
+});
+
+test('a failed model merge keeps the last writer and warns in the summary and the events', async t => {
+  const { provider } = team({ merger: async () => { throw Object.assign(new Error('Model not found'), { statusCode: 404 }); } });
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(result.status, 'completed');
+  assert.equal(read(result, 'README.md'), '# Todo\n\nWeb notes');
+  const merged = conflict(result, 'README.md');
+  assert.equal(merged.resolution, 'last writer (web)');
+  assert.match(merged.warning, /^Model merge failed \(.*Model not found.*\); kept web's version and dropped api's$/);
+
+  const summary = readSummary(result.outputPath);
+  assert.match(summary, /## Assembly Conflicts\n[\s\S]*\*\*WARNING:\*\* `README\.md`: Model merge failed .*dropped api's\. Check it by hand\./);
+  const warnings = readEvents(result.outputPath).filter(e => e.type === 'assembly_warning');
+  assert.deepEqual(warnings.map(e => [e.file, e.roles, e.warning]), [['README.md', ['api', 'web'], merged.warning]]);
+  assert.match(fs.readFileSync(path.join(result.outputPath, '.learnings', 'ERRORS.md'), 'utf8'), /Merge of README\.md failed/);
+});
@@ -0,0 +1,114 @@
+// executeManifest: independent roles run side by side, never more than `concurrency` at once
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, tempDir, manifestWith, teamProvider, readTasks, readEvents, readSummary, sleep } = require('./helpers');
+
+// Four independent roles and one that waits for two of them
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'] },
+  { id: 'jobs', outputs: ['jobs.js'] },
+  { id: 'docs', outputs: ['docs/guide.js'] },
+  { id: 'tests', outputs: ['test/api.test.js'], depends_on: ['api', 'web'] }
+]);
+
+// Workers take `delay` ms (per role if a function); the provider counts how many are in flight
+function slowTeam(delay, answer = (params, next) => next(params)) {
+  const calls = { inFlight: 0, max: 0, order: [] };
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    if (params.agent === 'planner') return next(params);
+    calls.order.push(params.agent);
+    calls.inFlight++;
+    calls.max = Math.max(calls.max, calls.inFlight);
+    try {
+      await sleep(typeof delay === 'function' ? delay(params.agent) : delay);
+      return await answer(params, next);
+    } finally {
+      calls.inFlight--;
+    }
+  });
+  return { calls, provider };
+}
+
+// Most roles running at once according to role_started and role_succeeded/failed events
+function peakRunning(events) {
+  let running = 0;
+  let peak = 0;
+  events.forEach(e => {
+    if (e.type === 'role_started') peak = Math.max(peak, ++running);
+    if (['role_succeeded', 'role_failed', 'role_cancelled'].includes(e.type)) running--;
+  });
+  return peak;
+}
+
+const indexOf = (events, type, role) => events.findIndex(e => e.type === type && e.role === role);
+
+[1, 2, 3].forEach(concurrency => {
+  test(`concurrency ${concurrency}: independent roles overlap up to the limit`, async t => {
+    const { calls, provider } = slowTeam(40);
+    const { result } = await swarm(t, 'Build an app', { provider, concurrency });
+    assert.equal(result.status, 'completed');
+    assert.equal(calls.max, concurrency);
+    const events = readEvents(result.outputPath);
+    assert.equal(peakRunning(events), concurrency);
+    // A dependent role starts only after both of its dependencies finished
+    const started = indexOf(events, 'role_started', 'tests');
+    assert.ok(started > indexOf(events, 'role_succeeded', 'api') && started > indexOf(events, 'role_succeeded', 'web'));
+  });
+});
+
+test('a role waits for its dependencies even with free slots', async t => {
+  const { calls, provider } = slowTeam(role => role === 'api' ? 80 : 10);
+  const { result } = await swarm(t, 'Build an app', { provider, concurrency: 5 });
+  assert.equal(result.status, 'completed');
+  assert.equal(calls.max, 4);
+  assert.equal(calls.order[calls.order.length - 1], 'tests');
+});
+
+test('a failing role stops new work, lets running roles finish and keeps the summary', async t => {
+  const { provider } = slowTeam(role => role === 'api' ? 60 : 10, (params, next) => {
+    if (params.agent === 'web') throw Object.assign(new Error('Model not found'), { statusCode: 404 });
+    return next(params);
+  });
+  const { error, workspace } = await swarm(t, 'Build an app', { provider, concurrency: 2 });
+  assert.match(error.message, /Model not found/);
+  const dir = path.join(workspace, 'swarm-projects', error.projectId);
+  const tasksDB = readTasks(dir);
+  assert.equal(tasksDB.status, 'failed');
+  assert.deepEqual(tasksDB.tasks.map(t => [t.roleId, t.status]).sort(), [['api', 'done'], ['web', 'failed']]);
+  assert.deepEqual(tasksDB.completed, ['api']);
+  const started = readEvents(dir).filter(e => e.type === 'role_started').map(e => e.role).sort();
+  assert.deepEqual(started, ['api', 'web']);
+  assert.match(readSummary(dir), /\*\*Status:\*\* failed/);
+  assert.match(readSummary(dir), /\| Web \(web\) \| ✗ failed \|/);
+  assert.match(readSummary(dir), /\| Jobs \(jobs\) \| ○ not_run \|/);
+});
+
+test('a role whose bookkeeping throws fails alone; the others drain and the summary is written', async t => {
+  const workspace = tempDir(t);
+  let tasksPath;
+  // Turn tasks.json's temp file into a directory while the quick role finishes, so saving it fails
+  // once; the directory is gone before the slower role saves
+  const hooks = {
+    run_started: e => { tasksPath = path.join(workspace, 'swarm-projects', e.projectId, 'tasks.json'); },
+    file_written: e => {
+      if (e.role !== 'web') return;
+      const tmp = `${tasksPath}.${process.pid}.tmp`;
+      fs.mkdirSync(tmp, { recursive: true });
+      setImmediate(() => fs.rmSync(tmp, { recursive: true, force: true }));
+    }
+  };
+  const { provider } = slowTeam(role => role === 'api' ? 60 : 0);
+  const { error } = await swarm(t, 'Build an app', { provider, concurrency: 2, hooks, workspace });
+  assert.equal(error.code, 'EISDIR');
+  const dir = path.join(workspace, 'swarm-projects', error.projectId);
+  const tasksDB = readTasks(dir);
+  assert.equal(tasksDB.status, 'failed');
+  assert.deepEqual(tasksDB.completed, ['api']);
+  assert.equal(tasksDB.tasks.find(t => t.roleId === 'web').status, 'failed');
+  assert.equal(tasksDB.tasks.find(t => t.roleId === 'api').status, 'done');
+  assert.match(readSummary(dir), /\| Web \(web\) \| ✗ failed \| - \| - \| Error: EISDIR/);
+  assert.match(readSummary(dir), /\| Api \(api\) \| ✓ success \|/);
+});
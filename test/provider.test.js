@@ -0,0 +1,88 @@
+// createOpenAICompatibleProvider against a local server speaking the chat completions API
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createOpenAICompatibleProvider } = require('../orchestrator.js');
+const { sleep } = require('./helpers');
+
+// A server whose handler(req, body, res) answers each request; resolves to { provider, requests }
+async function serve(t, handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => body += c);
+    req.on('end', () => {
+      requests.push({ headers: req.headers, url: req.url, body: JSON.parse(body) });
+      handler(req, body, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const provider = createOpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    apiKey: 'sk-test',
+    headers: { 'X-Title': 'Swarm' }
+  });
+  return { provider, requests };
+}
+
+const completion = content => ({
+  model: 'local-model',
+  choices: [{ message: { content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 3, completion_tokens: 4 }
+});
+
+const request = { messages: [{ role: 'user', content: 'Hi' }], model: 'local-model', temperature: 0.2, maxTokens: 100 };
+
+test('sends the request and reads the reply', async t => {
+  const { provider, requests } = await serve(t, (req, body, res) => res.end(JSON.stringify(completion('Hello'))));
+  const response = await provider.complete(request);
+  assert.deepEqual(response, { content: 'Hello', finishReason: 'stop', usage: { prompt_tokens: 3, completion_tokens: 4 }, model: 'local-model' });
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+  assert.equal(requests[0].headers['x-title'], 'Swarm');
+  assert.deepEqual(requests[0].body, { model: 'local-model', messages: request.messages, temperature: 0.2, max_tokens: 100 });
+});
+
+test('a multibyte character split across chunks arrives whole', async t => {
+  const content = 'Café ☕ and 日本語 🚀';
+  const bytes = Buffer.from(JSON.stringify(completion(content)));
+  const { provider } = await serve(t, async (req, body, res) => {
+    // One byte per chunk, so every multibyte character is split
+    for (let i = 0; i < bytes.length; i++) {
+      res.write(bytes.subarray(i, i + 1));
+      if (bytes[i] >= 0x80) await sleep(1);
+    }
+    res.end();
+  });
+  assert.equal((await provider.complete(request)).content, content);
+});
+
+test('errors keep the status code the retry policy classifies', async t => {
+  const replies = [
+    [502, '<html>Bad gateway</html>'],
+    [429, JSON.stringify({ error: { code: 429, message: 'Rate limited' } })],
+    [200, JSON.stringify({ error: { message: 'Upstream failed' } })],
+    [200, JSON.stringify({ choices: [] })]
+  ];
+  const { provider } = await serve(t, (req, body, res) => {
+    const [status, text] = replies.shift();
+    res.writeHead(status);
+    res.end(text);
+  });
+  await assert.rejects(provider.complete(request), { message: 'Invalid response from local (HTTP 502)', statusCode: 502 });
+  await assert.rejects(provider.complete(request), { message: /Rate limited/, statusCode: 429 });
+  await assert.rejects(provider.complete(request), { message: /Upstream failed/, statusCode: 200 });
+  await assert.rejects(provider.complete(request), { message: 'Unexpected response from local (HTTP 200)', statusCode: 200 });
+});
+
+test('aborting the signal cancels the request in flight', async t => {
+  const { provider, requests } = await serve(t, () => {});
+  const controller = new AbortController();
+  const pending = provider.complete({ ...request, signal: controller.signal });
+  while (!requests.length) await sleep(5);
+  controller.abort(Object.assign(new Error('Request timed out'), { timeout: true }));
+  await assert.rejects(pending, { message: 'Request timed out', timeout: true });
+  await assert.rejects(provider.complete({ ...request, signal: controller.signal }), /Request timed out/);
+});
@@ -0,0 +1,87 @@
+// Recording runs and replaying them offline, as recorded, from another prompt and with a scripted
+// reply. The other fault scripts are exercised by the tests of what they hit (retry.test.js,
+// continuation.test.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, replay, tempDir, attempts, FIXTURES, FAULTS } = require('./helpers');
+
+const ROLES = ['backend-dev', 'blockchain-dev', 'devops', 'frontend-dev', 'qa'];
+const task = (result, roleId) => result.tasks.find(t => t.roleId === roleId);
+
+// Every fixture in a recording directory, by agent
+function fixtures(dir) {
+  return Object.fromEntries(fs.readdirSync(dir).sort().map(agent => [
+    agent,
+    fs.readdirSync(path.join(dir, agent)).map(file => JSON.parse(fs.readFileSync(path.join(dir, agent, file), 'utf8')))
+  ]));
+}
+
+test('replays the recording exactly', async t => {
+  const { result } = await replay(t, null, { SWARM_REPLAY_STRICT: 1 });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(result.tasks.map(t => t.roleId).sort(), ROLES);
+  result.tasks.forEach(t => {
+    assert.deepEqual(t.missing, [], `${t.roleId} delivered its outputs`);
+    assert.deepEqual(t.violations, [], `${t.roleId} wrote only its own files`);
+    assert.deepEqual(attempts(t.attempts), ['initial:success']);
+  });
+  ['server.js', 'package.json', 'test/api.test.js', 'public/index.html', 'privy-config.js', 'Dockerfile', 'README.md', 'SWARM_SUMMARY.md'].forEach(file => {
+    assert.ok(fs.existsSync(path.join(result.outputPath, file)), `${file} is assembled`);
+  });
+});
+
+test('reply: a scripted reply replaces the recording and its gaps are reported', async t => {
+  const { result } = await replay(t, 'reply');
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(task(result, 'devops').files, ['Dockerfile']);
+  assert.deepEqual(task(result, 'devops').missing, ['docker-compose.yml']);
+  assert.match(fs.readFileSync(path.join(result.outputPath, 'Dockerfile'), 'utf8'), /^FROM node:20-alpine/);
+});
+
+test('record saves every call of a run, and a strict replay rebuilds the same project', async t => {
+  const dir = tempDir(t);
+  const recorded = (await swarm(t, 'Build a todo API', { provider: 'mock', recordDir: dir })).result;
+  assert.equal(recorded.status, 'completed');
+  const saved = fixtures(dir);
+  assert.deepEqual(Object.keys(saved), [...ROLES, 'planner'].sort());
+  Object.entries(saved).forEach(([agent, [fixture, ...more]]) => {
+    assert.deepEqual(more, [], `${agent} was called once`);
+    assert.equal(fixture.agent, agent);
+    assert.equal(fixture.call, 1);
+    assert.match(fixture.key, /^[0-9a-f]{16}$/);
+    assert.equal(fixture.messages[0].role, 'system');
+    assert.equal(typeof fixture.response.content, 'string');
+  });
+
+  const { result } = await swarm(t, 'Build a todo API', { replayDir: dir, SWARM_REPLAY_STRICT: 1 });
+  assert.equal(result.status, 'completed');
+  ['server.js', 'package.json', 'public/index.html', 'Dockerfile'].forEach(file => {
+    assert.equal(fs.readFileSync(path.join(result.outputPath, file), 'utf8'), fs.readFileSync(path.join(recorded.outputPath, file), 'utf8'), file);
+  });
+});
+
+test('a prompt that was not recorded replays the same call, or fails when strict', async t => {
+  const lines = [];
+  const { result } = await replay(t, null, { logger: line => lines.push(line) });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(lines.filter(line => line.includes('Replay:')), []);
+
+  const other = await swarm(t, 'Build a todo app', { replayDir: FIXTURES, logger: line => lines.push(line) });
+  assert.equal(other.result.status, 'completed');
+  const fallbacks = lines.filter(line => line.includes('Replay:'));
+  assert.equal(fallbacks.length, ROLES.length + 1);
+  assert.match(fallbacks[0], /Replay: planner prompt [0-9a-f]{16} was not recorded; using call 1 of the recording/);
+
+  const strict = await swarm(t, 'Build a todo app', { replayDir: FIXTURES, SWARM_REPLAY_STRICT: 1 });
+  assert.match(strict.error.message, /^No fixture for planner \(prompt [0-9a-f]{16}, call 1\) in .*todo-api$/);
+});
+
+test('faults apply in front of the recorder, so a scripted reply is not recorded', async t => {
+  const dir = tempDir(t);
+  const { result } = await swarm(t, 'Build a todo API', { provider: 'mock', recordDir: dir, faults: path.join(FAULTS, 'reply.yaml') });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(task(result, 'devops').files, ['Dockerfile']);
+  assert.deepEqual(Object.keys(fixtures(dir)), ROLES.filter(role => role !== 'devops').concat('planner').sort());
+});
@@ -0,0 +1,80 @@
+// Resuming a failed or planned run from its tasks.json
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { swarm, tempDir, manifestWith, teamProvider, runCli, projectDir, readTasks, readEvents, readSummary } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'], depends_on: ['api'] },
+  { id: 'jobs', outputs: ['jobs.js'] },
+  { id: 'tests', outputs: ['test/api.test.js'], depends_on: ['api', 'web'] }
+]);
+
+// A team whose `failing` role answers with a fatal error; `calls` lists every agent asked
+function team(failing = null) {
+  const calls = [];
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    calls.push(params.agent);
+    if (params.agent === failing) throw Object.assign(new Error('Invalid request'), { statusCode: 400 });
+    return next(params);
+  });
+  return { calls, provider };
+}
+
+test('resume re-runs only what did not finish and keeps the rest of tasks.json', async t => {
+  const workspace = tempDir(t);
+  const first = team('web');
+  const { error } = await swarm(t, 'Build an app', { workspace, provider: first.provider, concurrency: 1 });
+  assert.match(error.message, /Invalid request/);
+  const dir = projectDir(workspace, error.projectId);
+  const failed = readTasks(dir);
+  assert.equal(failed.status, 'failed');
+  assert.deepEqual(failed.completed, ['api', 'jobs']);
+  assert.deepEqual(first.calls, ['planner', 'api', 'jobs', 'web']);
+  const apiTask = failed.tasks.find(t => t.roleId === 'api');
+
+  const second = team();
+  const { result } = await swarm(t, null, { workspace, provider: second.provider, concurrency: 1, resume: error.projectId });
+  assert.equal(result.status, 'completed');
+  assert.equal(result.projectId, error.projectId);
+  // Neither the Planner nor the finished role is asked again
+  assert.deepEqual(second.calls, ['web', 'tests']);
+
+  const tasksDB = readTasks(dir);
+  assert.equal(tasksDB.status, 'completed');
+  assert.deepEqual(tasksDB.completed, ['api', 'jobs', 'web', 'tests']);
+  assert.equal(tasksDB.resumedAt.length, 1);
+  assert.deepEqual(tasksDB.tasks.find(t => t.roleId === 'api'), apiTask);
+  assert.deepEqual(tasksDB.planner.attempts, failed.planner.attempts);
+  // The failed attempt is replaced by the one that succeeded
+  assert.deepEqual(tasksDB.tasks.filter(t => t.roleId === 'web').map(t => t.status), ['done']);
+  // Usage counts both runs
+  assert.deepEqual(tasksDB.usage.calls.map(c => c.agent), ['planner', 'api', 'jobs', 'web', 'tests']);
+
+  const skipped = readEvents(dir).filter(e => e.type === 'role_skipped');
+  assert.deepEqual(skipped.map(e => [e.role, e.reason]), [['api', 'completed'], ['jobs', 'completed']]);
+  const summary = readSummary(dir);
+  assert.match(summary, /\*\*Resumed:\*\* yes/);
+  assert.match(summary, /\| Api \(api\) \| ✓ success \| 2 \| 1 \| From previous run \|/);
+  assert.ok(fs.existsSync(`${dir}/public/app.js`));
+});
+
+test('resume executes a run that was only planned', async t => {
+  const workspace = tempDir(t);
+  const planned = runCli(workspace, ['plan', 'Build a todo API'], { MOCK: '1' });
+  assert.equal(planned.status, 0, planned.output);
+  const projectId = planned.output.match(/orchestrator\.js resume (swarm-[\w-]+)/)[1];
+  assert.equal(readTasks(projectDir(workspace, projectId)).status, 'planned');
+
+  const resumed = runCli(workspace, ['resume', projectId], { MOCK: '1' });
+  assert.equal(resumed.status, 0, resumed.output);
+  const dir = projectDir(workspace, projectId);
+  assert.equal(readTasks(dir).status, 'completed');
+  assert.equal(readEvents(dir).filter(e => e.type === 'planner_started').length, 1);
+});
+
+test('resume refuses a run that does not exist', async t => {
+  const { error } = await swarm(t, null, { provider: 'mock', resume: 'swarm-missing' });
+  assert.match(error.message, /Cannot resume swarm-missing: .*tasks\.json not found/);
+});
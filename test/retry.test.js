@@ -0,0 +1,80 @@
+// Retry policy: failures are classified, retried with backoff or a degraded request, or not at all
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replay, swarm, manifestWith, teamProvider, fileReply, outputContent, reply, projectDir, readTasks, readSummary, attempts } = require('./helpers');
+
+const task = (result, roleId) => result.tasks.find(t => t.roleId === roleId);
+
+test('error: a 5xx reply is retried with backoff', async t => {
+  const { result } = await replay(t, 'error');
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'backend-dev').attempts), ['initial:failed:transient', 'backoff:success']);
+});
+
+test('error: a 401 is not retried and stops the run', async t => {
+  const { workspace, error } = await replay(t, 'auth-error');
+  assert.match(error.message, /Injected HTTP 401/);
+  const tasksDB = readTasks(projectDir(workspace, error.projectId));
+  assert.equal(tasksDB.status, 'failed');
+  assert.deepEqual(tasksDB.completed, []);
+  assert.deepEqual(attempts(tasksDB.tasks.find(t => t.roleId === 'backend-dev').attempts), ['initial:failed:fatal']);
+});
+
+test('network: a connection reset is retried', async t => {
+  const { result } = await replay(t, 'network');
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'qa').attempts), ['initial:failed:transient', 'backoff:success']);
+});
+
+test('timeout: a timed-out request is retried', async t => {
+  const { result } = await replay(t, 'timeout');
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'devops').attempts), ['initial:failed:timeout', 'backoff:success']);
+});
+
+test('malformed_json: the Planner is asked again for strict JSON', async t => {
+  const { result } = await replay(t, 'malformed_json');
+  assert.equal(result.status, 'completed');
+  const tasksDB = readTasks(result.outputPath);
+  assert.deepEqual(attempts(tasksDB.planner.attempts), ['initial:failed:invalid_json', 'strict_json:success']);
+  assert.equal(result.manifest.roles.length, 5);
+});
+
+test('no_file_blocks: a prose reply is retried with a format reminder', async t => {
+  const { result } = await replay(t, 'no_file_blocks');
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'blockchain-dev').attempts), ['initial:failed:no_file_blocks', 'format_reminder:success']);
+  assert.deepEqual(task(result, 'blockchain-dev').files, ['privy-config.js']);
+});
+
+const MANIFEST = manifestWith([{ id: 'api', outputs: ['server.js', 'package.json', 'routes.js'] }]);
+
+test('two prose replies in a row switch to one request per output file', async t => {
+  const requests = [];
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    if (params.agent !== 'api') return next(params);
+    requests.push(params.messages[1].content);
+    if (requests.length <= 2) return reply('The server lives in server.js and the routes in routes.js.');
+    // Asked for a single file: answer with just that one
+    const file = params.messages[1].content.match(/write ONLY the file (\S+) /)[1];
+    return reply(fileReply({ [file]: outputContent(file, 'api') }));
+  });
+  const { result } = await swarm(t, 'Build an app', { provider });
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(attempts(task(result, 'api').attempts), ['initial:failed:no_file_blocks', 'format_reminder:failed:no_file_blocks', 'split_outputs:success']);
+  assert.equal(requests.length, 5);
+  assert.match(requests[1], /IMPORTANT: Your previous answer could not be parsed/);
+  assert.deepEqual(task(result, 'api').files, ['server.js', 'package.json', 'routes.js']);
+});
+
+test('a role fails once its retries are used up, with every attempt recorded', async t => {
+  const provider = teamProvider(MANIFEST, async (params, next) => {
+    if (params.agent === 'api') throw Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+    return next(params);
+  });
+  const { error, workspace } = await swarm(t, 'Build an app', { provider, SWARM_MAX_RETRIES: 1 });
+  assert.match(error.message, /Service unavailable/);
+  const dir = projectDir(workspace, error.projectId);
+  assert.deepEqual(attempts(readTasks(dir).tasks[0].attempts), ['initial:failed:transient', 'backoff:failed:transient']);
+  assert.match(readSummary(dir), /\| api \| 2 \| backoff \| ✗ transient \| Service unavailable \|/);
+});
@@ -0,0 +1,91 @@
+// The role registry: built-in definitions in roles/, custom ones from SWARM_ROLES_DIR
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, tempDir, manifestWith, teamProvider } = require('./helpers');
+
+// A roles directory holding `files` ({ name: yaml })
+function rolesDir(t, files) {
+  const dir = tempDir(t);
+  Object.entries(files).forEach(([name, yaml]) => fs.writeFileSync(path.join(dir, name), yaml));
+  return dir;
+}
+
+const DATA_ENGINEER = `id: data-engineer
+name: DataEngineer
+description: ETL jobs
+include_when: the prompt mentions data pipelines
+triggers: [ETL, pipeline]
+outputs: [etl/load.js]
+depends_on: [backend-dev]
+prompt: |
+  Write the ETL jobs in {{outputs}}.
+  Load everything into {{tech.database}} for {{project_name}}.
+`;
+
+const QA_OVERRIDE = `id: qa
+name: QAEngineer
+include_when: always
+outputs: [test/smoke.test.js]
+prompt: Write one smoke test with {{stack.test_framework}}.
+`;
+
+// The system prompts the Planner and each role are sent
+async function systemPrompts(t, options) {
+  const prompts = {};
+  const manifest = manifestWith([
+    { id: 'backend-dev', outputs: ['server.js', 'package.json'] },
+    { id: 'data-engineer', outputs: ['etl/load.js'] },
+    { id: 'qa', outputs: ['test/smoke.test.js'] }
+  ], { project_name: 'Warehouse' });
+  manifest.tech_stack.database = 'Postgres';
+  const provider = teamProvider(manifest, (params, next) => {
+    prompts[params.agent] = params.messages[0].content;
+    return next(params);
+  });
+  const { result, error } = await swarm(t, 'Build an ETL service for sales data', { provider, ...options });
+  return { prompts, result, error };
+}
+
+test('a custom role is offered to the Planner and its prompt is rendered for the stack', async t => {
+  const { prompts, result } = await systemPrompts(t, { rolesDir: rolesDir(t, { 'data-engineer.yaml': DATA_ENGINEER }) });
+  assert.equal(result.status, 'completed');
+  assert.match(prompts.planner, /- data-engineer \(DataEngineer: ETL jobs\)\. Include when the prompt mentions data pipelines\. Typical outputs: etl\/load\.js; usually depends on backend-dev\./);
+  assert.match(prompts.planner, /- This prompt requires: data-engineer \(mentions ETL\)\./);
+  // Built-in roles are still there
+  assert.match(prompts.planner, /- backend-dev \(/);
+  assert.match(prompts['data-engineer'], /Write the ETL jobs in etl\/load\.js\.\nLoad everything into Postgres for Warehouse\.$/);
+});
+
+test('a definition with a built-in id replaces the built-in role', async t => {
+  const { prompts, result } = await systemPrompts(t, { rolesDir: rolesDir(t, { 'qa.yaml': QA_OVERRIDE }) });
+  assert.equal(result.status, 'completed');
+  assert.equal(prompts.planner.match(/^- qa \(/gm).length, 1);
+  assert.match(prompts.planner, /- qa \(QAEngineer\)\. Always include\. Typical outputs: test\/smoke\.test\.js\./);
+  assert.match(prompts.qa, /Write one smoke test with Jest, Mocha or node:test, run by the "test" script in package\.json\.$/);
+  assert.doesNotMatch(prompts.qa, /Test at least 2 API endpoints/);
+  // A role with no definition gets the generic instructions
+  assert.match(prompts['data-engineer'], /Implement your assigned files according to the manifest\.$/);
+});
+
+test('malformed role definitions fail the run with the file and every problem', async t => {
+  const dir = rolesDir(t, { 'broken.yaml': 'id: Data_Engineer\noutputs: etl/load.js\ntriggers: [1, 2]\n' });
+  const { error } = await systemPrompts(t, { rolesDir: dir });
+  assert.equal(error.message, [
+    `Invalid role definition ${path.join(dir, 'broken.yaml')}:`,
+    '  - id must be a kebab-case string (got "Data_Engineer")',
+    '  - name must be a non-empty string',
+    '  - prompt must be a non-empty string',
+    '  - outputs must be a list of file paths',
+    '  - triggers must be a list of strings'
+  ].join('\n'));
+  assert.deepEqual(error.validationErrors.length, 5);
+
+  const list = await systemPrompts(t, { rolesDir: rolesDir(t, { 'list.json': '["qa"]' }) });
+  assert.match(list.error.message, /Invalid role definition .*list\.json:\n  - must be a mapping/);
+  const anchors = await systemPrompts(t, { rolesDir: rolesDir(t, { 'qa.yaml': QA_OVERRIDE.replace('name: QAEngineer', 'name: &n QAEngineer') }) });
+  assert.match(anchors.error.message, /qa\.yaml.*line 2/);
+  const missing = await systemPrompts(t, { rolesDir: path.join(dir, 'nope') });
+  assert.match(missing.error.message, /^Roles directory not found: .*nope$/);
+});
@@ -0,0 +1,85 @@
+// The file sandbox: where worker FILE blocks may be written, and what happens to the rest
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseWorkerOutput } = require('../orchestrator.js');
+const { swarm, tempDir, manifestWith, teamProvider, fileReply, outputContent, reply, readSummary } = require('./helpers');
+
+test('parseWorkerOutput writes declared files and reports the rest', t => {
+  const roleDir = tempDir(t);
+  const output = [
+    '=== FILE: server.js ===\nconsole.log(1);\n=== END FILE ===',
+    '=== FILE: ./lib/db.js ===\nmodule.exports = {};\n=== END FILE ===',
+    '=== FILE: ../escape.js ===\nx\n=== END FILE ===',
+    '=== FILE: raw.txt ===\nx\n=== END FILE ==='
+  ].join('\n\n');
+  const { files, violations } = parseWorkerOutput(output, roleDir, ['server.js']);
+  assert.deepEqual(files, ['server.js']);
+  assert.equal(fs.readFileSync(path.join(roleDir, 'server.js'), 'utf8'), 'console.log(1);');
+  assert.ok(fs.existsSync(path.join(roleDir, '.quarantine', 'lib', 'db.js')));
+  assert.deepEqual(violations.map(v => `${v.file} ${v.rule} ${v.action}`), [
+    'lib/db.js undeclared quarantined',
+    '../escape.js path_escape rejected',
+    'raw.txt reserved rejected'
+  ]);
+  assert.throws(() => parseWorkerOutput('Here are the files.', roleDir), /No file blocks found/);
+});
+
+test('parseWorkerOutput rejects symlinked targets, binary content and oversized files', t => {
+  const roleDir = tempDir(t);
+  const outside = tempDir(t);
+  fs.symlinkSync(outside, path.join(roleDir, 'lib'));
+  const output = fileReply({
+    'lib/db.js': 'module.exports = {};',
+    'logo.png': '\u0000PNG\u0001\u0002',
+    'data.json': 'x'.repeat(512 * 1024 + 1),
+    'server.js': 'ok'
+  });
+  const { files, violations } = parseWorkerOutput(output, roleDir, ['lib/db.js', 'logo.png', 'data.json', 'server.js']);
+  assert.deepEqual(files, ['server.js']);
+  assert.deepEqual(violations.map(v => `${v.file} ${v.rule} ${v.action}`), [
+    'lib/db.js symlink rejected',
+    'logo.png binary rejected',
+    'data.json oversized rejected'
+  ]);
+  assert.deepEqual(fs.readdirSync(outside), []);
+});
+
+const MANIFEST = manifestWith([{ id: 'api', outputs: ['server.js', 'package.json'] }]);
+
+// The api role also writes a file it does not own and one outside its directory
+const provider = () => teamProvider(MANIFEST, (params, next) => {
+  if (params.agent !== 'api') return next(params);
+  return Promise.resolve(reply(fileReply({
+    'server.js': outputContent('server.js', 'api'),
+    'package.json': outputContent('package.json', 'api'),
+    'lib/extra.js': 'module.exports = 1;',
+    '../../.env': 'OPENAI_API_KEY=stolen'
+  })));
+});
+
+['quarantine', 'reject', 'allow'].forEach(policy => {
+  test(`undeclared files under the ${policy} policy, with every violation in ERRORS.md and the summary`, async t => {
+    const { workspace, result } = await swarm(t, 'Build an app', { provider: provider(), SWARM_UNDECLARED_FILES: policy });
+    assert.equal(result.status, 'completed');
+    const action = { quarantine: 'quarantined', reject: 'rejected', allow: 'allowed' }[policy];
+    assert.deepEqual(result.tasks[0].violations.map(v => `${v.file} ${v.rule} ${v.action}`), [
+      `lib/extra.js undeclared ${action}`,
+      '../../.env path_escape rejected'
+    ]);
+    assert.equal(fs.existsSync(path.join(workspace, '.env')), false);
+    assert.equal(fs.existsSync(path.join(result.outputPath, 'files', '.env')), false);
+    // Only allowed files are assembled; quarantined ones stay under the role's directory
+    assert.equal(fs.existsSync(path.join(result.outputPath, 'lib/extra.js')), policy === 'allow');
+    assert.equal(fs.existsSync(path.join(result.outputPath, 'files/api/.quarantine/lib/extra.js')), policy === 'quarantine');
+
+    const summary = readSummary(result.outputPath);
+    assert.match(summary, new RegExp(`Undeclared files policy: \`${policy}\``));
+    assert.match(summary, new RegExp(`\\| api \\| \`lib/extra\\.js\` \\| undeclared \\| ${action} \\|`));
+    assert.match(summary, /\| api \| `\.\.\/\.\.\/\.env` \| path_escape \| rejected \|/);
+    const errors = fs.readFileSync(path.join(result.outputPath, '.learnings', 'ERRORS.md'), 'utf8');
+    assert.match(errors, new RegExp(`File policy: undeclared — lib/extra\\.js ${action}`));
+    assert.match(errors, /File policy: path_escape — \.\.\/\.\.\/\.env rejected/);
+  });
+});
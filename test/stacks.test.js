@@ -0,0 +1,132 @@
+// Stack profiles: a Python, Go or Rust run goes through planning, the manifest's stack check, the
+// worker prompts, the README and the verification commands of its own language
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateManifest } = require('../orchestrator.js');
+const { swarm, tempDir, scriptedProvider, reply, readTasks } = require('./helpers');
+
+const STACKS = [
+  {
+    name: 'Python',
+    prompt: 'Build a Privy dashboard API in Python with FastAPI',
+    tech: { backend: 'FastAPI', language: 'Python' },
+    dependencies: 'pyproject.toml or requirements.txt',
+    files: ['app/main.py', 'pyproject.toml', 'tests/test_api.py'],
+    commands: [/^python3 -m venv \.venv && \.venv\/bin\/pip install -e "\.\[test\]"$/, /^\.venv\/bin\/python -m pytest -q (--ignore=\S+ ?)+$/],
+    calls: [/^python3 -m venv \.venv$/, /^pip install -e \.\[test\]$/, /^python -m pytest -q --ignore=files /]
+  },
+  {
+    name: 'Go',
+    prompt: 'Build a Privy dashboard API in Go',
+    tech: { backend: 'Go', language: 'Go' },
+    dependencies: 'go.mod',
+    files: ['main.go', 'go.mod', 'main_test.go'],
+    commands: [/^go mod download$/, /^go test \$\(go list \.\/\.\.\. \| grep -v -E '\/\(files\|[^']+\)\(\/\|\$\)'\)$/],
+    calls: [/^go mod download$/, /^go list \.\/\.\.\.$/, /^go test privy-dashboard$/]
+  },
+  {
+    name: 'Rust',
+    prompt: 'Build a Privy dashboard API in Rust',
+    tech: { backend: 'Rust', language: 'Rust' },
+    dependencies: 'Cargo.toml',
+    files: ['src/main.rs', 'src/lib.rs', 'Cargo.toml', 'tests/api.rs'],
+    commands: [/^cargo fetch$/, /^cargo test$/],
+    calls: [/^cargo fetch$/, /^cargo test$/]
+  }
+];
+
+// Stand-ins for python3, go and cargo, first on PATH: each logs its command line and exits 0
+// (python3 -m venv also makes the .venv/bin/pip and python the Python commands run; go list
+// names one package). Returns a function reading the logged calls.
+function stubTools(t) {
+  const bin = tempDir(t);
+  const log = path.join(bin, 'calls.log');
+  const stub = path.join(bin, 'stub');
+  fs.writeFileSync(stub, `#!/bin/sh
+echo "$(basename "$0") $*" >> '${log}'
+if [ "$1 $2" = "-m venv" ]; then mkdir -p "$3/bin" && ln -sf '${stub}' "$3/bin/pip" && ln -sf '${stub}' "$3/bin/python"; fi
+if [ "$1" = list ]; then echo privy-dashboard; fi
+exit 0
+`, { mode: 0o755 });
+  ['python3', 'go', 'cargo'].forEach(tool => fs.symlinkSync(stub, path.join(bin, tool)));
+  const original = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${original}`;
+  t.after(() => { process.env.PATH = original; });
+  return () => fs.existsSync(log) ? fs.readFileSync(log, 'utf8').trim().split('\n') : [];
+}
+
+// The mock team, except that the Planner's first manifest gives the backend a package.json in
+// place of the stack's dependency manifest; `requests` keeps every request by agent
+function mixedUpPlanner(dependencyFile) {
+  const requests = [];
+  const provider = scriptedProvider(async (params, next) => {
+    requests.push(params);
+    const response = await next(params);
+    if (params.agent !== 'planner' || requests.filter(r => r.agent === 'planner').length > 1) return response;
+    const manifest = JSON.parse(response.content);
+    const backend = manifest.roles.find(r => r.id === 'backend-dev');
+    backend.outputs = backend.outputs.map(out => out === dependencyFile ? 'package.json' : out);
+    return reply(JSON.stringify(manifest));
+  });
+  return { requests, provider };
+}
+
+STACKS.forEach(stack => {
+  test(`${stack.name}: planned, checked, written and verified with ${stack.name} tooling`, async t => {
+    const calls = stubTools(t);
+    const dependencyFile = stack.dependencies.split(' or ')[0];
+    const { requests, provider } = mixedUpPlanner(dependencyFile);
+    const { result } = await swarm(t, stack.prompt, { provider, verify: true, SWARM_VERIFY_ITERATIONS: 0 });
+    assert.equal(result.status, 'completed');
+    assert.deepEqual({ backend: result.manifest.tech_stack.backend, language: result.manifest.tech_stack.language }, stack.tech);
+
+    // checkStackOutputs sends the Node.js dependency file back to the Planner
+    const planner = requests.filter(r => r.agent === 'planner');
+    assert.equal(planner.length, 2);
+    const repair = planner[1].messages[planner[1].messages.length - 1].content;
+    assert.ok(repair.includes(`- backend-dev: output "package.json" belongs to a Node.js project, but the stack is ${stack.name} (${stack.tech.backend}); use ${stack.dependencies} instead`), repair);
+    assert.ok(repair.includes(`- No role outputs ${stack.dependencies}, which a ${stack.name} project needs for its dependencies`), repair);
+    assert.deepEqual(validateManifest(result.manifest), []);
+
+    const worker = requests.find(r => r.agent === 'backend-dev').messages[0].content;
+    assert.ok(worker.includes(`**Stack: ${stack.name}** (${stack.tech.backend}, ${stack.tech.language})`), worker);
+    stack.files.forEach(file => assert.ok(fs.existsSync(path.join(result.outputPath, file)), file));
+    assert.equal(fs.existsSync(path.join(result.outputPath, 'package.json')), false);
+    const readme = fs.readFileSync(path.join(result.outputPath, 'README.md'), 'utf8');
+    assert.match(readme, new RegExp(`- Backend: ${stack.tech.backend}\\n- Frontend: React\\n- Language: ${stack.tech.language}\\n`));
+
+    // The profile's own install and test commands, run in the project directory
+    assert.equal(result.verification.status, 'passed');
+    const steps = result.verification.iterations[0].steps;
+    assert.deepEqual(steps.map(s => [s.step, s.exitCode]), [['install', 0], ['test', 0]]);
+    steps.forEach((s, i) => assert.match(s.command, stack.commands[i]));
+    const logged = calls();
+    assert.equal(logged.length, stack.calls.length, logged.join('\n'));
+    logged.forEach((call, i) => assert.match(call, stack.calls[i]));
+    assert.deepEqual(readTasks(result.outputPath).verification.iterations[0].steps.map(s => s.command), steps.map(s => s.command));
+  });
+});
+
+test('validateManifest checks outputs against the stack', () => {
+  const python = {
+    project_name: 'Todo',
+    tech_stack: { backend: 'FastAPI', frontend: 'React', language: 'Python', database: 'SQLite', css_framework: 'Plain CSS' },
+    roles: [{ id: 'backend-dev', name: 'BackendDev', outputs: ['app/main.py', 'package.json'], depends_on: [] }],
+    shared_files: ['README.md'],
+    file_owners: {}
+  };
+  const errors = validateManifest(python);
+  assert.ok(errors.some(e => e.includes('package.json')), errors.join('\n'));
+  assert.ok(errors.some(e => e.includes('pyproject.toml')), errors.join('\n'));
+  assert.deepEqual(validateManifest(python, { stack: false }), []);
+
+  const mismatched = { ...python, tech_stack: { ...python.tech_stack, backend: 'Go' }, roles: [{ ...python.roles[0], outputs: ['main.go', 'go.mod'] }] };
+  assert.deepEqual(validateManifest(mismatched), ['tech_stack.language is Python, but a Go backend is Go; pick a matching backend and language']);
+  const rust = { ...python, tech_stack: { ...python.tech_stack, backend: 'Rust', language: 'Rust' }, roles: [{ ...python.roles[0], outputs: ['src/main.rs', 'go.mod'] }] };
+  assert.deepEqual(validateManifest(rust), [
+    'backend-dev: output "go.mod" belongs to a Go project, but the stack is Rust (Rust); use Cargo.toml instead',
+    'No role outputs Cargo.toml, which a Rust project needs for its dependencies'
+  ]);
+});
@@ -0,0 +1,90 @@
+// Usage accounting: tokens, latency and cost per call, agent and run, and the budget cap
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { swarm, manifestWith, teamProvider, projectDir, readTasks, readSummary } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'] },
+  { id: 'jobs', outputs: ['jobs.js'] },
+  { id: 'docs', outputs: ['docs/guide.js'] }
+]);
+
+// Every reply uses 10 prompt and 10 completion tokens from model "mock"; `calls` lists the agents asked
+function countingTeam() {
+  const calls = [];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    calls.push(params.agent);
+    return next(params);
+  });
+  return { calls, provider };
+}
+
+const PRICING = { mock: { prompt: 1, completion: 2 } };
+
+test('every call is recorded and totalled per agent and per run', async t => {
+  const { provider } = countingTeam();
+  const { result } = await swarm(t, 'Build an app', { provider, pricing: PRICING, concurrency: 1 });
+  assert.equal(result.status, 'completed');
+  const { calls, byAgent, total, budget } = result.usage;
+  assert.deepEqual(calls.map(c => c.agent), ['planner', 'api', 'web', 'jobs', 'docs']);
+  calls.forEach(c => {
+    assert.equal(c.model, 'mock');
+    assert.equal(c.promptTokens, 10);
+    assert.equal(c.completionTokens, 10);
+    assert.equal(c.attempt, 1);
+    assert.equal(c.continuation, 0);
+    assert.ok(c.latencyMs >= 0);
+    assert.equal(c.cost, 30 / 1e6);
+  });
+  assert.deepEqual({ ...byAgent.api, latencyMs: 0 }, { calls: 1, promptTokens: 10, completionTokens: 10, latencyMs: 0, cost: 30 / 1e6, unpricedCalls: 0, models: ['mock'] });
+  assert.equal(total.calls, 5);
+  assert.equal(total.promptTokens + total.completionTokens, 100);
+  assert.ok(Math.abs(total.cost - 150 / 1e6) < 1e-12);
+  assert.deepEqual(budget, { usd: null, tokens: null, exceeded: null });
+  assert.deepEqual(readTasks(result.outputPath).usage, result.usage);
+
+  const summary = readSummary(result.outputPath);
+  assert.match(summary, /## Cost\n\n\| Agent \| Calls \| Prompt tokens \| Completion tokens \| Latency \| Cost \| Model \|/);
+  assert.match(summary, /\| api \| 1 \| 10 \| 10 \| \d+\.\ds \| \$0\.0000 \| mock \|/);
+  assert.match(summary, /\| \*\*Total\*\* \| 5 \| 50 \| 50 \|/);
+});
+
+test('a model without a price is counted but not costed', async t => {
+  const { provider } = countingTeam();
+  // mock is priced at 0 unless SWARM_PRICING says otherwise
+  const { result } = await swarm(t, 'Build an app', { provider, pricing: { mock: null, other: { prompt: 1, completion: 1 } } });
+  assert.equal(result.usage.total.unpricedCalls, 5);
+  assert.equal(result.usage.calls[0].cost, null);
+  assert.match(readSummary(result.outputPath), /\| \*\*Total\*\* \| 5 \| 50 \| 50 \| \d+\.\ds \| - \|/);
+  assert.match(readSummary(result.outputPath), /5 call\(s\) used a model without a price in SWARM_PRICING and are not costed\./);
+});
+
+test('the run stops cleanly at the token budget and makes no further requests', async t => {
+  const { calls, provider } = countingTeam();
+  // The Planner, api and web use 60 tokens: web's call crosses the cap
+  const { error, workspace } = await swarm(t, 'Build an app', { provider, budgetTokens: 50, concurrency: 1 });
+  assert.equal(error.message, 'Budget exceeded: 60 tokens used of 50');
+  assert.equal(error.budgetExceeded, true);
+  assert.deepEqual(calls, ['planner', 'api', 'web']);
+
+  const dir = projectDir(workspace, error.projectId);
+  const tasksDB = readTasks(dir);
+  assert.equal(tasksDB.status, 'budget_exceeded');
+  assert.deepEqual(tasksDB.completed, ['api', 'web']);
+  assert.deepEqual(tasksDB.tasks.find(t => t.roleId === 'jobs').attempts.map(a => a.errorType), ['budget']);
+  assert.deepEqual(tasksDB.usage.budget, { usd: null, tokens: 50, exceeded: '60 tokens used of 50' });
+  assert.equal(tasksDB.usage.total.calls, 3);
+
+  const summary = readSummary(dir);
+  assert.match(summary, /\*\*Status:\*\* stopped, budget exceeded: 60 tokens used of 50 \(raise the budget and `orchestrator\.js resume swarm-/);
+  assert.match(summary, /\*\*Budget:\*\* 50 tokens \(exceeded: 60 tokens used of 50\)/);
+  assert.match(summary, /\| Web \(web\) \| ✓ success \|/);
+});
+
+test('the dollar budget counts priced calls', async t => {
+  const { calls, provider } = countingTeam();
+  const { error } = await swarm(t, 'Build an app', { provider, pricing: PRICING, budgetUsd: 0.00005, concurrency: 1 });
+  assert.equal(error.message, 'Budget exceeded: $0.0001 spent of $0.00005');
+  assert.deepEqual(calls, ['planner', 'api']);
+});
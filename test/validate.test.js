@@ -0,0 +1,145 @@
+// Static validation of what the roles wrote: each built-in check against fixtures/broken-app, which
+// role each finding goes to, fix-up calls with --fix-findings, and extra validators
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, tempDir, manifestWith, teamProvider, reply, fileReply, readTasks, readEvents, readSummary } = require('./helpers');
+
+const BROKEN_APP = path.join(__dirname, 'fixtures', 'broken-app');
+
+// core owns package.json and the Dockerfile, api the server, web the page
+const MANIFEST = manifestWith([
+  { id: 'core', outputs: ['package.json', 'Dockerfile'] },
+  { id: 'api', outputs: ['server.js', 'routes.js'], depends_on: ['core'] },
+  { id: 'web', outputs: ['public/index.html', 'public/app.js', 'config.json'] }
+]);
+
+// A role's fixture files, { path: content }
+function fixtureFiles(roleId, dir = path.join(BROKEN_APP, roleId), rel = '') {
+  return Object.assign({}, ...fs.readdirSync(dir, { withFileTypes: true }).map(entry => {
+    const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+    return entry.isDirectory()
+      ? fixtureFiles(roleId, path.join(dir, entry.name), relPath)
+      : { [relPath]: fs.readFileSync(path.join(dir, entry.name), 'utf8').trimEnd() };
+  }));
+}
+
+// What each check should find in the fixtures, as [check, file, roles, message]
+const FINDINGS = [
+  ['json', 'config.json', ['web'], /^Invalid JSON: /],
+  ['js-syntax', 'routes.js', ['api'], /^Line 6: SyntaxError: missing \) after argument list$/],
+  ['dependencies', 'server.js', ['core'], /^Imports "cors", which package\.json does not list \(add it to dependencies\)$/],
+  ['imports', 'server.js', ['api'], /^Imports "\.\/lib\/db", which no role generated$/],
+  ['references', 'Dockerfile', ['core'], /^CMD runs "npm start", but package\.json has no "start" script$/],
+  ['references', 'public/index.html', ['web'], /^References "style\.css", which no role generated$/]
+];
+
+function assertFindings(findings, expected) {
+  assert.deepEqual(findings.map(f => [f.check, f.file, f.roles]), expected.map(([check, file, roles]) => [check, file, roles]));
+  findings.forEach((f, i) => assert.match(f.message, expected[i][3], `${f.check} ${f.file}`));
+}
+
+// Fix-up calls are told what to fix; `fixes` maps role ids to the files they answer with
+function brokenTeam(fixes = {}) {
+  const problems = {};
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    const task = params.messages[params.messages.length - 1].content;
+    if (task.includes('Static checks of the generated files found these problems')) {
+      problems[params.agent] = task.match(/found these problems:\n\n([\s\S]*?)\n\n/)[1].split('\n');
+      return Promise.resolve(reply(fileReply(fixes[params.agent])));
+    }
+    if (params.agent === 'planner') return next(params);
+    return Promise.resolve(reply(fileReply(fixtureFiles(params.agent))));
+  });
+  return { provider, problems };
+}
+
+test('each check finds its problem and names the role that owns the fix', async t => {
+  const { result } = await swarm(t, 'Build an app', { provider: brokenTeam().provider });
+  // Findings are reported, not fatal
+  assert.equal(result.status, 'completed');
+  const { validation } = readTasks(result.outputPath);
+  assert.deepEqual(validation.checks, ['json', 'yaml', 'js-syntax', 'dependencies', 'imports', 'references']);
+  assert.equal(validation.found, FINDINGS.length);
+  assert.deepEqual(validation.fixes, []);
+  assertFindings(validation.findings, FINDINGS);
+
+  const summary = readSummary(result.outputPath);
+  assert.match(summary, /\*\*Findings:\*\* 6\n/);
+  assert.match(summary, /\| dependencies \| `server\.js` \| core \| Imports "cors", which package\.json does not list/);
+  assert.match(summary, /With `--fix-findings` \(`SWARM_VALIDATE_FIX=1`\) each owning role gets one call/);
+  const errors = fs.readFileSync(path.join(result.outputPath, '.learnings', 'ERRORS.md'), 'utf8');
+  assert.match(errors, /imports: Imports "\.\/lib\/db", which no role generated/);
+  const finished = readEvents(result.outputPath).find(e => e.type === 'validation_finished');
+  assert.deepEqual([finished.findings, finished.fixed], [6, 0]);
+});
+
+test('--fix-findings sends each role its findings once, then checks again', async t => {
+  const corePackage = JSON.parse(fixtureFiles('core')['package.json']);
+  corePackage.scripts.start = 'node server.js';
+  corePackage.dependencies.cors = '^2.8.5';
+  const { provider, problems } = brokenTeam({
+    core: { 'package.json': JSON.stringify(corePackage, null, 2) },
+    api: {
+      'server.js': fixtureFiles('api')['server.js'].replace("require('./lib/db')", "{ all: () => [] }"),
+      'routes.js': fixtureFiles('api')['routes.js'].replace('db.all();', 'db.all());')
+    },
+    // web fixes its JSON but not its page
+    web: { 'config.json': '{ "apiBase": "/api" }' }
+  });
+  const { result } = await swarm(t, 'Build an app', { provider, validateFix: true });
+  assert.equal(result.status, 'completed');
+
+  assert.deepEqual(Object.keys(problems).sort(), ['api', 'core', 'web']);
+  assert.deepEqual(problems.core, [
+    '- server.js: Imports "cors", which package.json does not list (add it to dependencies)',
+    '- Dockerfile: CMD runs "npm start", but package.json has no "start" script'
+  ]);
+  assert.equal(problems.api.length, 2);
+  assert.equal(problems.web.length, 2);
+
+  const { validation } = readTasks(result.outputPath);
+  assert.equal(validation.found, 6);
+  assert.deepEqual(validation.fixes.map(f => [f.roleId, f.findings, f.files]), [
+    ['core', 2, ['package.json']],
+    ['api', 2, ['server.js', 'routes.js']],
+    ['web', 2, ['config.json']]
+  ]);
+  assertFindings(validation.findings, FINDINGS.slice(-1));
+  assert.match(readSummary(result.outputPath), /\*\*Findings:\*\* 1 \(6 before fix-up calls to core, api, web\)/);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(result.outputPath, 'package.json'), 'utf8')).scripts.start, 'node server.js');
+  assert.equal(readEvents(result.outputPath).find(e => e.type === 'validation_finished').fixed, 5);
+});
+
+test('extra validators run after the built-in ones; a failing one is skipped', async t => {
+  const validatorsDir = tempDir(t);
+  fs.writeFileSync(path.join(validatorsDir, 'no-console.js'), `module.exports = {
+  name: 'no-console',
+  check: files => [...files].filter(([file, { content }]) => file.endsWith('.js') && content.includes('console.'))
+    .map(([file]) => ({ file, message: 'Uses console' }))
+};
+`);
+  const lines = [];
+  const validators = [
+    { name: 'broken', check: () => { throw new Error('checker crashed'); } },
+    { name: 'needs-license', check: async (files, context) => [{ file: 'server.js', fixIn: 'package.json', message: `${context.manifest.project_name} has no license` }] }
+  ];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    if (params.agent !== 'web') return next(params);
+    return Promise.resolve(reply(fileReply({ 'public/index.html': '<p>Hi</p>', 'public/app.js': "console.log('hi');", 'config.json': '{}' })));
+  });
+  const { result } = await swarm(t, 'Build an app', { provider, validators, validatorsDir, logger: line => lines.push(line) });
+  const { validation } = readTasks(result.outputPath);
+  assert.deepEqual(validation.checks.slice(-3), ['no-console', 'broken', 'needs-license']);
+  assert.deepEqual(validation.findings.map(f => [f.check, f.file, f.roles, f.message]), [
+    ['no-console', 'public/app.js', ['web'], 'Uses console'],
+    ['needs-license', 'server.js', ['core'], 'Test App has no license']
+  ]);
+  assert.ok(lines.some(line => line.endsWith('Validator broken failed: checker crashed')));
+
+  const invalid = await swarm(t, 'Build an app', { provider, validators: [{ name: 'no-check' }] });
+  assert.match(invalid.error.message, /^Invalid validator in options\.validators: expected \{ name, check\(files, context\) \}$/);
+  const off = await swarm(t, 'Build an app', { provider: brokenTeam().provider, SWARM_VALIDATE: '0' });
+  assert.equal(readTasks(off.result.outputPath).validation, undefined);
+});
@@ -0,0 +1,95 @@
+// Verification: install and test commands in a sandbox, failures handed back to the roles that own them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { swarm, manifestWith, teamProvider, fileReply, reply, readSummary, sleep } = require('./helpers');
+
+const MANIFEST = manifestWith([
+  { id: 'api', outputs: ['server.js', 'package.json'] },
+  { id: 'web', outputs: ['public/app.js'] },
+  { id: 'qa', outputs: ['test/api.test.js'], depends_on: ['api'] }
+]);
+
+// The team, answering repair requests with `repairs[role]` ({ file: content }); `repairs.calls` lists
+// the roles asked to repair
+function repairingTeam(repairs = {}) {
+  const calls = [];
+  const provider = teamProvider(MANIFEST, (params, next) => {
+    if (!params.messages[1]?.content.includes('The assembled project fails verification')) return next(params);
+    calls.push({ role: params.agent, task: params.messages[1].content });
+    return Promise.resolve(reply(fileReply(repairs[params.agent] || {})));
+  });
+  return { calls, provider };
+}
+
+const VERIFY = { verify: true, SWARM_INSTALL_CMD: 'true' };
+
+test('a failing test goes to the role whose file it names, and passes once repaired', async t => {
+  const { calls, provider } = repairingTeam({ api: { 'server.js': 'module.exports = "FIXED";' } });
+  const { result } = await swarm(t, 'Build an app', {
+    provider,
+    ...VERIFY,
+    SWARM_TEST_CMD: 'grep -q FIXED server.js || { echo "AssertionError in server.js"; exit 1; }'
+  });
+  assert.equal(result.status, 'completed');
+  assert.equal(result.verification.status, 'passed');
+  assert.deepEqual(result.verification.iterations.map(it => it.passed), [false, true]);
+  assert.deepEqual(result.verification.iterations[0].steps.map(s => [s.step, s.exitCode]), [['install', 0], ['test', 1]]);
+  assert.deepEqual(calls.map(c => c.role), ['api']);
+  assert.match(calls[0].task, /Command: grep -q FIXED server\.js/);
+  assert.match(calls[0].task, /Exit code: 1\n\nOutput \(tail\):\nAssertionError in server\.js/);
+  assert.match(calls[0].task, /=== FILE: server\.js ===\nmodule\.exports = "server\.js by api";/);
+  assert.deepEqual(result.verification.iterations[0].repairs.map(r => [r.roleId, r.files]), [['api', ['server.js']]]);
+  assert.equal(fs.readFileSync(path.join(result.outputPath, 'server.js'), 'utf8'), 'module.exports = "FIXED";');
+  assert.match(readSummary(result.outputPath), /## Verification\n\n\*\*Result:\*\* passed\n/);
+  assert.match(readSummary(result.outputPath), /\| 1 \| `grep -q FIXED server\.js .*` \| ✗ exit 1 \| \d+s \| api: server\.js \|/);
+});
+
+test('failures that name no file go to the test owner, and repairs stop at the cap', async t => {
+  const { calls, provider } = repairingTeam({ qa: { 'test/api.test.js': 'module.exports = "retried";' } });
+  const { result } = await swarm(t, 'Build an app', {
+    provider,
+    ...VERIFY,
+    SWARM_TEST_CMD: 'echo "1 test failed"; exit 1',
+    SWARM_VERIFY_ITERATIONS: 2
+  });
+  assert.equal(result.status, 'verification_failed');
+  assert.equal(result.verification.status, 'failed');
+  assert.equal(result.verification.iterations.length, 3);
+  assert.deepEqual(calls.map(c => c.role), ['qa', 'qa']);
+  assert.deepEqual(result.verification.iterations[2].repairs, []);
+  assert.match(readSummary(result.outputPath), /\*\*Result:\*\* failed/);
+});
+
+test('a timeout kills the command and everything it started', async t => {
+  const { calls, provider } = repairingTeam();
+  const started = Date.now();
+  // The background job would leave a marker a second later; killing the process group stops it
+  const { result } = await swarm(t, 'Build an app', {
+    provider,
+    ...VERIFY,
+    SWARM_TEST_CMD: '(sleep 1; touch late.txt) & sleep 30',
+    SWARM_VERIFY_TIMEOUT_MS: 300,
+    SWARM_VERIFY_ITERATIONS: 0
+  });
+  assert.ok(Date.now() - started < 10000, 'the command did not run to completion');
+  assert.equal(result.verification.status, 'failed');
+  const [step] = result.verification.iterations[0].steps.filter(s => s.step === 'test');
+  assert.equal(step.timedOut, true);
+  assert.deepEqual(calls, []);
+  assert.match(readSummary(result.outputPath), /\| ✗ timeout \|/);
+  await sleep(1500);
+  assert.equal(fs.existsSync(path.join(result.outputPath, 'late.txt')), false);
+});
+
+test('commands do not see the environment of the orchestrator', async t => {
+  process.env.SWARM_VERIFY_TEST_TOKEN = 'sk-or-verify-secret-0000';
+  t.after(() => delete process.env.SWARM_VERIFY_TEST_TOKEN);
+  const { provider } = repairingTeam();
+  const { result } = await swarm(t, 'Build an app', { provider, ...VERIFY, SWARM_TEST_CMD: 'env > env.txt' });
+  assert.equal(result.verification.status, 'passed');
+  const env = fs.readFileSync(path.join(result.outputPath, 'env.txt'), 'utf8');
+  assert.doesNotMatch(env, /sk-or-verify-secret/);
+  assert.match(env, /^CI=1$/m);
+});
@@ -0,0 +1,134 @@
+// The manifest YAML reader and writer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseYaml, toYaml } = require('../orchestrator.js');
+
+const roundTrip = value => assert.deepEqual(parseYaml(toYaml(value)), value, toYaml(value));
+
+test('toYaml output reads back unchanged', () => {
+  roundTrip({
+    project_name: 'Todo API',
+    tech_stack: { backend: 'Express', frontend: 'React', language: 'JavaScript', database: null },
+    roles: [
+      { id: 'backend-dev', name: 'BackendDev', outputs: ['server.js', 'package.json'], depends_on: [] },
+      { id: 'qa', name: 'QA', outputs: ['test/api.test.js'], depends_on: ['backend-dev'], extra: {} }
+    ],
+    shared_files: ['README.md'],
+    file_owners: { 'docker-compose.yml': 'devops' },
+    decisions: [{ what: 'Use SQLite: no server to run', why: 'Local first # simple' }]
+  });
+});
+
+test('toYaml quotes strings YAML would read as something else', () => {
+  [
+    'key: value', '# not a comment', 'a #b', ' leading', 'trailing ', 'true', 'false', 'null', '~', '123', '1e3', '-1',
+    '', '- item', '[a, b]', '{a: b}', '"quoted"', "it's", '&anchor', '*alias', '!tag', '|', '>', '? key', '<<',
+    'two\nlines', 'tab\there', 'ünïcödé', 'C:\\path'
+  ].forEach(value => {
+    roundTrip({ value });
+    roundTrip([value]);
+  });
+});
+
+test('toYaml keeps numbers, booleans, nulls and nesting', () => {
+  roundTrip({ n: 3, f: 0.5, neg: -2, yes: true, no: false, none: null });
+  roundTrip([[1, [2, []]], [{ a: [{ b: {} }] }], {}]);
+  roundTrip({ 'with space': 1, 'with:colon': 2, '123': 3 });
+});
+
+test('the bundled role definitions round-trip', () => {
+  const dir = path.join(__dirname, '..', 'roles');
+  fs.readdirSync(dir).filter(f => f.endsWith('.yaml')).forEach(file => {
+    const parsed = parseYaml(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+    assert.equal(typeof parsed.id, 'string', file);
+    roundTrip(parsed);
+  });
+});
+
+test('parseYaml reads hand-written manifests', () => {
+  const text = `---
+# team.yaml
+project_name: "Todo: the API"   # quoted colon
+tech_stack: {backend: Express, "language": JavaScript, database: None}
+roles:
+- id: backend-dev
+  name: BackendDev
+  outputs: [server.js, 'it''s.js', "a: b"]
+  depends_on: []
+- id: qa
+  name: QA
+  outputs:
+    - test/api.test.js   # trailing comment
+  depends_on:
+  - backend-dev
+shared_files: [README.md]
+note: a#b
+...
+`;
+  assert.deepEqual(parseYaml(text), {
+    project_name: 'Todo: the API',
+    tech_stack: { backend: 'Express', language: 'JavaScript', database: 'None' },
+    roles: [
+      { id: 'backend-dev', name: 'BackendDev', outputs: ['server.js', "it's.js", 'a: b'], depends_on: [] },
+      { id: 'qa', name: 'QA', outputs: ['test/api.test.js'], depends_on: ['backend-dev'] }
+    ],
+    shared_files: ['README.md'],
+    note: 'a#b'
+  });
+});
+
+test('parseYaml reads block strings', () => {
+  const text = `literal: |
+  line one
+    indented
+
+  line three
+strip: |-
+  no newline
+keep: |+
+  kept
+
+folded: >
+  one
+  two
+
+  three
+folded_strip: >-
+  a
+  b
+after: end
+`;
+  assert.deepEqual(parseYaml(text), {
+    literal: 'line one\n  indented\n\nline three\n',
+    strip: 'no newline',
+    keep: 'kept\n\n',
+    folded: 'one two\n\nthree\n',
+    folded_strip: 'a b',
+    after: 'end'
+  });
+});
+
+test('parseYaml rejects what it does not support, naming the line', () => {
+  const cases = [
+    ['base: &base\n  a: 1\n', /line 1: anchors and aliases are not supported \(&base\)/],
+    ['a: 1\nb: *base\n', /line 2: anchors and aliases are not supported \(\*base\)/],
+    ['list:\n  - *item\n', /line 2: anchors and aliases are not supported/],
+    ['flow: [a, *b]\n', /line 1: anchors and aliases are not supported/],
+    ['a: !!str 5\n', /line 1: tags are not supported \(!!str 5\)/],
+    ['a: 1\n<<: {b: 2}\n', /line 2: merge keys \(<<\) are not supported/],
+    ['? complex\n: value\n', /line 1: complex keys \(\?\) are not supported/],
+    ['a: 1\n---\nb: 2\n', /line 2: multiple documents are not supported/],
+    ['a:\n\tb: 1\n', /line 2: tabs are not allowed in indentation/],
+    ['a: |2\n    text\n', /line 1: block string indentation indicators are not supported \(\|2\)/],
+    ['a: [one,\n  two]\n', /line 1: unterminated \[one,; flow collections must fit on one line/],
+    ['a: {b: 1\n', /line 1: unterminated \{b: 1; flow collections must fit on one line/],
+    ['a: 1\n  b: 2\n', /line 2: unexpected indentation/],
+    ['a:\n    b: 1\n  c: 2\n', /line 3: unexpected indentation/],
+    ['a: 1\na: 2\n', /line 2: duplicate key "a"/],
+    ["a: 'open\nb: 1\n", /line 1: unterminated string 'open/],
+    ['just words\nmore: 1\n', /line 2: unexpected indentation/]
+  ];
+  cases.forEach(([text, error]) => assert.throws(() => parseYaml(text, 'test.yaml'), error, JSON.stringify(text)));
+});